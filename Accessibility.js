@@ -0,0 +1,71 @@
+/**
+ *  Accessibility.gs – Accessibility checks run before export
+ *  ------------------------------------------------------------------
+ *  Flags content that students using screen readers, or who cannot tell colors
+ *  apart, would miss: images without alt text, cues given only by color, and
+ *  tables without a header row. The problems are recorded as warnings in the
+ *  conversion diagnostics (and the preview); they never stop an export.
+ */
+
+// Dependencies:
+// - Diagnostics.gs (Diagnostics)
+
+'use strict';
+
+/**
+ * Checks every question for accessibility problems and records them as warnings.
+ *
+ * Uses what parseQuestions recorded: the images' `altText`, and the question's
+ * `colorOnlyText` and `tablesWithoutHeader`.
+ *
+ * @param {Array<Object>} questions - The parsed (or combined) question objects.
+ * @param {Diagnostics} diagnostics - Collector for the problems found.
+ * @return {number} The number of problems recorded.
+ */
+function checkAccessibility(questions, diagnostics) {
+  let problemCount = 0;
+  const warn = (message, q) => {
+    diagnostics.warning(message, q);
+    problemCount++;
+  };
+
+  questions.forEach(q => {
+    const missingAlt = (q.images || []).filter(img => !img.altText).length;
+    if (missingAlt > 0) {
+      warn(`${missingAlt === 1 ? 'An image has' : `${missingAlt} images have`} no alt text, which screen readers need. ` +
+        'In Docs, right-click the image and choose "Alt text".', q);
+    }
+
+    if (q.colorOnlyText) {
+      warn('Some text is marked only by its color or highlighting. Color is not exported and is missed by color-blind ' +
+        'students and screen readers; use bold, italics or words instead.', q);
+    }
+    const texts = [q.text].concat((q.options || []).map(opt => opt.text));
+    if (texts.some(isColorReference)) {
+      warn('The question refers to a color (e.g. "the word in red"). Give students who cannot see colors another cue.', q);
+    }
+
+    if (q.tablesWithoutHeader > 0) {
+      warn(`${q.tablesWithoutHeader === 1 ? 'A table has' : `${q.tablesWithoutHeader} tables have`} no header row. ` +
+        'Write the first row in bold so it is exported as column headers.', q);
+    }
+  });
+
+  console.log(`Accessibility check found ${problemCount} problem(s).`);
+  return problemCount;
+}
+
+/**
+ * Checks whether text points students to something by its color,
+ * e.g. "the word in red" or "the highlighted sentence".
+ *
+ * @param {string} text - Question or option text.
+ * @return {boolean} True if the text refers to a color.
+ */
+function isColorReference(text) {
+  if (!text) return false;
+  const colors = '(?:red|green|blue|yellow|orange|purple|pink|gr[ae]y)';
+  return new RegExp(`\\b(?:in|shown in|printed in|marked in|colou?red)\\s+${colors}\\b`, 'i').test(text) ||
+    new RegExp(`\\b${colors}\\s+(?:text|words?|letters?|numbers?|lines?|parts?)\\b`, 'i').test(text) ||
+    /\bhighlighted\s+(?:text|words?|sentences?|parts?|numbers?)\b/i.test(text);
+}
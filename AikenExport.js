@@ -0,0 +1,133 @@
+/**
+ *  AikenExport.gs – Aiken Plain-Text Exporter
+ *  ------------------------------------------------------------------
+ *  Generates an Aiken (.txt) file: one-line questions, lettered options and an
+ *  "ANSWER:" line. Aiken only supports single-answer multiple choice, so true/false
+ *  questions are written as two-option multiple choice and every other question is
+ *  skipped. Skipped questions and dropped content are recorded in the conversion diagnostics.
+ */
+
+// Dependencies:
+// - Utilities.gs (stripImagePlaceholders, questionHasImages, questionHasFeedback, hasSections, storeLastExportFile)
+// - Diagnostics.gs (Diagnostics)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/**
+ * Main function to create the Aiken export file.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all image metadata objects (unused; images are dropped).
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save the export file into.
+ * @param {string} quizTitle - The title for the quiz.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped questions and dropped content.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function AikenExport_createAikenFile(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting Aiken creation for "${quizTitle}"`);
+
+  try {
+    const blocks = [];
+
+    questionsData.forEach(q => {
+      const aiken = Aiken_createQuestion(q, diagnostics);
+      if (aiken) blocks.push(aiken);
+    });
+    console.log(`Generated ${blocks.length} Aiken questions.`);
+    if (hasSections(questionsData)) {
+      diagnostics.info('Aiken has no sections; the questions were exported as one list.');
+    }
+
+    if (blocks.length === 0) {
+      return {
+        success: false,
+        message: 'None of the questions can be written in Aiken format (it supports single-answer multiple choice only).'
+      };
+    }
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const fileName = `${safeQuizTitle}_Aiken.txt`;
+    const exportFile = projectFolder.createFile(fileName, blocks.join('\n\n') + '\n', MimeType.PLAIN_TEXT);
+    console.log(`Created Aiken file: ${fileName}`);
+
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created Aiken file with ${blocks.length} of ${questionsData.length} questions: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`Aiken creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating Aiken file: ${e.message}`
+    };
+  }
+}
+
+/**
+ * Flattens text to the single line Aiken requires and removes image placeholders.
+ */
+function Aiken_toLine(text) {
+  return stripImagePlaceholders(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Creates the Aiken text for a question, or returns null (recording why) if it
+ * cannot be represented. Options are re-lettered A, B, C... in document order.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Diagnostics} diagnostics - Collects skipped questions or dropped content.
+ * @return {string|null} The Aiken question, or null if skipped.
+ */
+function Aiken_createQuestion(q, diagnostics) {
+  const label = `Question ${q.number}`;
+  let options = q.options || [];
+  let correctLetter = typeof q.correctAnswer === 'string' ? q.correctAnswer.toUpperCase() : '';
+
+  switch (q.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+      break;
+    case QUESTION_TYPES.TRUE_FALSE:
+      if (options.length === 0) {
+        options = [{ letter: 'T', text: 'True' }, { letter: 'F', text: 'False' }];
+      }
+      break;
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+      diagnostics.error('Not exported: Aiken does not support multiple answer questions.', q);
+      return null;
+    default:
+      diagnostics.error(`Not exported: Aiken supports multiple choice only (this is ${q.type.replace(/_/g, ' ')}).`, q);
+      return null;
+  }
+
+  if (options.length < 2) {
+    diagnostics.error('Not exported: it needs at least two options.', q);
+    return null;
+  }
+  if (options.length > 26) {
+    diagnostics.error('Not exported: it has more options than letters A-Z.', q);
+    return null;
+  }
+  const correctIndex = options.findIndex(opt => opt.letter && opt.letter.toUpperCase() === correctLetter);
+  if (correctIndex < 0) {
+    diagnostics.error('Not exported: no correct answer matched its options.', q);
+    return null;
+  }
+
+  if (questionHasImages(q)) {
+    diagnostics.warning('Images were removed (Aiken is plain text).', q);
+  }
+  if (questionHasFeedback(q)) {
+    diagnostics.warning('Feedback was removed (Aiken has no feedback).', q);
+  }
+
+  const letterAt = index => String.fromCharCode(65 + index);
+  const lines = [Aiken_toLine(q.text || label)];
+  options.forEach((opt, index) => lines.push(`${letterAt(index)}. ${Aiken_toLine(opt.text)}`));
+  lines.push(`ANSWER: ${letterAt(correctIndex)}`);
+  return lines.join('\n');
+}
@@ -5,8 +5,9 @@
  * interpreting answers based on pre-determined question types for QTI 1.2 export.
  */
 
-// Dependency: Constants.gs (QUESTION_TYPES, questionTypes map)
-// Dependency: Utilities.gs (optional, for text cleaning if needed beyond basic trim)
+// Dependency: Constants.gs (QUESTION_TYPES, questionTypes map, taggedQuestionNumbers, questionOptionLetters)
+// Dependency: Diagnostics.gs (Diagnostics)
+// Dependency: Utilities.gs (getTrueFalseAnswer, roundNumber)
 
 /**
  * Checks if a given text line matches common patterns for an answer key header.
@@ -46,15 +47,122 @@ function cleanAnswerKeyText(text) {
     .replace(/[\u200B-\u200D\uFEFF]/g, '');
 }
 
+/** An answer key entry written as option letters without separators, e.g. "ACD". */
+const RUN_OF_LETTERS_ANSWER = /^[A-Za-z]{2,5}\.?$/;
+
+/**
+ * Reads an answer key entry written as option letters without separators, e.g. "ACD".
+ * A run counts only when it is written in one case and every letter is an option
+ * of the question, so a word such as "Bad" or "False" is not read as letters.
+ *
+ * @param {string} answerText - The answer part of the key line (after the question number).
+ * @param {Array<string>} optionLetters - The question's option letters (upper case).
+ * @return {Array<string>|null} The letters in upper case, or null if the text is not such a run.
+ */
+function getRunOfOptionLetters(answerText, optionLetters) {
+  const text = (answerText || '').trim().replace(/\.$/, '');
+  if (!RUN_OF_LETTERS_ANSWER.test(text)) return null;
+  if (text !== text.toUpperCase() && text !== text.toLowerCase()) return null;
+  const letters = text.toUpperCase().split('');
+  return letters.every(letter => optionLetters.includes(letter)) ? letters : null;
+}
+
+/**
+ * Checks whether an answer key entry lists several option letters,
+ * e.g. "A, C", "B and D", "A; C; E", "A C" or "ACD".
+ *
+ * @param {string} answerText - The answer part of the key line (after the question number).
+ * @param {Array<string>} [optionLetters=[]] - The question's option letters, needed to read a run such as "ACD".
+ * @return {boolean} True if the text consists of two or more single option letters.
+ */
+function isMultipleLetterAnswer(answerText, optionLetters = []) {
+  if (!answerText) return false;
+  const text = answerText.trim();
+  return getRunOfOptionLetters(text, optionLetters) !== null ||
+    /^[A-Za-z](?:(?:\s*(?:,|;|&|\/|\band\b)\s*|\s+)[A-Za-z])+\s*\.?$/i.test(text);
+}
+
+/**
+ * Parses the accepted answers of a numeric question. Several answers may be given,
+ * separated by semicolons, "or", or commas followed by a space. Each is one of:
+ *  - an exact number: "4", "-3.5e2", "1,000" (a trailing "%" is ignored)
+ *  - a number with a tolerance: "9.8 ± 0.1", "9.8 +/- 0.1", or relative: "9.8 ± 5%"
+ *  - a range: "10 to 12", "10..12", "10 – 12", "between 10 and 12"
+ *
+ * @param {string} answerText - The answer part of the key line.
+ * @return {Array<{value: ?number, min: number, max: number}>|null} The accepted answers
+ *         (see getNumericAnswers), or null if any part is not a number.
+ */
+function parseNumericAnswer(answerText) {
+  const number = '([-+]?(?:(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d*)?|\\.\\d+)(?:e[-+]?\\d+)?)';
+  const toNumber = text => parseFloat(text.replace(/,/g, ''));
+  const exactPattern = new RegExp(`^${number}\\s*%?$`, 'i');
+  const tolerancePattern = new RegExp(`^${number}\\s*±\\s*${number}\\s*(%)?$`, 'i');
+  const rangePattern = new RegExp(`^(?:between\\s+${number}\\s+and\\s+${number}|${number}(?:\\s+to\\s+|\\s*(?:\\.\\.|[–—])\\s*)${number})$`, 'i');
+
+  const text = String(answerText || '')
+    .replace(/\u2212/g, '-')            // Unicode minus sign
+    .replace(/\+\s*\/?\s*-/g, '±')       // "+/-" and "+-"
+    .trim()
+    .replace(/\.$/, '');                // A sentence-ending period
+  const parts = text.split(/\s*(?:;|,\s+|\bor\b)\s*/i).filter(part => part.length > 0);
+  if (parts.length === 0) return null;
+
+  const answers = [];
+  for (const part of parts) {
+    let match;
+    if ((match = part.match(exactPattern))) {
+      const value = toNumber(match[1]);
+      answers.push({ value: value, min: value, max: value });
+    } else if ((match = part.match(tolerancePattern))) {
+      const value = toNumber(match[1]);
+      const tolerance = Math.abs(match[3] ? value * toNumber(match[2]) / 100 : toNumber(match[2]));
+      answers.push({ value: value, min: roundNumber(value - tolerance), max: roundNumber(value + tolerance) });
+    } else if ((match = part.match(rangePattern))) {
+      const bounds = (match[1] !== undefined ? [match[1], match[2]] : [match[3], match[4]]).map(toNumber);
+      answers.push({ value: null, min: Math.min(bounds[0], bounds[1]), max: Math.max(bounds[0], bounds[1]) });
+    } else {
+      return null;
+    }
+  }
+  return answers.every(ans => isFinite(ans.min) && isFinite(ans.max)) ? answers : null;
+}
+
+/**
+ * Parses the answers of a fill-in-multiple-blanks question. Semicolons separate the
+ * blanks and commas the accepted answers of one blank. A blank may be named, as in
+ * "blank1: ser, es; blank2: estar" (or "[blank1] = ser"); unnamed parts are matched
+ * to the blanks in order, so "ser; estar" also works.
+ *
+ * @param {string} answerText - The answer part of the key line.
+ * @return {Array<{blank: ?string, answers: string[]}>} One entry per part of the key,
+ *         with the lower-case blank name or null (see getBlankAnswers).
+ */
+function parseMultipleBlanksAnswer(answerText) {
+  return answerText.split(';')
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const named = part.match(/^\[?\s*(blank\w*)\s*\]?\s*[:=]\s*(.*)$/i);
+      const name = named && named[1].toLowerCase() !== 'blank' ? named[1].toLowerCase() : null;
+      const answers = (named ? named[2] : part).split(',')
+        .map(ans => ans.trim())
+        .filter(ans => ans.length > 0);
+      return { blank: name, answers: answers };
+    });
+}
+
 /**
  * Parses a single line from the answer key section.
  * Determines how to interpret the answer based on the globally stored question type.
  *
  * @param {string} lineText - The text content of the line to parse.
+ * @param {Diagnostics} [diagnostics] - Collector for problems found in the line.
+ * @param {?number} [elementIndex] - The document element index of the line, for diagnostics.
  * @return {Object|null} An object like { number: 1, answer: 'A' } or
  *                       { number: 2, answer: ['Correct', 'Right'] } or null if invalid.
  */
-function parseAnswerLine(lineText) {
+function parseAnswerLine(lineText, diagnostics = new Diagnostics(), elementIndex = null) {
   if (!lineText || lineText.trim() === '') {
     return null;
   }
@@ -71,15 +179,37 @@ function parseAnswerLine(lineText) {
 
   const questionNumber = parseInt(match[1], 10);
   let answerText = match[2].trim(); // The part after "1. "
+  const source = { number: questionNumber, elementIndex: elementIndex };
 
   // Retrieve the type determined during question parsing
-  const type = questionTypes.get(questionNumber);
+  let type = questionTypes.get(questionNumber);
+  const optionLetters = questionOptionLetters.get(questionNumber) || [];
 
   if (!type) {
-    console.warn(`Could not find question type for number ${questionNumber} in answer key line: "${lineText}". Skipping.`);
+    diagnostics.warning(`The answer key has an entry "${lineText}", but there is no question ${questionNumber}. The entry was ignored.`, source);
     return null;
   }
 
+  // More than one letter in the key means the question is really "select all that apply".
+  // Update the shared type map so the combined question data picks up the corrected type.
+  if (type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE && isMultipleLetterAnswer(answerText, optionLetters)) {
+    if (taggedQuestionNumbers.has(questionNumber)) {
+      diagnostics.error(`The answer key lists several letters ("${answerText}"), but the question is tagged [MC] (one answer). Tag it [MA] for "select all that apply".`, source);
+      return null;
+    }
+    type = QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+    questionTypes.set(questionNumber, type);
+    console.log(`Re-inferred question ${questionNumber} as MULTIPLE_CHOICE_MULTI based on answer key "${answerText}"`);
+  }
+
+  // A number (or numbers, tolerances and ranges) in the key makes a text answer question numeric
+  if ((type === QUESTION_TYPES.FILL_IN_BLANK_TEXT || type === QUESTION_TYPES.SHORT_ANSWER) &&
+      !taggedQuestionNumbers.has(questionNumber) && parseNumericAnswer(answerText)) {
+    type = QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+    questionTypes.set(questionNumber, type);
+    console.log(`Re-inferred question ${questionNumber} as FILL_IN_BLANK_NUMERIC based on answer key "${answerText}"`);
+  }
+
   let parsedAnswerData = null;
 
   // --- Parse answerText based on question type ---
@@ -91,20 +221,21 @@ function parseAnswerLine(lineText) {
       if (mcMatch) {
         parsedAnswerData = mcMatch[1].toUpperCase();
       } else {
-        console.warn(`Expected single letter answer for MC/TF question ${questionNumber}, but found: "${answerText}"`);
+        diagnostics.error(`Expected a single letter in the answer key, but found "${answerText}".`, source);
         return null; // Invalid format for this type
       }
       break;
 
     case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
-       // Expect multiple letters, e.g., "A, C", "B D", "A,B,D"
-       // Extract all letters, remove duplicates, sort? QTI 1.2 might require specific format.
-       // Let's extract unique uppercase letters for now.
-       const multiMatch = answerText.toUpperCase().match(/[A-Za-z]/g);
+       // Expect multiple letters, e.g., "A, C", "B D", "A,B,D", "A and C"
+       // Extract standalone letters only (so the "and" in "A and C" is ignored), remove duplicates and sort.
+       // "ACD" is one letter per option; with separators, only standalone letters count
+       const multiMatch = getRunOfOptionLetters(answerText, optionLetters) ||
+           answerText.toUpperCase().match(/\b[A-Z]\b/g);
        if (multiMatch) {
            parsedAnswerData = [...new Set(multiMatch)].sort(); // Store as sorted array of unique letters
        } else {
-           console.warn(`Expected multiple letters for Multi-MC question ${questionNumber}, but found: "${answerText}"`);
+           diagnostics.error(`Expected option letters in the answer key, but found "${answerText}".`, source);
            return null;
        }
        break;
@@ -118,20 +249,31 @@ function parseAnswerLine(lineText) {
                                     .map(ans => ans.trim())
                                     .filter(ans => ans.length > 0);
       if (parsedAnswerData.length === 0) {
-        console.warn(`Parsed empty answer(s) for FIB/SA/Essay question ${questionNumber} from text: "${answerText}"`);
+        diagnostics.warning('The answer key entry is empty.', source);
         // Keep empty array? Or return null? Let's keep it to indicate parsing occurred.
       }
       break;
 
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+      // Answers per blank; Validation.gs checks them against the blanks in the stem
+      parsedAnswerData = parseMultipleBlanksAnswer(answerText);
+      if (parsedAnswerData.length === 0) {
+        diagnostics.warning('The answer key entry is empty.', source);
+      }
+      break;
+
     case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
-      // Attempt to parse as a number. QTI 1.2 might support ranges or lists.
-      // For now, parse a single number. Extend later if needed for ranges/multiple values.
-      const num = parseFloat(answerText);
-      if (!isNaN(num)) {
-        parsedAnswerData = num;
-      } else {
-        console.warn(`Expected numeric answer for question ${questionNumber}, but found: "${answerText}"`);
-        return null; // Invalid format
+      // Accepted values, tolerances and ranges (see parseNumericAnswer)
+      parsedAnswerData = parseNumericAnswer(answerText);
+      if (!parsedAnswerData) {
+        // Fall back to a leading number, e.g. "9.8 m/s²"
+        const num = parseFloat(answerText.replace(/\u2212/g, '-'));
+        if (isNaN(num)) {
+          diagnostics.error(`Expected a number in the answer key (e.g. 9.8, 9.8 ± 0.1 or 10 to 12), but found "${answerText}".`, source);
+          return null; // Invalid format
+        }
+        diagnostics.warning(`Only the number ${num} was read from "${answerText}"; the rest was ignored.`, source);
+        parsedAnswerData = [{ value: num, min: num, max: num }];
       }
       break;
 
@@ -148,12 +290,12 @@ function parseAnswerLine(lineText) {
             response: pairMatch[2].trim() // The identifier it matches to (e.g., '3')
           });
         } else {
-          console.warn(`Could not parse matching pair "${pairStr}" for question ${questionNumber}. Expected format like 'A=1'.`);
+          diagnostics.warning(`The matching pair "${pairStr.trim()}" could not be read and was ignored. Use the format A=1.`, source);
           // Decide: fail all parsing for the question or just skip the bad pair? Let's skip bad pairs.
         }
       }
       if (parsedAnswerData.length === 0) {
-          console.warn(`Could not parse any valid matching pairs for question ${questionNumber} from text: "${answerText}"`);
+          diagnostics.error(`No matching pairs could be read from "${answerText}". Use the format A=1, B=2.`, source);
           return null; // Fail if no pairs were found
       }
       break;
@@ -171,13 +313,13 @@ function parseAnswerLine(lineText) {
       if (sequence.length > 0) {
         parsedAnswerData = sequence; // Store as an array representing the correct order
       } else {
-        console.warn(`Could not parse ordering sequence for question ${questionNumber} from text: "${answerText}"`);
+        diagnostics.error(`No ordering sequence could be read from "${answerText}".`, source);
         return null; // Fail if sequence is empty
       }
       break;
 
     default:
-      console.warn(`Answer parsing not implemented for question type "${type}" (Question ${questionNumber}). Text: "${answerText}"`);
+      diagnostics.error(`Answers for question type "${type}" are not supported; "${answerText}" was ignored.`, source);
       return null; // Unsupported type
   }
 
@@ -194,11 +336,15 @@ function parseAnswerLine(lineText) {
  * Iterates through the document body, identifies the key section,
  * and parses each answer line based on determined question types.
  *
+ * @param {Diagnostics} [diagnostics] - Collector for problems found in the answer key.
+ * @param {Array<Object>} [questions] - The parsed questions. If there is no answer key, a warning
+ *                                      is recorded when one of them needs an answer and none is
+ *                                      marked in the questions either.
  * @return {Map<number, Object>} A Map where keys are question numbers and
  *                               values are the structured answer data parsed
  *                               by parseAnswerLine (e.g., 'A', ['Correct'], etc.).
  */
-function parseAnswerKey() {
+function parseAnswerKey(diagnostics = new Diagnostics(), questions = []) {
   const doc = DocumentApp.getActiveDocument();
   const body = doc.getBody();
   const answers = new Map(); // Use a Map for easy lookup by question number
@@ -235,10 +381,10 @@ function parseAnswerKey() {
 
     // Stage 2: Parse lines after the header
     if (startParsingAnswers && text) {
-      const parsedLine = parseAnswerLine(text);
+      const parsedLine = parseAnswerLine(text, diagnostics, i);
       if (parsedLine) {
         if (answers.has(parsedLine.number)) {
-            console.warn(`Duplicate answer found for question number ${parsedLine.number}. Overwriting previous entry.`);
+            diagnostics.warning('The answer key lists this question more than once; the last entry was used.', { number: parsedLine.number, elementIndex: i });
         }
         answers.set(parsedLine.number, parsedLine.answer); // Store the parsed answer data
         console.log(`Parsed answer for Question ${parsedLine.number}:`, parsedLine.answer);
@@ -254,11 +400,91 @@ function parseAnswerKey() {
   } // End loop through document elements
 
   if (!foundKey) {
-    console.warn("Answer key header not found in the document.");
-    // Decide whether to throw an error or return an empty map
-    // throw new AppError("Answer key not found", "Could not find a section starting with 'Answer Key', 'Answers', or 'Key'. Please add one to the end of your document.");
+    // Not an error by itself: answers may be marked on the options instead (see addInlineAnswers),
+    // and an essay-only quiz needs none. The export goes on either way.
+    console.log('No answer key header found.');
+    const needsAnswer = questions.some(q => (questionTypes.get(q.number) || q.type) !== QUESTION_TYPES.ESSAY);
+    const hasMarkedAnswers = questions.some(q => q.inlineAnswer && q.inlineAnswer.length > 0);
+    if (needsAnswer && !hasMarkedAnswers) {
+      diagnostics.warning('No answer key was found. Add a line "Answer Key" after the questions, followed by one answer per line, ' +
+        'or mark the correct options with an asterisk (*A.), bold or highlighting.');
+    }
   }
 
   console.log(`Finished answer key parsing. Found answers for ${answers.size} questions.`);
   return answers; // Return the Map { number: answerData, ... }
-}
\ No newline at end of file
+}
+
+
+/**
+ * Adds the answers marked in the questions themselves (an asterisk, bold or
+ * highlighting on an option; see parseQuestions) to the answer map. An answer key
+ * entry takes precedence; a marked option that disagrees with it is reported.
+ * Several marked options turn a multiple choice question into multiple answer,
+ * just as several letters in the answer key do.
+ *
+ * @param {Map<number, Object>} answerMap - The map returned by parseAnswerKey (updated in place).
+ * @param {Array<Object>} questions - The parsed questions, with their `inlineAnswer` letters.
+ * @param {Diagnostics} [diagnostics] - Collector for conflicting answers.
+ * @return {Map<number, Object>} The same answer map.
+ */
+function addInlineAnswers(answerMap, questions, diagnostics = new Diagnostics()) {
+  questions.forEach(q => {
+    const marked = q.inlineAnswer || [];
+    if (marked.length === 0) return;
+
+    let type = questionTypes.get(q.number) || q.type;
+    if (type !== QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE && type !== QUESTION_TYPES.MULTIPLE_CHOICE_MULTI && type !== QUESTION_TYPES.TRUE_FALSE) {
+      console.log(`Ignoring marked options of question ${q.number} (type ${type} is not a choice question).`);
+      return;
+    }
+
+    if (answerMap.has(q.number)) {
+      const keyAnswer = answerMap.get(q.number);
+      if (!isSameChoiceAnswer(q, type, keyAnswer, marked)) {
+        const keyText = Array.isArray(keyAnswer) ? keyAnswer.join(', ') : keyAnswer;
+        diagnostics.warning(`The answer key gives ${keyText}, but ${marked.join(', ')} ${marked.length === 1 ? 'is' : 'are'} marked in the question. The answer key was used.`, q);
+      }
+      return;
+    }
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE && marked.length > 1) {
+      if (taggedQuestionNumbers.has(q.number)) {
+        diagnostics.error(`Options ${marked.join(', ')} are marked as correct, but the question is tagged [MC] (one answer). Tag it [MA] for "select all that apply".`, q);
+        return;
+      }
+      type = QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+      questionTypes.set(q.number, type);
+      console.log(`Re-inferred question ${q.number} as MULTIPLE_CHOICE_MULTI based on ${marked.length} marked options`);
+    }
+    if (type === QUESTION_TYPES.TRUE_FALSE && marked.length > 1) {
+      diagnostics.error(`Both ${marked.join(' and ')} are marked as correct. Mark only one option of a True/False question.`, q);
+      return;
+    }
+
+    answerMap.set(q.number, type === QUESTION_TYPES.MULTIPLE_CHOICE_MULTI ? [...new Set(marked)].sort() : marked[0]);
+    console.log(`Using marked answer for Question ${q.number}:`, answerMap.get(q.number));
+  });
+
+  return answerMap;
+}
+
+/**
+ * Checks whether an answer key entry and the marked options give the same answer.
+ * True/false answers are compared by meaning, so the key "T" agrees with a marked "A. True".
+ *
+ * @param {Object} q - The question.
+ * @param {string} type - Its question type.
+ * @param {string|Array<string>} keyAnswer - The parsed answer key entry.
+ * @param {Array<string>} marked - The marked option letters.
+ * @return {boolean} True if both give the same answer.
+ */
+function isSameChoiceAnswer(q, type, keyAnswer, marked) {
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    const keyValue = getTrueFalseAnswer(Object.assign({}, q, { correctAnswer: keyAnswer }));
+    return marked.length === 1 && keyValue !== null && keyValue === getTrueFalseAnswer(Object.assign({}, q, { correctAnswer: marked[0] }));
+  }
+  const keyLetters = (Array.isArray(keyAnswer) ? keyAnswer : [keyAnswer]).slice().sort();
+  const markedLetters = [...new Set(marked)].sort();
+  return keyLetters.join(',') === markedLetters.join(',');
+}
@@ -0,0 +1,200 @@
+/**
+ *  BlackboardExport.gs – Blackboard Learn Question Upload Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a tab-delimited text file for Blackboard's "Upload Questions"
+ *  (tests, surveys and pools). Each question is one line: a type code, the question
+ *  text, then type-specific answer fields. The format has no points, feedback or
+ *  images; anything dropped is recorded in the conversion diagnostics.
+ */
+
+// Dependencies:
+// - Utilities.gs (stripImagePlaceholders, questionHasImages, questionHasFeedback, hasSections, getCorrectLetters,
+//                 getTrueFalseAnswer, getNumericAnswers, getNumericValue, getNumericTolerance, formatNumericAnswer,
+//                 getBlankAnswers, replaceBlanks, storeLastExportFile)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
+// - Constants.gs (QUESTION_TYPES, DEFAULT_QUESTION_POINTS)
+
+'use strict';
+
+/**
+ * Main function to create the Blackboard question upload file.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all image metadata objects (unused; images are dropped).
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save the export file into.
+ * @param {string} quizTitle - The title for the quiz.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped questions and dropped content.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function BlackboardExport_createUploadFile(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting Blackboard upload file creation for "${quizTitle}"`);
+
+  try {
+    const rows = [];
+    questionsData.forEach(q => {
+      const row = Blackboard_createRow(q, diagnostics);
+      if (row) rows.push(row);
+    });
+
+    if (questionsData.some(q => q.points && q.points !== DEFAULT_QUESTION_POINTS)) {
+      diagnostics.info('Point values are not part of the Blackboard upload format; set them after adding the questions to a test.');
+    }
+    if (hasSections(questionsData)) {
+      diagnostics.info('Sections are not part of the Blackboard upload format; the questions were exported as one list. ' +
+        'Use a question pool or question set in Blackboard to draw questions at random.');
+    }
+    console.log(`Generated ${rows.length} Blackboard questions.`);
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const fileName = `${safeQuizTitle}_Blackboard.txt`;
+    const exportFile = projectFolder.createFile(fileName, rows.join('\n') + '\n', MimeType.PLAIN_TEXT);
+    console.log(`Created Blackboard upload file: ${fileName}`);
+
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created Blackboard upload file: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`Blackboard upload file creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating Blackboard upload file: ${e.message}`
+    };
+  }
+}
+
+/**
+ * Cleans text for a tab-delimited field: removes image placeholders and replaces
+ * tabs and line breaks, which would start a new field or question.
+ */
+function Blackboard_cell(text) {
+  return stripImagePlaceholders(String(text === null || typeof text === 'undefined' ? '' : text)).replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Creates the upload line for a question, or returns null (recording why) if it
+ * cannot be represented.
+ *
+ * Type codes: MC (multiple choice), MA (multiple answer), TF (true/false),
+ * FIB (fill in the blank), FIB_PLUS (fill in multiple blanks), NUM (numeric), ESS (essay),
+ * MAT (matching), ORD (ordering).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Diagnostics} diagnostics - Collects skipped questions or dropped content.
+ * @return {string|null} The tab-delimited line, or null if skipped.
+ */
+function Blackboard_createRow(q, diagnostics) {
+  const label = `Question ${q.number}`;
+  let fields;
+
+  switch (q.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI: {
+      const correctLetters = getCorrectLetters(q);
+      // Every listed letter must match an option: grading on the ones that do would be a guess
+      if (!q.options || q.options.length === 0 || !q.options.some(opt => correctLetters.includes(opt.letter)) ||
+          getUnresolvedAnswerReason(q) !== null) {
+        diagnostics.error('Not exported: it has no options, or its answer is missing or names a letter that matches no option.', q);
+        return null;
+      }
+      fields = [q.type === QUESTION_TYPES.MULTIPLE_CHOICE_MULTI ? 'MA' : 'MC', q.text];
+      q.options.forEach(opt => fields.push(opt.text, correctLetters.includes(opt.letter) ? 'correct' : 'incorrect'));
+      break;
+    }
+
+    case QUESTION_TYPES.TRUE_FALSE: {
+      const isTrue = getTrueFalseAnswer(q);
+      if (isTrue === null) {
+        diagnostics.error('Not exported: its True/False answer could not be determined.', q);
+        return null;
+      }
+      fields = ['TF', q.text, isTrue ? 'true' : 'false'];
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const answers = Array.isArray(q.correctAnswer) ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim()) : [];
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no correct answer.', q);
+        return null;
+      }
+      fields = ['FIB', q.text].concat(answers);
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS: {
+      const blanks = getBlankAnswers(q);
+      if (blanks.some(blank => blank.answers.length === 0)) {
+        diagnostics.error('Not exported: some of its blanks have no answer.', q);
+        return null;
+      }
+      // The text names each blank as "[blank1]"; then each name, its answers and an empty field
+      fields = ['FIB_PLUS', replaceBlanks(q.text, name => `[${name}]`)];
+      blanks.forEach(blank => fields.push(blank.name, ...blank.answers, ''));
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC: {
+      const answers = getNumericAnswers(q);
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no numeric answer.', q);
+        return null;
+      }
+      // One answer, with an optional tolerance (a range becomes its middle value ± half its width)
+      if (answers.length > 1) {
+        diagnostics.warning(`Blackboard accepts one numeric answer per question; only ${formatNumericAnswer(answers[0])} was exported.`, q);
+      }
+      const tolerance = getNumericTolerance(answers[0]);
+      fields = ['NUM', q.text, getNumericValue(answers[0])].concat(tolerance > 0 ? [tolerance] : []);
+      break;
+    }
+
+    case QUESTION_TYPES.ESSAY:
+      // An answer key entry becomes the example answer shown to graders
+      fields = ['ESS', q.text].concat(Array.isArray(q.correctAnswer) && q.correctAnswer.length > 0 ? [q.correctAnswer.join(', ')] : []);
+      break;
+
+    case QUESTION_TYPES.MATCHING: {
+      if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+        diagnostics.error('Not exported: it has no matching pairs.', q);
+        return null;
+      }
+      fields = ['MAT', q.text];
+      q.options.forEach(opt => {
+        const pair = q.correctAnswer.find(p => p.premise === opt.letter || p.premise === opt.text);
+        if (pair) fields.push(opt.text, pair.response);
+      });
+      break;
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      const ordered = Array.isArray(q.correctAnswer)
+        ? q.correctAnswer.map(key => (q.options || []).find(opt => opt.letter === key || opt.text === key))
+        : [];
+      if (ordered.length === 0 || ordered.includes(undefined)) {
+        diagnostics.error('Not exported: its answer sequence does not match its options.', q);
+        return null;
+      }
+      fields = ['ORD', q.text].concat(ordered.map(opt => opt.text));
+      break;
+    }
+
+    default:
+      diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+      return null;
+  }
+
+  if (questionHasImages(q)) {
+    diagnostics.warning('Images were removed (the Blackboard upload format is text only).', q);
+  }
+  if (questionHasFeedback(q)) {
+    diagnostics.warning('Feedback was removed (the Blackboard upload format has no feedback).', q);
+  }
+  return fields.map(Blackboard_cell).join('\t');
+}
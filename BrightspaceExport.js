@@ -0,0 +1,249 @@
+/**
+ *  BrightspaceExport.gs – Brightspace (D2L) Question Import CSV Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a CSV file for the Brightspace Question Library "Import > Upload
+ *  a file" option. Each question is a block of rows that starts with
+ *  "NewQuestion,<type>", followed by its text, points, answer rows and feedback.
+ *  Images are not carried by the CSV format; dropped content is recorded in the
+ *  conversion diagnostics.
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_getFeedbackText, QTI_getPoints)
+// - Utilities.gs (stripImagePlaceholders, questionHasImages, getCorrectLetters, getTrueFalseAnswer, getNumericAnswers, getNumericValue,
+//                 getBlankAnswers, replaceBlanks, splitScore, hasSections, storeLastExportFile)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/**
+ * Main function to create the Brightspace question import CSV file.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all image metadata objects (unused; images are dropped).
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save the export file into.
+ * @param {string} quizTitle - The title for the quiz.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped questions and dropped content.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function BrightspaceExport_createCsvFile(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting Brightspace CSV creation for "${quizTitle}"`);
+
+  try {
+    const blocks = [];
+    questionsData.forEach(q => {
+      const rows = Brightspace_createQuestionRows(q, quizTitle, diagnostics);
+      if (rows) blocks.push(rows.map(Brightspace_csvRow).join('\r\n'));
+    });
+    console.log(`Generated ${blocks.length} Brightspace questions.`);
+    if (hasSections(questionsData)) {
+      diagnostics.info('Sections are not part of the Brightspace CSV format; the questions were exported as one list. ' +
+        'Use a question pool in the quiz to draw questions at random.');
+    }
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const fileName = `${safeQuizTitle}_Brightspace.csv`;
+    // A blank row separates questions, as in the Brightspace sample file
+    const exportFile = projectFolder.createFile(fileName, blocks.join('\r\n\r\n') + '\r\n', MimeType.CSV);
+    console.log(`Created Brightspace CSV file: ${fileName}`);
+
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created Brightspace CSV file: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`Brightspace CSV creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating Brightspace CSV file: ${e.message}`
+    };
+  }
+}
+
+/**
+ * Formats one CSV row. Values containing commas, quotes or line breaks are quoted,
+ * and image placeholders are removed from text values.
+ *
+ * @param {Array<*>} values - The cell values.
+ * @return {string} The CSV row.
+ */
+function Brightspace_csvRow(values) {
+  return values.map(value => {
+    const cell = value === null || typeof value === 'undefined' ? '' : stripImagePlaceholders(String(value)).trim();
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',');
+}
+
+/**
+ * Creates the CSV rows for a question, or returns null (recording why) if it
+ * cannot be represented.
+ *
+ * Type codes: MC (multiple choice), TF (true/false), MS (multi-select),
+ * SA (short answer, also used for fill-in-the-blank and numeric answers),
+ * FIB (fill in multiple blanks), WR (written response), M (matching), O (ordering).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} quizTitle - The quiz title, used to build question IDs.
+ * @param {Diagnostics} diagnostics - Collects skipped questions or dropped content.
+ * @return {Array<Array<*>>|null} The rows, or null if skipped.
+ */
+function Brightspace_createQuestionRows(q, quizTitle, diagnostics) {
+  const label = `Question ${q.number}`;
+  const correctFeedback = QTI_getFeedbackText(q, 'correct');
+  let typeCode;
+  let answerRows;
+  let questionTextRows = [['QuestionText', q.text || label]]; // Fill in the blanks gives its text as "Text" rows instead
+
+  switch (q.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI: {
+      const correctLetters = getCorrectLetters(q);
+      if (!q.options || q.options.length === 0 || !q.options.some(opt => correctLetters.includes(opt.letter)) ||
+          getUnresolvedAnswerReason(q) !== null) {
+        diagnostics.error('Not exported: it has no options, or its answer is missing or names a letter that matches no option.', q);
+        return null;
+      }
+      if (q.type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE) {
+        typeCode = 'MC';
+        answerRows = q.options.map(opt => ['Option', correctLetters.includes(opt.letter) ? 100 : 0, opt.text, '', opt.feedback || '']);
+      } else {
+        // Multi-select options are marked 1 (correct) or 0; "RightMinusWrong" matches the partial credit of the other exports
+        typeCode = 'MS';
+        answerRows = [['Scoring', 'RightMinusWrong']].concat(
+          q.options.map(opt => ['Option', correctLetters.includes(opt.letter) ? 1 : 0, opt.text, '', opt.feedback || '']));
+      }
+      break;
+    }
+
+    case QUESTION_TYPES.TRUE_FALSE: {
+      const isTrue = getTrueFalseAnswer(q);
+      if (isTrue === null) {
+        diagnostics.error('Not exported: its True/False answer could not be determined.', q);
+        return null;
+      }
+      const incorrectFeedback = QTI_getFeedbackText(q, 'incorrect');
+      typeCode = 'TF';
+      answerRows = [
+        ['TRUE', isTrue ? 100 : 0, isTrue ? correctFeedback : incorrectFeedback],
+        ['FALSE', isTrue ? 0 : 100, isTrue ? incorrectFeedback : correctFeedback]
+      ];
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const answers = Array.isArray(q.correctAnswer) ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim()) : [];
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no correct answer.', q);
+        return null;
+      }
+      typeCode = 'SA';
+      answerRows = [['InputBox', 1, 40]].concat(answers.map(ans => ['Answer', 100, ans.trim()]));
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC: {
+      const answers = getNumericAnswers(q);
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no numeric answer.', q);
+        return null;
+      }
+      diagnostics.warning('Brightspace has no numeric question type in CSV imports; it was exported as short answer and is compared as text.', q);
+      if (answers.some(ans => ans.min !== ans.max)) {
+        diagnostics.warning('Text answers cannot have a tolerance or range; only the value of each (the middle of a range) was exported.', q);
+      }
+      typeCode = 'SA';
+      const values = [...new Set(answers.map(getNumericValue))];
+      answerRows = [['InputBox', 1, 20]].concat(values.map(value => ['Answer', 100, value]));
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS: {
+      const blanks = getBlankAnswers(q);
+      if (blanks.some(blank => blank.answers.length === 0)) {
+        diagnostics.error('Not exported: some of its blanks have no answer.', q);
+        return null;
+      }
+      if (blanks.some(blank => blank.answers.length > 1)) {
+        diagnostics.warning('Brightspace CSV imports take one answer per blank; only the first answer of each blank was exported.', q);
+      }
+      // The text is split at the blanks into "Text" rows, with a "Blank" row (its share of 100%) between them
+      typeCode = 'FIB';
+      const weights = splitScore(100, blanks.length);
+      const pieces = replaceBlanks(q.text, () => '\u0000').split('\u0000');
+      questionTextRows = [];
+      answerRows = [];
+      pieces.forEach((piece, index) => {
+        if (piece.trim()) answerRows.push(['Text', piece]);
+        if (index < blanks.length) answerRows.push(['Blank', weights[index], blanks[index].answers[0]]);
+      });
+      break;
+    }
+
+    case QUESTION_TYPES.ESSAY:
+      typeCode = 'WR';
+      answerRows = [['InitialText', '']];
+      if (Array.isArray(q.correctAnswer) && q.correctAnswer.length > 0) {
+        answerRows.push(['AnswerKey', q.correctAnswer.join(', ')]);
+      }
+      break;
+
+    case QUESTION_TYPES.MATCHING: {
+      if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+        diagnostics.error('Not exported: it has no matching pairs.', q);
+        return null;
+      }
+      // Choices and matches are linked by a shared number
+      const choiceRows = [];
+      const matchRows = [];
+      q.options.forEach(opt => {
+        const pair = q.correctAnswer.find(p => p.premise === opt.letter || p.premise === opt.text);
+        if (pair) {
+          const pairNumber = choiceRows.length + 1;
+          choiceRows.push(['Choice', pairNumber, opt.text]);
+          matchRows.push(['Match', pairNumber, pair.response]);
+        }
+      });
+      typeCode = 'M';
+      answerRows = [['Scoring', 'EquallyWeighted']].concat(choiceRows, matchRows);
+      break;
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      const ordered = Array.isArray(q.correctAnswer)
+        ? q.correctAnswer.map(key => (q.options || []).find(opt => opt.letter === key || opt.text === key))
+        : [];
+      if (ordered.length === 0 || ordered.includes(undefined)) {
+        diagnostics.error('Not exported: its answer sequence does not match its options.', q);
+        return null;
+      }
+      typeCode = 'O';
+      answerRows = [['Scoring', 'EquallyWeighted']].concat(ordered.map(opt => ['Item', opt.text, '', opt.feedback || '']));
+      break;
+    }
+
+    default:
+      diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+      return null;
+  }
+
+  if (questionHasImages(q)) {
+    diagnostics.warning('Images were removed (add them in Brightspace after importing).', q);
+  }
+
+  const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_\-]/g, '_');
+  return [
+    ['NewQuestion', typeCode],
+    ['ID', `${safeQuizTitle}_Q${q.number}`],
+    ['Title', label]
+  ].concat(questionTextRows, [
+    ['Points', QTI_getPoints(q)],
+    ['Difficulty', 1]
+  ], answerRows, [['Feedback', QTI_getFeedbackText(q, 'general')]]);
+}
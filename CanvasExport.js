@@ -0,0 +1,473 @@
+/**
+ *  CanvasExport.gs – Canvas-flavored QTI 1.2 Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a QTI 1.2 package in the layout Canvas itself exports and imports:
+ *  an imsmanifest.xml, the quiz XML with all items inline, an assessment_meta.xml
+ *  with Canvas quiz settings, a non_cc_assessments copy of the quiz, and images
+ *  under web_resources/. Items carry Canvas's question_type and points_possible
+ *  metadata so every type maps correctly instead of being guessed. Sections that
+ *  pick some of their questions become question groups.
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_createItemXML, QTI_processAndCopyImages, QTI_getPoints, QTI_getSectionPick, QTI_getTotalPoints,
+//                 QTI_createItemMetadataXML, QTI_createFeedbackConditionsXML, QTI_createItemFeedbackXML)
+// - Utilities.gs (sanitizeHtml, replaceImagePlaceholdersWithHtml, getItemHtml, stripImagePlaceholders, groupBySection,
+//                 getBlankAnswers, replaceBlanks, splitScore, storeLastExportFile, XML_MIME)
+// - Diagnostics.gs (Diagnostics)
+// - Constants.gs (QUESTION_TYPES, EXPORT_FORMATS)
+
+'use strict';
+
+/**
+ * Returns the Canvas question_type for a question type.
+ * (A function rather than a lookup table so it does not depend on script file load order.)
+ *
+ * @param {string} type - A QUESTION_TYPES value.
+ * @return {string} The Canvas question_type.
+ */
+function Canvas_getQuestionType(type) {
+  switch (type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE: return 'multiple_choice_question';
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI: return 'multiple_answers_question';
+    case QUESTION_TYPES.TRUE_FALSE: return 'true_false_question';
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT: return 'short_answer_question'; // Canvas calls single-blank FIB "short answer"
+    case QUESTION_TYPES.SHORT_ANSWER: return 'short_answer_question';
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC: return 'numerical_question';
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS: return 'fill_in_multiple_blanks_question';
+    case QUESTION_TYPES.ESSAY: return 'essay_question';
+    case QUESTION_TYPES.MATCHING: return 'matching_question';
+    case QUESTION_TYPES.ORDERING: return 'matching_question'; // Classic quizzes have no ordering type; exported as item → position matching
+    default: return 'text_only_question';
+  }
+}
+
+/** Folder (inside the package) that Canvas imports into course files. */
+const CANVAS_WEB_RESOURCES_PATH = 'web_resources/Uploaded Media/';
+
+/** How item HTML refers to files in CANVAS_WEB_RESOURCES_PATH. */
+const CANVAS_IMAGE_BASE_PATH = '$IMS-CC-FILEBASE$/Uploaded%20Media/';
+
+/**
+ * Main function to create the Canvas QTI export package.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all unique image metadata objects.
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save export files into.
+ * @param {string} quizTitle - The title for the quiz.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped items and grading problems.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function CanvasExport_createCanvasPackage(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting Canvas QTI package creation for "${quizTitle}"`);
+
+  try {
+    const assessmentIdent = `g${Utilities.getUuid().replace(/-/g, '')}`;
+    const metaIdent = `${assessmentIdent}_meta`;
+    const exportOptions = { profile: EXPORT_FORMATS.CANVAS, imageBasePath: CANVAS_IMAGE_BASE_PATH, diagnostics: diagnostics };
+
+    // 1. Create Subfolders (mirroring the paths inside the zip)
+    const quizFolder = projectFolder.createFolder(assessmentIdent);
+    const nonCcFolder = projectFolder.createFolder('non_cc_assessments');
+    const webResourcesFolder = projectFolder.createFolder('web_resources');
+    console.log(`Created subfolders: ${assessmentIdent}, non_cc_assessments, web_resources`);
+
+    // 2. Process and Copy Images
+    const imageFilenameMap = QTI_processAndCopyImages(allImages, webResourcesFolder);
+    console.log(`Processed and copied ${imageFilenameMap.size} images to web_resources folder.`);
+
+    // 3. Generate Items (inline in the quiz XML, grouped by section)
+    const itemEntries = []; // { question, xml } for the items actually exported
+    questionsData.forEach((q, index) => {
+      const itemNumber = q.number || (index + 1);
+      const itemIdent = `${assessmentIdent}_item_${itemNumber}`;
+      const itemXml = Canvas_createItemXML(q, itemIdent, imageFilenameMap, exportOptions);
+      if (itemXml) {
+        itemEntries.push({ question: q, xml: itemXml });
+      } else {
+        console.warn(`Skipping Canvas item generation for question number ${itemNumber} due to generation error or unsupported type.`);
+      }
+    });
+    const itemsXml = Canvas_createGroupedItemsXML(itemEntries, assessmentIdent);
+    const totalPoints = QTI_getTotalPoints(itemEntries.map(entry => entry.question));
+    const shuffleAnswers = Canvas_getShuffleAnswers(itemEntries.map(entry => entry.question), diagnostics);
+    console.log(`Generated ${itemEntries.length} Canvas items.`);
+
+    // 4. Generate Quiz, Meta and Manifest XML
+    const quizXml = Canvas_createQuizXML(quizTitle, assessmentIdent, itemsXml);
+    const metaXml = Canvas_createAssessmentMetaXML(quizTitle, assessmentIdent, totalPoints, shuffleAnswers);
+    const manifestXml = Canvas_createManifestXML(quizTitle, assessmentIdent, metaIdent, imageFilenameMap);
+
+    const quizPath = `${assessmentIdent}/${assessmentIdent}.xml`;
+    const metaPath = `${assessmentIdent}/assessment_meta.xml`;
+    const nonCcPath = `non_cc_assessments/${assessmentIdent}.xml.qti`;
+
+    const quizFile = quizFolder.createFile(`${assessmentIdent}.xml`, quizXml, XML_MIME);
+    const metaFile = quizFolder.createFile('assessment_meta.xml', metaXml, XML_MIME);
+    const nonCcFile = nonCcFolder.createFile(`${assessmentIdent}.xml.qti`, quizXml, XML_MIME);
+    const manifestFile = projectFolder.createFile('imsmanifest.xml', manifestXml, XML_MIME);
+    console.log('Generated imsmanifest.xml, quiz XML and assessment_meta.xml');
+
+    // 5. Collect Files and Create Zip Package
+    const blobs = [
+      manifestFile.getBlob().setName('imsmanifest.xml'),
+      quizFile.getBlob().setName(quizPath),
+      metaFile.getBlob().setName(metaPath),
+      nonCcFile.getBlob().setName(nonCcPath)
+    ];
+    const includedFilenames = new Set(imageFilenameMap.values());
+    const resourceFiles = webResourcesFolder.getFiles();
+    while (resourceFiles.hasNext()) {
+      const file = resourceFiles.next();
+      if (includedFilenames.has(file.getName())) {
+        blobs.push(file.getBlob().setName(`${CANVAS_WEB_RESOURCES_PATH}${file.getName()}`));
+      }
+    }
+    console.log(`Collected ${blobs.length} blobs for zipping.`);
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const zipFileName = `${safeQuizTitle}_Canvas_QTI.zip`;
+    const exportFile = projectFolder.createFile(Utilities.zip(blobs, zipFileName));
+    console.log(`Created zip package: ${zipFileName}`);
+
+    // 6. Store file info for download and return success
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created Canvas QTI package: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`Canvas QTI package creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating Canvas QTI package: ${e.message}`
+    };
+  }
+}
+
+// ==========================================================================
+// Item Generation
+// ==========================================================================
+
+/**
+ * Creates the inline Canvas item XML for a question. Matching and ordering use
+ * Canvas's one-dropdown-per-premise structure; every other type reuses the
+ * QTI 1.2 generators with the Canvas profile.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemIdent - The unique identifier for this item.
+ * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @param {Object} exportOptions - Export options with the Canvas profile and the diagnostics collector.
+ * @return {string|null} The <item> XML (without an XML declaration), or null on failure.
+ */
+function Canvas_createItemXML(q, itemIdent, imageFilenameMap, exportOptions) {
+  let itemXml;
+  try {
+    if (q.type === QUESTION_TYPES.MATCHING) {
+      itemXml = Canvas_createMatchingItem(q, itemIdent, exportOptions);
+    } else if (q.type === QUESTION_TYPES.ORDERING) {
+      itemXml = Canvas_createMatchingItem(Canvas_convertOrderingToMatching(q), itemIdent, exportOptions);
+    } else if (q.type === QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS) {
+      itemXml = Canvas_createMultipleBlanksItem(q, itemIdent, exportOptions);
+    } else {
+      itemXml = QTI_createItemXML(q, itemIdent, imageFilenameMap, exportOptions);
+    }
+  } catch (e) {
+    console.error(`Error generating Canvas XML for item ${itemIdent} (Type: ${q.type}): ${e}`, e.stack);
+    exportOptions.diagnostics.error(`Not exported: an unexpected error occurred (${e.message}).`, q);
+    return null;
+  }
+  // Items are embedded in the quiz file, so drop their standalone XML declaration
+  return itemXml ? itemXml.replace(/^<\?xml[^>]*\?>\s*/, '') : null;
+}
+
+/**
+ * Re-expresses an ordering question as matching: each item is matched to its
+ * position ("1", "2", ...) in the correct sequence.
+ *
+ * @param {Object} q - The ordering question (correctAnswer is an array of option letters/texts).
+ * @return {Object} A copy of the question with matching-style correctAnswer pairs.
+ */
+function Canvas_convertOrderingToMatching(q) {
+  const sequence = Array.isArray(q.correctAnswer) ? q.correctAnswer : [];
+  const pairs = sequence.map((itemKey, index) => ({ premise: itemKey, response: String(index + 1) }));
+  console.log(`Converted ordering question ${q.number} to Canvas matching with ${pairs.length} positions.`);
+  return Object.assign({}, q, { correctAnswer: pairs });
+}
+
+/**
+ * Generates a Canvas matching_question item: one response_lid per premise, each
+ * offering every response, with partial credit per correctly matched premise.
+ * Assumes options are premises ({ letter, text }) and correctAnswer is
+ * [{ premise: 'A', response: '1' }, ...].
+ */
+function Canvas_createMatchingItem(q, itemIdent, exportOptions) {
+  const questionNumber = q.number || itemIdent.split('_').pop();
+  const stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
+
+  if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+    exportOptions.diagnostics.error('Not exported: it has no options or no matching pairs.', q);
+    return null;
+  }
+
+  // Responses are identified by the values used in the answer key (e.g. '1', '2')
+  const uniqueResponses = [...new Set(q.correctAnswer.map(pair => pair.response).filter(r => r))].sort();
+  const responseIdents = new Map();
+  let responseLabelsXml = '';
+  uniqueResponses.forEach((responseVal, index) => {
+    const labelIdent = `match_${String(responseVal).replace(/[^a-zA-Z0-9]/g, '_') || index + 1}`;
+    responseIdents.set(responseVal, labelIdent);
+    responseLabelsXml += `          <response_label ident="${labelIdent}"><material><mattext texttype="text/plain"><![CDATA[${responseVal}]]></mattext></material></response_label>\n`;
+  });
+
+  const premiseCount = q.options.length;
+  const scorePerPremise = Math.round((100 / premiseCount) * 100) / 100;
+  let responseLidsXml = '';
+  let conditionsXml = '';
+  q.options.forEach((premiseOpt, index) => {
+    const premiseKey = premiseOpt.letter || premiseOpt.text;
+    const responseIdent = `response_${premiseOpt.letter || index + 1}`;
+    responseLidsXml += `    <response_lid ident="${responseIdent}">
+      <material><mattext texttype="text/plain"><![CDATA[${stripImagePlaceholders(premiseOpt.text)}]]></mattext></material>
+      <render_choice>
+${responseLabelsXml}      </render_choice>
+    </response_lid>\n`;
+
+    // Answer keys may refer to an ordering item by letter or by its text
+    const pair = q.correctAnswer.find(p => p.premise === premiseKey || p.premise === premiseOpt.text);
+    const labelIdent = pair ? responseIdents.get(pair.response) : null;
+    if (labelIdent) {
+      conditionsXml += `    <respcondition>
+      <conditionvar><varequal respident="${responseIdent}">${labelIdent}</varequal></conditionvar>
+      <setvar varname="SCORE" action="Add">${scorePerPremise}</setvar>
+    </respcondition>\n`;
+    } else {
+      exportOptions.diagnostics.warning(`Item ${premiseKey} has no match in the answer key, so no answer for it scores.`, q);
+    }
+  });
+
+  return `<item ident="${itemIdent}" title="Question ${questionNumber}">
+${QTI_createItemMetadataXML(q, 'Matching', exportOptions)}
+  <presentation>
+    <material><mattext texttype="text/html"><![CDATA[${stemText}]]></mattext></material>
+${responseLidsXml}  </presentation>
+  <resprocessing>
+    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/></outcomes>
+${QTI_createFeedbackConditionsXML(q, null, false)}${conditionsXml}  </resprocessing>
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
+}
+
+/**
+ * Generates a Canvas fill_in_multiple_blanks_question item. Canvas finds the blanks
+ * as "[name]" in the stem, and reads the accepted answers of each from a
+ * response_lid whose labels are those answers; each blank scores its share of 100.
+ */
+function Canvas_createMultipleBlanksItem(q, itemIdent, exportOptions) {
+  const questionNumber = q.number || itemIdent.split('_').pop();
+  const blanks = getBlankAnswers(q);
+  const scores = splitScore(100, blanks.length);
+  const stemText = replaceBlanks(
+    replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath),
+    name => `[${name}]`);
+
+  let responseLidsXml = '';
+  let conditionsXml = '';
+  blanks.forEach((blank, index) => {
+    const responseIdent = `response_${blank.name}`;
+    const labelsXml = blank.answers.map((ans, answerIndex) =>
+      `        <response_label ident="${blank.name}_${answerIndex + 1}"><material><mattext texttype="text/plain">${sanitizeHtml(ans)}</mattext></material></response_label>\n`).join('');
+    responseLidsXml += `    <response_lid ident="${responseIdent}">
+      <material><mattext>${blank.name}</mattext></material>
+      <render_choice>
+${labelsXml}      </render_choice>
+    </response_lid>\n`;
+
+    if (blank.answers.length === 0) {
+      exportOptions.diagnostics.warning(`No answer was given for ${blank.name}, so no response to it scores.`, q);
+      return;
+    }
+    // Canvas reads one accepted answer per <respcondition>; a response matches at most one
+    blank.answers.forEach((ans, answerIndex) => {
+      conditionsXml += `    <respcondition>
+      <conditionvar><varequal respident="${responseIdent}">${blank.name}_${answerIndex + 1}</varequal></conditionvar>
+      <setvar varname="SCORE" action="Add">${scores[index]}</setvar>
+    </respcondition>\n`;
+    });
+  });
+  if (q.caseSensitive) {
+    exportOptions.diagnostics.info('Canvas compares fill-in-multiple-blanks answers ignoring case.', q);
+  }
+
+  return `<item ident="${itemIdent}" title="Question ${questionNumber}">
+${QTI_createItemMetadataXML(q, 'Fill in Multiple Blanks', exportOptions)}
+  <presentation>
+    <material><mattext texttype="text/html"><![CDATA[${stemText}]]></mattext></material>
+${responseLidsXml}  </presentation>
+  <resprocessing>
+    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/></outcomes>
+${QTI_createFeedbackConditionsXML(q, null, false)}${conditionsXml}  </resprocessing>
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
+}
+
+// ==========================================================================
+// Quiz, Meta and Manifest XML
+// ==========================================================================
+
+/**
+ * Lays out the items of the quiz. A section that picks some of its questions
+ * becomes a Canvas question group (a <section> with a selection number and
+ * points per item); the items of every other section are placed directly in the
+ * quiz, since Canvas has no plain sections.
+ *
+ * @param {Array<Object>} itemEntries - [{ question, xml }] for the exported items, in order.
+ * @param {string} assessmentIdent - The quiz identifier, used to build group identifiers.
+ * @return {string} The items and question groups XML.
+ */
+function Canvas_createGroupedItemsXML(itemEntries, assessmentIdent) {
+  return groupBySection(itemEntries, entry => entry.question).map((group, index) => {
+    const itemsXml = group.items.map(entry => entry.xml + '\n').join('');
+    const pick = QTI_getSectionPick(group.section, group.items.length);
+    if (pick === null) {
+      return itemsXml;
+    }
+    return `      <section ident="${assessmentIdent}_group_${index + 1}" title="${sanitizeHtml(group.section.title)}">
+        <selection_ordering>
+          <selection>
+            <selection_number>${pick}</selection_number>
+            <selection_extension><points_per_item>${QTI_getPoints(group.items[0].question)}</points_per_item></selection_extension>
+          </selection>
+        </selection_ordering>
+${itemsXml}      </section>
+`;
+  }).join('');
+}
+
+/**
+ * Creates the Canvas quiz XML containing every item (and question group) inline in a single section.
+ *
+ * @param {string} title - The quiz title.
+ * @param {string} assessmentIdent - The quiz identifier.
+ * @param {string} itemsXml - The concatenated <item> elements and question groups.
+ * @return {string} The quiz XML content.
+ */
+function Canvas_createQuizXML(title, assessmentIdent, itemsXml) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/ims_qtiasiv1p2 http://www.imsglobal.org/xsd/ims_qtiasiv1p2p1.xsd">
+  <assessment ident="${assessmentIdent}" title="${sanitizeHtml(title)}">
+    <qtimetadata>
+      <qtimetadatafield><fieldlabel>cc_maxattempts</fieldlabel><fieldentry>1</fieldentry></qtimetadatafield>
+    </qtimetadata>
+    <section ident="root_section">
+${itemsXml}    </section>
+  </assessment>
+</questestinterop>`;
+}
+
+/**
+ * Decides the quiz's "Shuffle answers" setting. Canvas shuffles the answers of every
+ * choice and matching question in a quiz or none, so answers are shuffled only if all
+ * such questions ask for it; a mix is recorded, and nothing is shuffled.
+ *
+ * @param {Array<Object>} questions - The exported questions (see applyShuffleSetting).
+ * @param {Diagnostics} diagnostics - Collector for questions whose setting cannot be kept.
+ * @return {boolean} True if Canvas should shuffle the answers.
+ */
+function Canvas_getShuffleAnswers(questions, diagnostics) {
+  const shuffledTypes = [QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE, QUESTION_TYPES.MULTIPLE_CHOICE_MULTI, QUESTION_TYPES.MATCHING];
+  const choiceQuestions = questions.filter(q => shuffledTypes.includes(q.type));
+  const shuffled = choiceQuestions.filter(q => q.shuffle);
+  if (shuffled.length > 0 && shuffled.length < choiceQuestions.length) {
+    diagnostics.info(`Canvas shuffles answers for a whole quiz, and some questions are marked not to be shuffled, so no answers were ` +
+      `shuffled (questions ${shuffled.map(q => q.number).join(', ')} asked for it). Turn on "Shuffle answers" in Canvas if you prefer.`);
+  }
+  return choiceQuestions.length > 0 && shuffled.length === choiceQuestions.length;
+}
+
+/**
+ * Creates assessment_meta.xml, which holds the Canvas quiz settings.
+ *
+ * @param {string} title - The quiz title.
+ * @param {string} assessmentIdent - The quiz identifier.
+ * @param {number} totalPoints - Points a student can earn (see QTI_getTotalPoints).
+ * @param {boolean} shuffleAnswers - Whether Canvas shuffles the answers (see Canvas_getShuffleAnswers).
+ * @return {string} The assessment_meta.xml content.
+ */
+function Canvas_createAssessmentMetaXML(title, assessmentIdent, totalPoints, shuffleAnswers) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz identifier="${assessmentIdent}" xmlns="http://canvas.instructure.com/xsd/cccv1p0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://canvas.instructure.com/xsd/cccv1p0 https://canvas.instructure.com/xsd/cccv1p0.xsd">
+  <title>${sanitizeHtml(title)}</title>
+  <description></description>
+  <shuffle_answers>${shuffleAnswers}</shuffle_answers>
+  <scoring_policy>keep_highest</scoring_policy>
+  <hide_results></hide_results>
+  <quiz_type>assignment</quiz_type>
+  <points_possible>${totalPoints}</points_possible>
+  <require_lockdown_browser>false</require_lockdown_browser>
+  <require_lockdown_browser_for_results>false</require_lockdown_browser_for_results>
+  <require_lockdown_browser_monitor>false</require_lockdown_browser_monitor>
+  <show_correct_answers>true</show_correct_answers>
+  <anonymous_submissions>false</anonymous_submissions>
+  <could_be_locked>false</could_be_locked>
+  <allowed_attempts>1</allowed_attempts>
+  <one_question_at_a_time>false</one_question_at_a_time>
+  <cant_go_back>false</cant_go_back>
+  <available>false</available>
+  <one_time_results>false</one_time_results>
+  <show_correct_answers_last_attempt>false</show_correct_answers_last_attempt>
+  <only_visible_to_overrides>false</only_visible_to_overrides>
+  <module_locked>false</module_locked>
+</quiz>`;
+}
+
+/**
+ * Creates the imsmanifest.xml for the Canvas package. The quiz resource depends on
+ * the learning-application-resource that carries assessment_meta.xml and the
+ * non_cc_assessments copy.
+ *
+ * @param {string} title - The quiz title.
+ * @param {string} assessmentIdent - The quiz identifier.
+ * @param {string} metaIdent - The identifier for the assessment_meta resource.
+ * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @return {string} The imsmanifest.xml content.
+ */
+function Canvas_createManifestXML(title, assessmentIdent, metaIdent, imageFilenameMap) {
+  const manifestIdent = `manifest_${Utilities.getUuid().replace(/-/g, '')}`;
+  const sanitizedTitle = sanitizeHtml(title);
+
+  let imageResourcesXML = '';
+  new Set(imageFilenameMap.values()).forEach(filename => {
+    const imageResourceIdent = `resource_${filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
+    imageResourcesXML += `    <resource identifier="${imageResourceIdent}" type="webcontent" href="${CANVAS_WEB_RESOURCES_PATH}${filename}">\n`;
+    imageResourcesXML += `      <file href="${CANVAS_WEB_RESOURCES_PATH}${filename}"/>\n`;
+    imageResourcesXML += `    </resource>\n`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestIdent}" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1" xmlns:lom="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource" xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lomresource_v1p0.xsd http://www.imsglobal.org/xsd/imsmd_v1p2 http://www.imsglobal.org/xsd/imsmd_v1p2p2.xsd">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title>
+          <imsmd:string>${sanitizedTitle}</imsmd:string>
+        </imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${assessmentIdent}" type="imsqti_xmlv1p2">
+      <file href="${assessmentIdent}/${assessmentIdent}.xml"/>
+      <dependency identifierref="${metaIdent}"/>
+    </resource>
+    <resource identifier="${metaIdent}" type="associatedcontent/imscc_xmlv1p1/learning-application-resource" href="${assessmentIdent}/assessment_meta.xml">
+      <file href="${assessmentIdent}/assessment_meta.xml"/>
+      <file href="non_cc_assessments/${assessmentIdent}.xml.qti"/>
+    </resource>
+${imageResourcesXML}  </resources>
+</manifest>`;
+}
@@ -1,12 +1,25 @@
 /**
- * Code.gs – Main entry point and orchestrator for the QTI 1.2 conversion.
+ * Code.gs – Main entry point and orchestrator for the quiz conversion (generic QTI 1.2, Canvas, QTI 2.1, QTI 3.0, Moodle XML, GIFT, Aiken, Blackboard and Brightspace).
  */
 
 // Dependencies:
-// - QuestionParsing.gs (parseQuestions)
-// - AnswerKeyParsing.gs (parseAnswerKey)
-// - QTIExport.gs (QTIExport_createQTIPackage - to be created)
-// - Utilities.gs (formatTimestamp)
+// - QuestionParsing.gs (parseQuestions, applyShuffleSetting)
+// - AnswerKeyParsing.gs (parseAnswerKey, addInlineAnswers)
+// - QTIExport.gs (QTIExport_createQTIPackage)
+// - CanvasExport.gs (CanvasExport_createCanvasPackage)
+// - QTI21Export.gs (QTI21Export_createPackage)
+// - QTI3Export.gs (QTI3Export_createPackage)
+// - MoodleExport.gs (MoodleExport_createMoodleXml)
+// - GiftExport.gs (GiftExport_createGiftFile)
+// - AikenExport.gs (AikenExport_createAikenFile)
+// - BlackboardExport.gs (BlackboardExport_createUploadFile)
+// - BrightspaceExport.gs (BrightspaceExport_createCsvFile)
+// - Utilities.gs (formatTimestamp, stripImagePlaceholders, questionHasImages, getNumericAnswers, formatNumericAnswer, formatBlankAnswers)
+// - Validation.gs (validateAnswers, getUnresolvedAnswerReason)
+// - Settings.gs (resolveConversionSettings)
+// - Accessibility.gs (checkAccessibility)
+// - QTIImport.gs (QTIImport_importPackage)
+// - Diagnostics.gs (Diagnostics)
 // - AppError.gs
 // - Sidebar.html
 
@@ -16,7 +29,7 @@
 function onOpen() {
   DocumentApp.getUi()
     .createMenu('Quiz Tools')
-    .addItem('Open QTI Converter', 'showSidebar')
+    .addItem('Open Quiz Converter', 'showSidebar')
     // Removed 'Apply Quick Fixes' and 'Audit Question Types' for simplification
     .addToUi();
 }
@@ -28,7 +41,7 @@ function showSidebar() {
   try {
     // Assumes Sidebar.html exists and is updated to remove format selection
     const template = HtmlService.createTemplateFromFile('Sidebar');
-    const evaluated = template.evaluate().setTitle('QTI 1.2 Converter').setWidth(300);
+    const evaluated = template.evaluate().setTitle('Quiz Converter').setWidth(300);
     DocumentApp.getUi().showSidebar(evaluated);
     console.log('Sidebar shown.');
     return 'Sidebar created'; // Return value primarily for testing/logging
@@ -60,6 +73,8 @@ function include(filename) {
  * @return {Array<Object>} A new array where each question object is augmented
  *                         with a `correctAnswer` property containing the data
  *                         from the answerMap, or null if no answer was found.
+ *                         The `type` is refreshed from the `questionTypes` map, since
+ *                         answer key parsing may refine it (e.g. single → multiple answer).
  */
 function combineQuestionsAndAnswers(questions, answerMap) {
   if (!Array.isArray(questions)) {
@@ -79,13 +94,15 @@ function combineQuestionsAndAnswers(questions, answerMap) {
 
     const answerData = answerMap.get(q.number); // Get answer using question number
 
+    // A missing answer is reported by validateAnswers (or the preview), not here
     if (typeof answerData === 'undefined') {
-        console.warn(`No answer found in map for question number: ${q.number}`);
+        console.log(`No answer found in map for question number: ${q.number}`);
     }
 
     // Create a new object combining question and its answer
     // Using Object.assign to avoid modifying the original question object directly
     return Object.assign({}, q, {
+      type: questionTypes.get(q.number) || q.type, // Pick up any type refined by the answer key
       correctAnswer: typeof answerData !== 'undefined' ? answerData : null // Add answerData or null
     });
   }).filter(q => q !== null); // Filter out any skipped invalid questions
@@ -93,66 +110,253 @@ function combineQuestionsAndAnswers(questions, answerMap) {
 
 
 /**
- * Orchestrates the conversion process from Google Doc to QTI 1.2 format.
+ * Runs the exporter for the selected format.
+ *
+ * @param {string} exportFormat - One of EXPORT_FORMATS.
+ * @param {Array<Object>} combinedData - Combined question & answer objects.
+ * @param {Array<Object>} allImages - All image metadata objects.
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The folder to save export files into.
+ * @param {string} quizTitle - The title for the quiz.
+ * @param {Diagnostics} diagnostics - Collector for content the format cannot represent.
+ * @return {Object} The exporter's result object: { success, fileUrl?, message? }
+ */
+function runExporter(exportFormat, combinedData, allImages, projectFolder, quizTitle, diagnostics) {
+  switch (exportFormat) {
+    case EXPORT_FORMATS.CANVAS:
+      return CanvasExport_createCanvasPackage(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.QTI_21:
+      return QTI21Export_createPackage(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.QTI_30:
+      return QTI3Export_createPackage(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.MOODLE:
+      return MoodleExport_createMoodleXml(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.GIFT:
+      return GiftExport_createGiftFile(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.AIKEN:
+      return AikenExport_createAikenFile(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.BLACKBOARD:
+      return BlackboardExport_createUploadFile(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.BRIGHTSPACE:
+      return BrightspaceExport_createCsvFile(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+    case EXPORT_FORMATS.QTI_12:
+    default:
+      return QTIExport_createQTIPackage(combinedData, allImages, projectFolder, quizTitle, diagnostics);
+  }
+}
+
+/**
+ * Parses the questions and answer key of the active document and combines them.
+ * Reads the document only; nothing is written to Drive.
+ *
+ * @param {Object} options - Conversion settings (see resolveConversionSettings).
+ * @param {number} [options.defaultPoints] - Points for questions without a "[n pts]" marker.
+ * @param {boolean} [options.downscaleImages] - Downscale large images (see downscaleImage).
+ * @param {boolean} [options.shuffleAnswers] - Shuffle the options of questions without a shuffle tag (see applyShuffleSetting).
+ * @param {boolean} [options.caseSensitive] - Text answers must match in case.
+ * @param {Diagnostics} diagnostics - Collector for problems found while parsing, including accessibility problems.
+ * @return {{combinedData: Array<Object>, allImages: Array<Object>}} The combined question & answer
+ *         objects and all image metadata objects.
+ * @throws {AppError} If no questions could be parsed.
+ */
+function parseDocumentQuestions(options, diagnostics) {
+  // 1. Parse Questions and Images
+  const { questions: parsedQuestions, images: allImages } = parseQuestions({ defaultPoints: options.defaultPoints, downscaleImages: options.downscaleImages, diagnostics: diagnostics });
+  if (!parsedQuestions || parsedQuestions.length === 0) {
+     throw new AppError("Parsing Error", "No questions could be parsed from the document.");
+  }
+  console.log(`Parsed ${parsedQuestions.length} questions and found ${allImages.length} image references.`);
+
+  // 2. Parse Answer Key
+  const answerMap = parseAnswerKey(diagnostics, parsedQuestions); // Returns a Map { number: answerData }
+  console.log(`Parsed answers for ${answerMap.size} questions.`);
+  addInlineAnswers(answerMap, parsedQuestions, diagnostics); // Options marked correct in the questions fill the gaps
+
+  // 3. Combine Questions and Answers
+  const combinedData = combineQuestionsAndAnswers(parsedQuestions, answerMap);
+  if (combinedData.length !== parsedQuestions.length) {
+      console.warn(`Number of combined items (${combinedData.length}) differs from initially parsed questions (${parsedQuestions.length}). Check for parsing errors or data loss.`);
+  }
+  console.log(`Combined data prepared for ${combinedData.length} questions.`);
+  applyShuffleSetting(combinedData, options.shuffleAnswers); // Types are final only after combining
+  combinedData.forEach(q => { q.caseSensitive = options.caseSensitive === true; }); // Read by the text answer generators
+
+  // 4. Accessibility checks (warnings only; shown in the preview and before export)
+  checkAccessibility(combinedData, diagnostics);
+
+  return { combinedData, allImages };
+}
+
+/**
+ * Parses the document without exporting anything and returns a summary of every
+ * question, so the user can check what was understood before converting.
+ * Called from the sidebar UI ("Preview").
+ *
+ * @param {Object} options - (Optional) Conversion settings from the sidebar; settings not given
+ *                           are taken from the document's saved settings (see resolveConversionSettings).
+ * @return {Object} Result object for the sidebar: { success: boolean, message: string,
+ *                  questions?: Array<Object>, diagnostics: Array<Object> } – see createQuestionPreview for the
+ *                  question fields; `diagnostics` holds the parsing problems not tied to a question.
+ */
+function previewConversion(options = {}) {
+  const diagnostics = new Diagnostics();
+  try {
+    console.log('Starting conversion preview...');
+    const settings = resolveConversionSettings(options);
+    const { combinedData } = parseDocumentQuestions(settings, diagnostics);
+    const questions = combinedData.map(q => createQuestionPreview(q, diagnostics));
+    const flaggedCount = questions.filter(q => q.warnings.length > 0).length;
+    // Problems that no question card can show (e.g. a missing answer key)
+    const otherDiagnostics = diagnostics.getEntries()
+      .filter(entry => !questions.some(q => q.number === entry.questionNumber));
+
+    return {
+      success: true,
+      message: `Found ${questions.length} question${questions.length === 1 ? '' : 's'}` +
+        (flaggedCount > 0 ? `; ${flaggedCount} need${flaggedCount === 1 ? 's' : ''} attention.` : '.'),
+      questions: questions,
+      diagnostics: otherDiagnostics
+    };
+
+  } catch (e) {
+    console.error('Preview failed:', e);
+    const userMessage = e instanceof AppError ? e.userMessage : `An unexpected error occurred: ${e.message}`;
+    return {
+      success: false,
+      message: `Error: ${userMessage}`,
+      diagnostics: diagnostics.getEntries()
+    };
+  }
+}
+
+/**
+ * Builds the preview summary of a combined question for the sidebar. Only plain,
+ * serializable values are returned (image placeholders are removed from text).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Diagnostics} diagnostics - The parsing diagnostics; those for this question are listed first in `warnings`.
+ * @return {Object} { number, type, typeLabel, text, points, options: [{letter, text}], answer, imageCount, warnings }
+ */
+function createQuestionPreview(q, diagnostics) {
+  const imageIds = new Set((q.images || []).map(img => img.id));
+  (q.options || []).forEach(opt => (opt.images || []).forEach(img => imageIds.add(img.id)));
+
+  return {
+    number: q.number,
+    type: q.type,
+    typeLabel: QUESTION_TYPE_LABELS[q.type] || q.type,
+    text: stripImagePlaceholders(q.text),
+    points: q.points,
+    options: (q.options || []).map(opt => ({ letter: opt.letter, text: stripImagePlaceholders(opt.text) })),
+    answer: formatAnswerForPreview(q),
+    imageCount: imageIds.size,
+    warnings: diagnostics.forQuestion(q.number).map(entry => entry.message).concat(getQuestionPreviewWarnings(q))
+  };
+}
+
+/**
+ * Formats a question's detected answer as a short string (e.g. "A, C" or "A → 2, B → 1").
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {string} The formatted answer, or an empty string if there is none.
+ */
+function formatAnswerForPreview(q) {
+  const answer = q.correctAnswer;
+  if (answer === null || typeof answer === 'undefined') return '';
+  if (q.type === QUESTION_TYPES.MATCHING && Array.isArray(answer)) {
+    return answer.map(pair => `${pair.premise} → ${pair.response}`).join(', ');
+  }
+  if (q.type === QUESTION_TYPES.FILL_IN_BLANK_NUMERIC && Array.isArray(answer)) {
+    return getNumericAnswers(q).map(formatNumericAnswer).join('; ');
+  }
+  if (q.type === QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS && Array.isArray(answer)) {
+    return formatBlankAnswers(q);
+  }
+  return Array.isArray(answer) ? answer.join(', ') : String(answer);
+}
+
+/**
+ * Lists the problems that would make a question export incorrectly, such as an
+ * answer letter that matches no option (the same check validateAnswers runs
+ * before exporting).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {Array<string>} Warning messages (empty if the question looks complete).
+ */
+function getQuestionPreviewWarnings(q) {
+  const warnings = [];
+  if (!stripImagePlaceholders(q.text) && !questionHasImages(q)) {
+    warnings.push('The question has no text.');
+  }
+  const answerProblem = getUnresolvedAnswerReason(q);
+  if (answerProblem) {
+    warnings.push(answerProblem);
+  }
+  return warnings;
+}
+
+/**
+ * Orchestrates the conversion process from Google Doc to the selected export format.
  * Called from the sidebar UI.
  *
- * @param {Object} options - (Optional) Placeholder for any future options. Currently unused.
- * @return {Object} Result object for the sidebar: { success: boolean, message: string, exportFolderUrl?: string, fileUrl?: string }
+ * @param {Object} options - (Optional) Conversion settings from the sidebar. Settings not given are
+ *                           taken from the document's saved settings, then from getConversionSettingsDefaults.
+ * @param {string} [options.exportFormat] - One of EXPORT_FORMATS. Defaults to generic QTI 1.2.
+ * @param {number} [options.defaultPoints] - Points for questions without a "[n pts]" marker.
+ * @param {boolean} [options.downscaleImages] - Downscale images over IMAGE_DOWNSCALE_MIN_BYTES before export.
+ * @param {boolean} [options.shuffleAnswers] - Shuffle answer options, except in questions tagged "[noshuffle]".
+ * @param {boolean} [options.caseSensitive] - Text answers must match in case.
+ * @param {string} [options.quizTitle] - The quiz title in the export. Defaults to the document name.
+ * @param {boolean} [options.allowUngraded] - Export questions without a usable answer ungraded. By default
+ *                                            (strict mode) any such question stops the conversion.
+ * @return {Object} Result object for the sidebar: { success: boolean, message: string, exportFolderUrl?: string, fileUrl?: string,
+ *                  diagnostics: Array<Object> } – diagnostics list the problems found while parsing and exporting,
+ *                  as { severity, message, questionNumber, elementIndex } (see Diagnostics.gs).
  */
 function startConversion(options = {}) {
+  const diagnostics = new Diagnostics();
   try {
-    console.log('Starting QTI 1.2 conversion process...');
+    const settings = resolveConversionSettings(options);
+    const exportFormat = settings.exportFormat;
+    const formatLabel = EXPORT_FORMAT_LABELS[exportFormat];
+    console.log(`Starting ${formatLabel} conversion process...`);
     const doc = DocumentApp.getActiveDocument();
     const docName = doc.getName() || 'Untitled Document';
+    const quizTitle = settings.quizTitle || docName;
+
+    // --- Parsing ---
+    const { combinedData, allImages } = parseDocumentQuestions(settings, diagnostics);
+
+    // --- Validation --- (before the folder is created, so a blocked export leaves nothing behind)
+    validateAnswers(combinedData, settings, diagnostics);
 
     // --- Folder Setup ---
     const mainFolder = getOrCreateMainFolder();
     const timestamp = formatTimestamp(new Date());
     // Sanitize docName slightly for folder name if needed
     const safeDocName = docName.replace(/[/\\?%*:|"<>]/g, '-'); // Basic sanitization
-    const projectFolder = mainFolder.createFolder(`${safeDocName} - QTI 1.2 - ${timestamp}`);
+    const projectFolder = mainFolder.createFolder(`${safeDocName} - ${formatLabel} - ${timestamp}`);
     console.log(`Created project folder: ${projectFolder.getName()}`);
 
-    // --- Parsing ---
-    // 1. Parse Questions and Images
-    const { questions: parsedQuestions, images: allImages } = parseQuestions();
-    if (!parsedQuestions || parsedQuestions.length === 0) {
-       throw new AppError("Parsing Error", "No questions could be parsed from the document.");
-    }
-    console.log(`Parsed ${parsedQuestions.length} questions and found ${allImages.length} image references.`);
-
-    // 2. Parse Answer Key
-    const answerMap = parseAnswerKey(); // Returns a Map { number: answerData }
-    console.log(`Parsed answers for ${answerMap.size} questions.`);
-
-    // 3. Combine Questions and Answers
-    const combinedData = combineQuestionsAndAnswers(parsedQuestions, answerMap);
-    if (combinedData.length !== parsedQuestions.length) {
-        console.warn(`Number of combined items (${combinedData.length}) differs from initially parsed questions (${parsedQuestions.length}). Check for parsing errors or data loss.`);
-    }
-    console.log(`Combined data prepared for ${combinedData.length} questions.`);
-
     // --- Export ---
-    // Call the specific QTI 1.2 export function (to be implemented in QTIExport.gs)
-    // It needs the combined data, all image metadata, the output folder, and the quiz title.
-    // Assuming the function is named QTIExport_createQTIPackage
-    const exportResult = QTIExport_createQTIPackage(combinedData, allImages, projectFolder, docName);
+    // The exporter needs the combined data, all image metadata, the output folder, and the quiz title.
+    const exportResult = runExporter(exportFormat, combinedData, allImages, projectFolder, quizTitle, diagnostics);
 
-    console.log('QTI 1.2 Export function completed.');
+    console.log(`${formatLabel} export function completed.`);
 
     // Check export result structure (assuming it returns { success, fileUrl, ... })
     if (!exportResult || !exportResult.success) {
-        throw new Error(`QTI package creation failed. Reason: ${exportResult?.message || 'Unknown error from exporter.'}`);
+        throw new Error(`${formatLabel} package creation failed. Reason: ${exportResult?.message || 'Unknown error from exporter.'}`);
     }
 
     // --- Success Response ---
-    const successMessage = `Conversion to QTI 1.2 completed successfully for ${combinedData.length} questions.`;
+    const successMessage = `Conversion to ${formatLabel} completed successfully for ${combinedData.length} questions.`;
     console.log(successMessage);
     return {
       success: true,
       exportFolderUrl: projectFolder.getUrl(),
-      fileUrl: exportResult.fileUrl, // URL of the generated ZIP file
-      message: successMessage
+      fileUrl: exportResult.fileUrl, // URL of the generated export file
+      message: successMessage,
+      diagnostics: diagnostics.getEntries()
     };
 
   } catch (e) {
@@ -170,12 +374,13 @@ function startConversion(options = {}) {
      }
 
     // Display error in UI
-    ui.alert('QTI Conversion Error', userMessage, ui.ButtonSet.OK);
+    ui.alert('Conversion Error', userMessage, ui.ButtonSet.OK);
 
     // Return error structure to sidebar
     return {
       success: false,
-      message: `Error: ${userMessage}`
+      message: `Error: ${userMessage}`,
+      diagnostics: diagnostics.getEntries() // Often explains why nothing could be exported
     };
     // Note: Re-throwing 'e' might be desirable for Apps Script's execution log,
     // but returning the structure allows the sidebar JS to handle the failure gracefully.
@@ -184,6 +389,59 @@ function startConversion(options = {}) {
   }
 }
 
+/**
+ * Imports a QTI 1.2 package from Drive into a new Google Doc, written in the layout
+ * this tool converts (numbered questions, options and an "Answer Key").
+ * Called from the sidebar's Import section.
+ *
+ * @param {Object} options - Import options from the sidebar.
+ * @param {string} options.fileId - The package's Drive file ID, or a Drive link to it.
+ * @return {Object} Result object for the sidebar: { success: boolean, message: string, docUrl?: string,
+ *                  diagnostics: Array<Object> } – diagnostics list the content that could not be imported.
+ */
+function startImport(options = {}) {
+  const diagnostics = new Diagnostics();
+  try {
+    // Accept a link such as https://drive.google.com/file/d/<id>/view as well as a bare ID
+    const idMatch = String(options.fileId || '').match(/[-\w]{25,}/);
+    if (!idMatch) {
+      throw new AppError(`Invalid file reference: "${options.fileId}"`, 'Paste the Drive link or file ID of the QTI .zip file to import.');
+    }
+
+    let file;
+    try {
+      file = DriveApp.getFileById(idMatch[0]);
+    } catch (e) {
+      throw new AppError(`Cannot open file ${idMatch[0]}: ${e}`, 'The file could not be opened. Check the link and that you have access to the file.');
+    }
+    console.log(`Starting import of "${file.getName()}"...`);
+
+    const fallbackTitle = file.getName().replace(/\.zip$/i, '') || 'Imported Quiz';
+    const result = QTIImport_importPackage(file.getBlob(), fallbackTitle, diagnostics);
+
+    const successMessage = `Imported ${result.questionCount} questions into "${result.docName}".`;
+    console.log(successMessage);
+    return {
+      success: true,
+      docUrl: result.docUrl,
+      message: successMessage,
+      diagnostics: diagnostics.getEntries()
+    };
+
+  } catch (e) {
+    console.error('Import failed:', e);
+    const userMessage = e instanceof AppError ? e.userMessage : `An unexpected error occurred: ${e.message}`;
+    if (e.stack) {
+      console.error(`Stack Trace: ${e.stack}`);
+    }
+    return {
+      success: false,
+      message: `Error: ${userMessage}`,
+      diagnostics: diagnostics.getEntries()
+    };
+  }
+}
+
 /**
  * Retrieves or creates the main parent folder for all quiz exports.
  * @return {GoogleAppsScript.Drive.Folder} The Drive Folder object.
@@ -203,7 +461,7 @@ function getOrCreateMainFolder() {
 }
 
 /**
- * Prepares the last exported QTI package for direct download via the sidebar.
+ * Prepares the last exported file for direct download via the sidebar.
  * Retrieves the file ID and name stored in Script Properties by the export function.
  *
  * @return {Object} Object containing base64 data, mime type, and filename for download.
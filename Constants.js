@@ -11,6 +11,7 @@ const QUESTION_TYPES = {
   TRUE_FALSE: "true_false",                         // QTI: response_lid (like MC Single with T/F options)
   FILL_IN_BLANK_TEXT: "fill_in_blank_text",         // QTI: response_str
   FILL_IN_BLANK_NUMERIC: "fill_in_blank_numeric",   // QTI: response_num
+  FILL_IN_MULTIPLE_BLANKS: "fill_in_multiple_blanks", // QTI: one response_str per blank, scored per blank
   ESSAY: "essay",                                   // QTI: response_str (usually manually graded)
   SHORT_ANSWER: "short_answer",                     // QTI: response_str (can have respcondition matching)
   MATCHING: "matching",                             // QTI: response_lid (Multiple Cardinality, complex setup)
@@ -18,6 +19,105 @@ const QUESTION_TYPES = {
   // Add other types if needed and feasible within QTI 1.2
 };
 
+// Human-readable names for the question types, shown in the sidebar preview.
+const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE]: "Multiple Choice",
+  [QUESTION_TYPES.MULTIPLE_CHOICE_MULTI]: "Multiple Answer",
+  [QUESTION_TYPES.TRUE_FALSE]: "True/False",
+  [QUESTION_TYPES.FILL_IN_BLANK_TEXT]: "Fill in the Blank",
+  [QUESTION_TYPES.FILL_IN_BLANK_NUMERIC]: "Numeric",
+  [QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS]: "Fill in Multiple Blanks",
+  [QUESTION_TYPES.ESSAY]: "Essay",
+  [QUESTION_TYPES.SHORT_ANSWER]: "Short Answer",
+  [QUESTION_TYPES.MATCHING]: "Matching",
+  [QUESTION_TYPES.ORDERING]: "Ordering"
+};
+
+// Type tags a question may start with (e.g. "1. [MA] Which are prime?"). A tag sets the
+// type outright: neither the options nor the answer key can change it afterwards.
+const QUESTION_TYPE_TAGS = {
+  MC: QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE,
+  MA: QUESTION_TYPES.MULTIPLE_CHOICE_MULTI,
+  TF: QUESTION_TYPES.TRUE_FALSE,
+  FIB: QUESTION_TYPES.FILL_IN_BLANK_TEXT,
+  SA: QUESTION_TYPES.SHORT_ANSWER,
+  ESSAY: QUESTION_TYPES.ESSAY,
+  NUM: QUESTION_TYPES.FILL_IN_BLANK_NUMERIC,
+  MATCH: QUESTION_TYPES.MATCHING,
+  ORDER: QUESTION_TYPES.ORDERING
+};
+
 // Global Map to store the determined type for each question number during parsing.
 // This is crucial for linking questions to correctly parsed answers and guiding export.
-const questionTypes = new Map();
\ No newline at end of file
+const questionTypes = new Map();
+
+// Numbers of the questions whose type was set by a tag, so later steps leave questionTypes alone for them.
+const taggedQuestionNumbers = new Set();
+
+// Option letters of each question, so the answer key can tell "ACD" (three options) from a word such as "Bad".
+const questionOptionLetters = new Map();
+
+// Severity of an entry recorded by the Diagnostics collector (Diagnostics.gs).
+const DIAGNOSTIC_SEVERITY = {
+  ERROR: "error",     // The question was skipped or will be graded incorrectly
+  WARNING: "warning", // Content was dropped or guessed, but the question was exported
+  INFO: "info"        // Nothing to fix; e.g. a setting to adjust after import
+};
+
+// Points awarded for a question when neither the document ("[3 pts]") nor the sidebar specifies a value.
+const DEFAULT_QUESTION_POINTS = 1;
+
+// Export formats selectable in the sidebar, with the labels used in folder names and messages.
+const EXPORT_FORMATS = {
+  QTI_12: "qti12",  // Generic IMS QTI 1.2 package
+  CANVAS: "canvas", // Canvas-flavored QTI 1.2 package (question_type metadata, assessment_meta.xml)
+  QTI_21: "qti21",  // IMS QTI 2.1 content package (assessmentItem / assessmentTest)
+  QTI_30: "qti30",  // IMS QTI 3.0 content package (qti-assessment-item / qti-assessment-test)
+  MOODLE: "moodle", // Moodle XML file with embedded images
+  GIFT: "gift",     // GIFT plain-text file (no images)
+  AIKEN: "aiken",   // Aiken plain-text file (single-answer multiple choice only)
+  BLACKBOARD: "blackboard",  // Blackboard Learn tab-delimited question upload file
+  BRIGHTSPACE: "brightspace" // Brightspace (D2L) question library CSV file
+};
+
+const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.QTI_12]: "QTI 1.2",
+  [EXPORT_FORMATS.CANVAS]: "Canvas QTI",
+  [EXPORT_FORMATS.QTI_21]: "QTI 2.1",
+  [EXPORT_FORMATS.QTI_30]: "QTI 3.0",
+  [EXPORT_FORMATS.MOODLE]: "Moodle XML",
+  [EXPORT_FORMATS.GIFT]: "GIFT",
+  [EXPORT_FORMATS.AIKEN]: "Aiken",
+  [EXPORT_FORMATS.BLACKBOARD]: "Blackboard",
+  [EXPORT_FORMATS.BRIGHTSPACE]: "Brightspace CSV"
+};
+// Characters for the symbol codes of Docs equations (EquationSymbol.getCode()), used for MathML.
+const EQUATION_SYMBOLS = {
+  "\\alpha": "α", "\\beta": "β", "\\gamma": "γ", "\\delta": "δ", "\\epsilon": "ε", "\\varepsilon": "ε",
+  "\\zeta": "ζ", "\\eta": "η", "\\theta": "θ", "\\vartheta": "ϑ", "\\iota": "ι", "\\kappa": "κ",
+  "\\lambda": "λ", "\\mu": "μ", "\\nu": "ν", "\\xi": "ξ", "\\pi": "π", "\\rho": "ρ", "\\sigma": "σ",
+  "\\tau": "τ", "\\upsilon": "υ", "\\phi": "φ", "\\varphi": "φ", "\\chi": "χ", "\\psi": "ψ", "\\omega": "ω",
+  "\\Gamma": "Γ", "\\Delta": "Δ", "\\Theta": "Θ", "\\Lambda": "Λ", "\\Xi": "Ξ", "\\Pi": "Π",
+  "\\Sigma": "Σ", "\\Upsilon": "Υ", "\\Phi": "Φ", "\\Psi": "Ψ", "\\Omega": "Ω",
+  "\\times": "×", "\\div": "÷", "\\pm": "±", "\\mp": "∓", "\\cdot": "⋅", "\\ast": "∗", "\\circ": "∘",
+  "\\leq": "≤", "\\geq": "≥", "\\neq": "≠", "\\approx": "≈", "\\equiv": "≡", "\\sim": "∼", "\\simeq": "≃",
+  "\\cong": "≅", "\\propto": "∝", "\\ll": "≪", "\\gg": "≫", "\\infty": "∞", "\\partial": "∂", "\\nabla": "∇",
+  "\\degree": "°", "\\angle": "∠", "\\perp": "⊥", "\\parallel": "∥", "\\prime": "′",
+  "\\in": "∈", "\\notin": "∉", "\\ni": "∋", "\\subset": "⊂", "\\supset": "⊃", "\\subseteq": "⊆", "\\supseteq": "⊇",
+  "\\cup": "∪", "\\cap": "∩", "\\emptyset": "∅", "\\forall": "∀", "\\exists": "∃",
+  "\\neg": "¬", "\\wedge": "∧", "\\vee": "∨", "\\therefore": "∴", "\\because": "∵",
+  "\\rightarrow": "→", "\\leftarrow": "←", "\\leftrightarrow": "↔", "\\Rightarrow": "⇒", "\\Leftarrow": "⇐",
+  "\\Leftrightarrow": "⇔", "\\uparrow": "↑", "\\downarrow": "↓", "\\to": "→", "\\mapsto": "↦",
+  "\\sum": "∑", "\\prod": "∏", "\\int": "∫", "\\oint": "∮", "\\iint": "∬", "\\bigcup": "⋃", "\\bigcap": "⋂",
+  "\\ldots": "…", "\\cdots": "⋯", "\\hbar": "ℏ", "\\ell": "ℓ", "\\Re": "ℜ", "\\Im": "ℑ", "\\aleph": "ℵ"
+};
+
+// With "Shrink large images" on, images over this size are downscaled to this width (pixels) before export.
+const IMAGE_DOWNSCALE_MIN_BYTES = 500 * 1024;
+const IMAGE_DOWNSCALE_MAX_WIDTH = 1200;
+
+// Paragraph styles that start a question section (see parseSectionHeading); Title and Subtitle do not.
+const SECTION_HEADINGS = [
+  DocumentApp.ParagraphHeading.HEADING1, DocumentApp.ParagraphHeading.HEADING2, DocumentApp.ParagraphHeading.HEADING3,
+  DocumentApp.ParagraphHeading.HEADING4, DocumentApp.ParagraphHeading.HEADING5, DocumentApp.ParagraphHeading.HEADING6
+];
@@ -0,0 +1,87 @@
+/**
+ * Diagnostics.gs – Collects the problems found while converting a document.
+ *
+ * One collector is created per conversion and passed through parsing, answer key
+ * parsing and export. Each entry records a severity, the question number and the
+ * document element index (when known), so the sidebar can show teachers what went
+ * wrong and where, instead of the messages only reaching the execution log.
+ */
+
+// Dependencies:
+// - Constants.gs (DIAGNOSTIC_SEVERITY)
+
+'use strict';
+
+class Diagnostics {
+  constructor() {
+    /** @type {Array<{severity: string, message: string, questionNumber: ?number, elementIndex: ?number}>} */
+    this.entries = [];
+  }
+
+  /**
+   * Records a diagnostic and mirrors it to the execution log.
+   *
+   * @param {string} severity - One of DIAGNOSTIC_SEVERITY.
+   * @param {string} message - A message a teacher can act on (without the "Question N" prefix).
+   * @param {Object} [source] - Where the problem is: usually the question object, or any
+   *                            object with `number` and/or `elementIndex` (e.g. an answer key line).
+   * @return {Object} The recorded entry.
+   */
+  add(severity, message, source = {}) {
+    const entry = {
+      severity: severity,
+      message: message,
+      questionNumber: typeof source.number === 'number' ? source.number : null,
+      elementIndex: typeof source.elementIndex === 'number' ? source.elementIndex : null
+    };
+    this.entries.push(entry);
+
+    const logMessage = `${entry.questionNumber !== null ? `Question ${entry.questionNumber}: ` : ''}${message}`;
+    if (severity === DIAGNOSTIC_SEVERITY.ERROR) {
+      console.error(logMessage);
+    } else if (severity === DIAGNOSTIC_SEVERITY.WARNING) {
+      console.warn(logMessage);
+    } else {
+      console.log(logMessage);
+    }
+    return entry;
+  }
+
+  /** Records a problem that makes a question export incorrectly or not at all. */
+  error(message, source) {
+    return this.add(DIAGNOSTIC_SEVERITY.ERROR, message, source);
+  }
+
+  /** Records content that was dropped or guessed but still exported. */
+  warning(message, source) {
+    return this.add(DIAGNOSTIC_SEVERITY.WARNING, message, source);
+  }
+
+  /** Records a note that needs no fix, e.g. a setting to adjust after import. */
+  info(message, source) {
+    return this.add(DIAGNOSTIC_SEVERITY.INFO, message, source);
+  }
+
+  /**
+   * Returns the entries for one question.
+   *
+   * @param {number} questionNumber - The question number.
+   * @return {Array<Object>} The matching entries, in the order they were recorded.
+   */
+  forQuestion(questionNumber) {
+    return this.entries.filter(entry => entry.questionNumber === questionNumber);
+  }
+
+  /**
+   * Returns all entries as plain objects (safe to return to the sidebar),
+   * ordered by question number; entries without a question come first.
+   *
+   * @return {Array<Object>}
+   */
+  getEntries() {
+    return this.entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => ((a.entry.questionNumber ?? -1) - (b.entry.questionNumber ?? -1)) || (a.index - b.index))
+      .map(({ entry }) => Object.assign({}, entry));
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ *  GiftExport.gs – GIFT Plain-Text Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a GIFT (.txt) file, the plain-text question format read by Moodle
+ *  and several other tools. Covers every supported type except ordering and fill
+ *  in multiple blanks, which GIFT has no syntax for. Images cannot be carried in plain text, so they are
+ *  dropped; each loss is recorded in the conversion diagnostics.
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_getFeedbackText)
+// - MoodleExport.gs (Moodle_getCategoryPath)
+// - Utilities.gs (stripImagePlaceholders, questionHasImages, getCorrectLetters, getTrueFalseAnswer, getNumericAnswers, getNumericTolerance, storeLastExportFile)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/**
+ * Main function to create the GIFT export file.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all image metadata objects (unused; images are dropped).
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save the export file into.
+ * @param {string} quizTitle - The title for the quiz (used as the question category; sections become subcategories).
+ * @param {Diagnostics} [diagnostics] - Collector for skipped questions and dropped content.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function GiftExport_createGiftFile(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting GIFT creation for "${quizTitle}"`);
+
+  try {
+    const blocks = [`// ${quizTitle}`, `$CATEGORY: ${Moodle_getCategoryPath(quizTitle, null)}`];
+    let questionCount = 0;
+    let currentSection = null;
+
+    questionsData.forEach((q, index) => {
+      const questionNumber = q.number || (index + 1);
+      // Each document section becomes a subcategory, as in the Moodle XML export
+      if ((q.section || null) !== currentSection) {
+        currentSection = q.section || null;
+        blocks.push(`$CATEGORY: ${Moodle_getCategoryPath(quizTitle, currentSection)}`);
+        if (currentSection && currentSection.pick !== null) {
+          diagnostics.info(`Section "${currentSection.title}" was imported as its own category. Add a "Random question" ` +
+            `from it to the quiz to draw ${currentSection.pick} question(s).`, currentSection);
+        }
+      }
+      const gift = Gift_createQuestion(q, diagnostics);
+      if (gift) {
+        blocks.push(gift);
+        questionCount++;
+      } else {
+        console.warn(`Skipping GIFT question generation for question number ${questionNumber}.`);
+      }
+    });
+    console.log(`Generated ${questionCount} GIFT questions.`);
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const fileName = `${safeQuizTitle}_GIFT.txt`;
+    const exportFile = projectFolder.createFile(fileName, blocks.join('\n\n') + '\n', MimeType.PLAIN_TEXT);
+    console.log(`Created GIFT file: ${fileName}`);
+
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created GIFT file: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`GIFT creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating GIFT file: ${e.message}`
+    };
+  }
+}
+
+// ==========================================================================
+// Helper Functions
+// ==========================================================================
+
+/**
+ * Escapes the characters GIFT treats as syntax (~ = # { } :) and flattens
+ * line breaks. Image placeholders are removed.
+ *
+ * @param {string} text - The plain text.
+ * @return {string} Text safe to use in a GIFT question or answer.
+ */
+function Gift_escape(text) {
+  return stripImagePlaceholders(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/([~=#{}:])/g, '\\$1')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Returns "#feedback" for an answer, or an empty string when there is none.
+ */
+function Gift_feedback(text) {
+  return text ? `#${Gift_escape(text)}` : '';
+}
+
+/**
+ * Formats a percentage weight for a GIFT answer (e.g. "%50%").
+ */
+function Gift_weight(value) {
+  return `%${Math.round(value * 100000) / 100000}%`;
+}
+
+/**
+ * Creates the GIFT text for a question, or returns null (recording why) if its
+ * type cannot be represented.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Diagnostics} diagnostics - Collects dropped questions or content.
+ * @return {string|null} The GIFT question, or null if skipped.
+ */
+function Gift_createQuestion(q, diagnostics) {
+  const label = `Question ${q.number}`;
+  let stem = Gift_escape(q.text || label);
+  let answerBlock = null;
+
+  switch (q.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI: {
+      if (!q.options || q.options.length === 0) {
+        diagnostics.error('Not exported: it has no options.', q);
+        return null;
+      }
+      // GIFT has no ungraded choice question; grading only the letters that match would be a guess
+      const correctLetters = getCorrectLetters(q);
+      const correctCount = q.options.filter(opt => correctLetters.includes(opt.letter)).length;
+      if (correctCount === 0 || getUnresolvedAnswerReason(q) !== null) {
+        diagnostics.error('Not exported: its answer is missing or names a letter that matches no option.', q);
+        return null;
+      }
+      const isSingle = q.type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+      const share = 100 / correctCount;
+      answerBlock = q.options.map(opt => {
+        const isCorrect = correctLetters.includes(opt.letter);
+        const prefix = isSingle ? (isCorrect ? '=' : '~') : `~${Gift_weight(isCorrect ? share : -share)}`;
+        return `\t${prefix}${Gift_escape(opt.text)}${Gift_feedback(opt.feedback)}`;
+      }).join('\n');
+      break;
+    }
+
+    case QUESTION_TYPES.TRUE_FALSE: {
+      const isTrue = getTrueFalseAnswer(q);
+      if (isTrue === null) {
+        diagnostics.error('Not exported: its True/False answer could not be determined.', q);
+        return null;
+      }
+      // GIFT shows the first feedback for a wrong answer and the second for a right one
+      const incorrect = QTI_getFeedbackText(q, 'incorrect');
+      const correct = QTI_getFeedbackText(q, 'correct');
+      answerBlock = `${isTrue ? 'TRUE' : 'FALSE'}${incorrect || correct ? `${Gift_feedback(incorrect) || '#'}${Gift_feedback(correct)}` : ''}`;
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const answers = Array.isArray(q.correctAnswer)
+        ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim().length > 0)
+        : [];
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no correct answer.', q);
+        return null;
+      }
+      const correctFeedback = Gift_feedback(QTI_getFeedbackText(q, 'correct'));
+      answerBlock = answers.map(ans => `=${Gift_escape(ans.trim())}${correctFeedback}`).join(' ');
+      break;
+    }
+
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC: {
+      const answers = getNumericAnswers(q);
+      if (answers.length === 0) {
+        diagnostics.error('Not exported: it has no numeric answer.', q);
+        return null;
+      }
+      // "9.8:0.1" is a value with a tolerance, "10..12" a range; several answers each start with "="
+      const terms = answers.map(ans => ans.min === ans.max ? `${ans.min}`
+        : ans.value !== null ? `${ans.value}:${getNumericTolerance(ans)}` : `${ans.min}..${ans.max}`);
+      const correctFeedback = Gift_feedback(QTI_getFeedbackText(q, 'correct'));
+      answerBlock = terms.length === 1
+        ? `#${terms[0]}${correctFeedback}`
+        : `#${terms.map(term => `=${term}${correctFeedback}`).join(' ')}`;
+      break;
+    }
+
+    case QUESTION_TYPES.ESSAY:
+      answerBlock = '';
+      break;
+
+    case QUESTION_TYPES.MATCHING: {
+      if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+        diagnostics.error('Not exported: it has no matching pairs.', q);
+        return null;
+      }
+      const pairLines = [];
+      q.options.forEach(opt => {
+        const pair = q.correctAnswer.find(p => p.premise === opt.letter || p.premise === opt.text);
+        if (pair) pairLines.push(`\t=${Gift_escape(opt.text)} -> ${Gift_escape(pair.response)}`);
+      });
+      if (pairLines.length < 3) {
+        diagnostics.warning('GIFT matching questions need at least three pairs; Moodle may reject it.', q);
+      }
+      answerBlock = pairLines.join('\n');
+      break;
+    }
+
+    case QUESTION_TYPES.ORDERING:
+      diagnostics.error('Not exported: GIFT has no ordering question type.', q);
+      return null;
+
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+      // Each GIFT question has one answer block; Moodle XML exports these as cloze questions
+      diagnostics.error('Not exported: GIFT has one answer per question, so it cannot hold several blanks. Use Moodle XML instead.', q);
+      return null;
+
+    default:
+      diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+      return null;
+  }
+
+  if (questionHasImages(q)) {
+    diagnostics.warning('Images were removed (GIFT is plain text).', q);
+  }
+
+  const generalFeedback = QTI_getFeedbackText(q, 'general');
+  const multiline = answerBlock.includes('\n');
+  const body = `{${multiline ? '\n' : ''}${answerBlock}${generalFeedback ? `${multiline ? '\n\t' : ' '}####${Gift_escape(generalFeedback)}` : ''}${multiline ? '\n' : ''}}`;
+
+  // A fill-in-the-blank answer goes where the blank is ("missing word" format)
+  const blankRegex = /_{3,}|\[blank\]/i;
+  if ((q.type === QUESTION_TYPES.FILL_IN_BLANK_TEXT || q.type === QUESTION_TYPES.FILL_IN_BLANK_NUMERIC) && blankRegex.test(stem)) {
+    stem = stem.replace(blankRegex, body);
+    return `::${label}:: ${stem}`;
+  }
+  return `::${label}:: ${stem} ${body}`;
+}
@@ -0,0 +1,273 @@
+/**
+ *  HtmlConversion.gs – Google Docs text formatting to HTML
+ *  ------------------------------------------------------------------
+ *  Reads the character attributes of Docs Text elements (bold, italic, underline,
+ *  strikethrough, subscript/superscript, links) and writes the matching HTML, so
+ *  formatting in question stems and options survives into the exported quiz.
+ *  Tables are written as HTML tables.
+ *  The HTML is also well-formed XML, as QTI 2.1/3.0 items require.
+ */
+
+// Dependencies:
+// - Utilities.gs (sanitizeHtml)
+
+'use strict';
+
+/**
+ * Reads the style of every character of a Text element. Attributes are constant
+ * within a run (see Text.getTextAttributeIndices), so each run shares one style object.
+ *
+ * Style fields: bold, italic, underline, strikethrough (booleans), verticalAlign
+ * ('sub', 'sup' or null), link (URL or null), highlighted (a background color
+ * other than white) and colored (a text color other than black).
+ *
+ * @param {GoogleAppsScript.Document.Text} textElement - The Text element.
+ * @return {Array<Object>} One style object per character of the element's text.
+ */
+function getTextRunStyles(textElement) {
+  const text = textElement.getText();
+  const styles = new Array(text.length).fill(null);
+  const runStarts = textElement.getTextAttributeIndices();
+
+  runStarts.forEach((start, r) => {
+    if (start >= text.length) return;
+    const end = r + 1 < runStarts.length ? runStarts[r + 1] : text.length;
+    const alignment = textElement.getTextAlignment(start);
+    const background = textElement.getBackgroundColor(start);
+    const foreground = textElement.getForegroundColor(start);
+    const style = {
+      bold: textElement.isBold(start) === true,
+      italic: textElement.isItalic(start) === true,
+      underline: textElement.isUnderline(start) === true,
+      strikethrough: textElement.isStrikethrough(start) === true,
+      verticalAlign: alignment === DocumentApp.TextAlignment.SUBSCRIPT ? 'sub'
+        : (alignment === DocumentApp.TextAlignment.SUPERSCRIPT ? 'sup' : null),
+      link: textElement.getLinkUrl(start) || null,
+      highlighted: !!background && background.toLowerCase() !== '#ffffff',
+      colored: !!foreground && foreground.toLowerCase() !== '#000000'
+    };
+    styles.fill(style, start, end);
+  });
+  return styles;
+}
+
+/**
+ * Converts part of an element's text to HTML using its character styles.
+ * Characters without a style (image placeholders) are only escaped, which leaves
+ * the placeholders intact for replaceImagePlaceholdersWithHtml.
+ *
+ * @param {string} text - The element text.
+ * @param {Array<?Object>} styles - One style per character of `text` (see getTextRunStyles).
+ * @param {number} [start] - Start index of the range (defaults to 0).
+ * @param {number} [end] - End index of the range, exclusive (defaults to the text length).
+ * @param {Object} [options] - { ignoreBold: boolean } – leave out bold, e.g. when it marks
+ *                             the correct option and must not be shown to students.
+ * @return {string} The HTML.
+ */
+function convertTextRangeToHtml(text, styles, start = 0, end = text.length, options = {}) {
+  let html = '';
+  let k = start;
+  while (k < end) {
+    // Extend the segment while characters share the same style object
+    const style = styles ? styles[k] : null;
+    let segmentEnd = k + 1;
+    while (segmentEnd < end && (styles ? styles[segmentEnd] : null) === style) segmentEnd++;
+    const segment = text.substring(k, segmentEnd);
+    html += style ? wrapStyledHtml(segment, style, options) : escapeTextForHtml(segment);
+    k = segmentEnd;
+  }
+  return html;
+}
+
+/**
+ * Escapes a run of text and wraps it in the tags for its style.
+ * Links are underlined by Docs itself, so their underline is not repeated.
+ *
+ * @param {string} segment - Text sharing one style.
+ * @param {Object} style - The style (see getTextRunStyles).
+ * @param {Object} options - { ignoreBold: boolean }.
+ * @return {string} The HTML for the segment.
+ */
+function wrapStyledHtml(segment, style, options) {
+  if (style.mathml) return style.mathml; // An equation, with its text fallback as the segment (see processElement)
+  let html = escapeTextForHtml(segment);
+  if (!segment.trim()) return html; // Formatting on whitespace alone is not visible
+
+  if (style.verticalAlign) html = `<${style.verticalAlign}>${html}</${style.verticalAlign}>`;
+  if (style.strikethrough) html = `<s>${html}</s>`;
+  if (style.underline && !style.link) html = `<u>${html}</u>`;
+  if (style.italic) html = `<em>${html}</em>`;
+  if (style.bold && !options.ignoreBold) html = `<strong>${html}</strong>`;
+  if (style.link) html = `<a href="${sanitizeHtml(style.link)}">${html}</a>`;
+  return html;
+}
+
+/**
+ * Escapes plain text for HTML and turns line breaks (including the vertical tab
+ * Docs uses for Shift+Enter) into <br/>.
+ *
+ * @param {string} text - Plain text.
+ * @return {string} The escaped text.
+ */
+function escapeTextForHtml(text) {
+  return sanitizeHtml(text).replace(/\r\n|[\r\n\u000b]/g, '<br/>');
+}
+
+/**
+ * Builds an HTML table from already converted cell contents. Rows go in a <tbody>,
+ * which QTI 2.1/3.0 require; they also do not allow presentational attributes such as
+ * border, so cell colors and borders are left to the LMS. A header row becomes a
+ * <thead> of column headers, which screen readers announce with each cell.
+ *
+ * @param {Array<Array<string>>} rows - The HTML of each cell, row by row.
+ * @param {boolean} [hasHeaderRow] - Whether the first row holds the column headers.
+ * @return {string} The table HTML.
+ */
+function buildHtmlTable(rows, hasHeaderRow = false) {
+  const bodyRows = hasHeaderRow ? rows.slice(1) : rows;
+  const headHtml = hasHeaderRow ? `<thead><tr>${rows[0].map(cell => `<th scope="col">${cell}</th>`).join('')}</tr></thead>` : '';
+  const bodyHtml = bodyRows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+  return `<table>${headHtml}<tbody>${bodyHtml}</tbody></table>`;
+}
+
+/**
+ * Converts a Docs Equation element to MathML, with its LaTeX as a fallback.
+ * The LaTeX is both the MathML alttext/annotation (read by screen readers and by
+ * LMSs that do not render MathML) and the plain text used by text-only formats.
+ *
+ * @param {GoogleAppsScript.Document.Equation} equation - The Equation element.
+ * @return {{mathml: string, latex: string}} The <math> element and the LaTeX source.
+ */
+function convertEquationToMathml(equation) {
+  const converted = convertEquationChildren(equation);
+  const latex = converted.latex.replace(/\s+/g, ' ').trim();
+  const mathml = `<math xmlns="http://www.w3.org/1998/Math/MathML" alttext="${sanitizeHtml(latex)}">` +
+    `<semantics><mrow>${converted.mathml}</mrow>` +
+    `<annotation encoding="application/x-tex">${sanitizeHtml(latex)}</annotation></semantics></math>`;
+  return { mathml: mathml, latex: latex };
+}
+
+/**
+ * Converts the children of an equation container (Equation or an EquationFunction
+ * argument) and concatenates the results.
+ *
+ * @param {GoogleAppsScript.Document.ContainerElement} container - The container.
+ * @return {{mathml: string, latex: string}}
+ */
+function convertEquationChildren(container) {
+  let mathml = '';
+  let latex = '';
+  for (let i = 0; i < container.getNumChildren(); i++) {
+    const converted = convertEquationNode(container.getChild(i));
+    mathml += converted.mathml;
+    latex += converted.latex;
+  }
+  return { mathml: mathml, latex: latex };
+}
+
+/**
+ * Converts one node of an equation: text, a symbol (e.g. \alpha) or a function
+ * (e.g. \frac) whose arguments are separated by EquationFunctionArgumentSeparator.
+ *
+ * @param {GoogleAppsScript.Document.Element} node - The equation node.
+ * @return {{mathml: string, latex: string}}
+ */
+function convertEquationNode(node) {
+  const type = node.getType();
+
+  if (type === DocumentApp.ElementType.TEXT) {
+    const text = node.asText().getText();
+    // Numbers become <mn>, single letters <mi> (as in TeX, "xy" is x times y), anything else <mo>
+    const tokens = text.match(/\d+(?:\.\d+)?|[A-Za-z]|\S/g) || [];
+    const mathml = tokens.map(token => {
+      const tag = /^\d/.test(token) ? 'mn' : (/^[A-Za-z]$/.test(token) ? 'mi' : 'mo');
+      return `<${tag}>${sanitizeHtml(token)}</${tag}>`;
+    }).join('');
+    return { mathml: mathml, latex: text };
+  }
+
+  if (type === DocumentApp.ElementType.EQUATION_SYMBOL) {
+    const code = node.asEquationSymbol().getCode();
+    const symbol = EQUATION_SYMBOLS[code] || code.replace(/^\\/, '');
+    const tag = /^[A-Za-z\u0370-\u03FF]$/.test(symbol) ? 'mi' : 'mo';
+    return { mathml: `<${tag}>${sanitizeHtml(symbol)}</${tag}>`, latex: `${code} ` };
+  }
+
+  if (type === DocumentApp.ElementType.EQUATION_FUNCTION) {
+    const equationFunction = node.asEquationFunction();
+    return convertEquationFunction(equationFunction.getCode(), splitEquationArguments(equationFunction));
+  }
+
+  return { mathml: '', latex: '' }; // Separators are consumed by splitEquationArguments
+}
+
+/**
+ * Splits the children of an EquationFunction into its arguments.
+ *
+ * @param {GoogleAppsScript.Document.EquationFunction} equationFunction - The function.
+ * @return {Array<{mathml: string, latex: string}>} The converted arguments, in order.
+ */
+function splitEquationArguments(equationFunction) {
+  const args = [{ mathml: '', latex: '' }];
+  for (let i = 0; i < equationFunction.getNumChildren(); i++) {
+    const child = equationFunction.getChild(i);
+    if (child.getType() === DocumentApp.ElementType.EQUATION_FUNCTION_ARGUMENT_SEPARATOR) {
+      args.push({ mathml: '', latex: '' });
+      continue;
+    }
+    const converted = convertEquationNode(child);
+    args[args.length - 1].mathml += converted.mathml;
+    args[args.length - 1].latex += converted.latex;
+  }
+  return args;
+}
+
+/**
+ * Builds the MathML and LaTeX for an equation function from its converted arguments.
+ * Super- and subscripts have no base in Docs (it is the preceding text), so they are
+ * written with an empty base, which renders the same.
+ *
+ * @param {string} code - The function code, e.g. "\frac" or "\sqrt".
+ * @param {Array<{mathml: string, latex: string}>} args - The converted arguments.
+ * @return {{mathml: string, latex: string}}
+ */
+function convertEquationFunction(code, args) {
+  const name = code.replace(/^\\/, '');
+  const row = k => `<mrow>${args[k] ? args[k].mathml : ''}</mrow>`;
+  const tex = k => `{${args[k] ? args[k].latex : ''}}`;
+
+  switch (name) {
+    case 'frac':
+      return { mathml: `<mfrac>${row(0)}${row(1)}</mfrac>`, latex: `\\frac${tex(0)}${tex(1)}` };
+    case 'sqrt':
+      return { mathml: `<msqrt>${row(0)}</msqrt>`, latex: `\\sqrt${tex(0)}` };
+    case 'superscript':
+    case '^':
+      return { mathml: `<msup><mrow/>${row(0)}</msup>`, latex: `^${tex(0)}` };
+    case 'subscript':
+    case '_':
+      return { mathml: `<msub><mrow/>${row(0)}</msub>`, latex: `_${tex(0)}` };
+    case 'subsuperscript':
+      return { mathml: `<msubsup><mrow/>${row(0)}${row(1)}</msubsup>`, latex: `_${tex(0)}^${tex(1)}` };
+    case 'overline':
+    case 'bar':
+    case 'hat':
+    case 'vec':
+    case 'dot': {
+      const accents = { overline: '¯', bar: '¯', hat: '^', vec: '→', dot: '˙' };
+      return { mathml: `<mover accent="true">${row(0)}<mo>${accents[name]}</mo></mover>`, latex: `\\${name}${tex(0)}` };
+    }
+    default: {
+      // Large operators (\sum, \int...) take their limits as arguments; anything else keeps its name
+      const operator = EQUATION_SYMBOLS[code];
+      const head = operator ? `<mo>${operator}</mo>` : `<mi>${sanitizeHtml(name)}</mi>`;
+      if (operator && args.length === 2) {
+        return { mathml: `<munderover>${head}${row(0)}${row(1)}</munderover>`, latex: `${code}_${tex(0)}^${tex(1)} ` };
+      }
+      return {
+        mathml: `<mrow>${head}${args.map((arg, k) => row(k)).join('')}</mrow>`,
+        latex: `${code}${args.map((arg, k) => tex(k)).join('')} `
+      };
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ *  ImageProcessing.gs – Image deduplication and downscaling
+ *  ------------------------------------------------------------------
+ *  Images are identified by a hash of their content, so a logo or diagram used in
+ *  many questions is stored once and every occurrence refers to the same file.
+ *  Optionally, large images are replaced by the thumbnail Drive makes of them
+ *  (the Drive API's thumbnailLink; Apps Script has no image API), so packages stay
+ *  within LMS upload limits.
+ */
+
+// Dependencies:
+// - QuestionParsing.gs (getExtensionFromMimeType)
+// - Diagnostics.gs (Diagnostics)
+// - Constants.gs (IMAGE_DOWNSCALE_MIN_BYTES, IMAGE_DOWNSCALE_MAX_WIDTH)
+
+'use strict';
+
+/**
+ * Computes the MD5 hash of an image's bytes as a hex string.
+ *
+ * @param {GoogleAppsScript.Base.Blob} blob - The image data.
+ * @return {string} The hash, e.g. "9e107d9d372bb6826bd81d3542a419d6".
+ */
+function getImageContentHash(blob) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, blob.getBytes());
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Links an image to an earlier image with the same content, or (for the first
+ * occurrence) registers it and downscales it if requested.
+ *
+ * A repeated image keeps its own id and alt text but takes the blob, content type
+ * and filename of the first occurrence, and `duplicateOf` is set to that image's id,
+ * so exporters write the file once (see QTI_processAndCopyImages).
+ *
+ * @param {Object} imgMeta - Image metadata from processElement, with `filename` already set.
+ * @param {Map<string, Object>} imagesByHash - Content hash to first occurrence, shared across the document.
+ * @param {Object} options - { downscaleImages: boolean }.
+ * @param {Diagnostics} diagnostics - Collector for images that could not be downscaled.
+ * @param {Object} [question] - The question the image belongs to, for diagnostics.
+ * @return {Object} The image metadata (updated in place).
+ */
+function deduplicateImage(imgMeta, imagesByHash, options, diagnostics, question) {
+  const hash = getImageContentHash(imgMeta.blob);
+  imgMeta.contentHash = hash;
+
+  const first = imagesByHash.get(hash);
+  if (first) {
+    imgMeta.duplicateOf = first.id;
+    imgMeta.blob = first.blob;
+    imgMeta.contentType = first.contentType;
+    imgMeta.filename = first.filename;
+    console.log(`Image ${imgMeta.id} is a copy of ${first.id}; sharing ${first.filename}`);
+    return imgMeta;
+  }
+
+  if (options.downscaleImages) {
+    downscaleImage(imgMeta, diagnostics, question);
+  }
+  imagesByHash.set(hash, imgMeta);
+  return imgMeta;
+}
+
+/**
+ * Replaces an image larger than IMAGE_DOWNSCALE_MIN_BYTES with a copy at most
+ * IMAGE_DOWNSCALE_MAX_WIDTH pixels wide, if that copy is smaller. The displayed
+ * size (width/height from the document) is unchanged. If Drive cannot produce the
+ * copy, or returns something other than an image, the original is kept and a
+ * warning is recorded.
+ *
+ * @param {Object} imgMeta - Image metadata (blob, contentType, filename); updated in place.
+ * @param {Diagnostics} diagnostics - Collector for images that could not be downscaled.
+ * @param {Object} [question] - The question the image belongs to, for diagnostics.
+ * @return {boolean} True if the image was replaced by a smaller copy.
+ */
+function downscaleImage(imgMeta, diagnostics, question) {
+  const originalSize = imgMeta.blob.getBytes().length;
+  if (originalSize <= IMAGE_DOWNSCALE_MIN_BYTES) {
+    return false;
+  }
+
+  let tempFile = null;
+  try {
+    // Drive only makes thumbnails of its own files, so the image is stored briefly
+    tempFile = DriveApp.createFile(imgMeta.blob.copyBlob().setName(`downscale_${imgMeta.id}`));
+    const requestOptions = { headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` }, muteHttpExceptions: true };
+    const fileResponse = UrlFetchApp.fetch(
+      `https://www.googleapis.com/drive/v3/files/${tempFile.getId()}?fields=thumbnailLink`, requestOptions);
+    if (fileResponse.getResponseCode() !== 200) {
+      throw new Error(`Drive API files.get returned HTTP ${fileResponse.getResponseCode()}`);
+    }
+    const thumbnailLink = JSON.parse(fileResponse.getContentText()).thumbnailLink;
+    if (!thumbnailLink) {
+      throw new Error('Drive has no thumbnail for the image');
+    }
+
+    // The link ends in its size (e.g. "=s220"); ask for the export width instead
+    const response = UrlFetchApp.fetch(thumbnailLink.replace(/=s\d+$/, `=w${IMAGE_DOWNSCALE_MAX_WIDTH}`), requestOptions);
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`Thumbnail request returned HTTP ${response.getResponseCode()}`);
+    }
+
+    // A sign-in page or error text also comes back with HTTP 200
+    const scaledBlob = response.getBlob();
+    const contentType = scaledBlob.getContentType() || '';
+    if (!/^image\//i.test(contentType)) {
+      throw new Error(`Thumbnail response is ${contentType || 'of unknown type'}, not an image`);
+    }
+    if (scaledBlob.getBytes().length >= originalSize) {
+      console.log(`Downscaled copy of image ${imgMeta.id} is not smaller; keeping the original.`);
+      return false;
+    }
+
+    imgMeta.blob = scaledBlob;
+    imgMeta.contentType = contentType;
+    imgMeta.filename = imgMeta.filename.replace(/\.[^.]*$/, '') + '.' + getExtensionFromMimeType(contentType);
+    console.log(`Downscaled image ${imgMeta.id} from ${originalSize} to ${scaledBlob.getBytes().length} bytes.`);
+    return true;
+  } catch (e) {
+    console.warn(`Could not downscale image ${imgMeta.id}: ${e}`);
+    diagnostics.warning(`A large image (${Math.round(originalSize / 1024)} KB) could not be downscaled, so the original was exported.`, question);
+    return false;
+  } finally {
+    if (tempFile) {
+      try {
+        tempFile.setTrashed(true);
+      } catch (e) {
+        console.warn(`Could not remove temporary image file: ${e}`);
+      }
+    }
+  }
+}
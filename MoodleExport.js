@@ -0,0 +1,458 @@
+/**
+ *  MoodleExport.gs – Moodle XML Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a single Moodle XML file (Question bank → Import → Moodle XML format).
+ *  Images are embedded as base64 <file> elements next to the text that uses them
+ *  and referenced through @@PLUGINFILE@@, so no separate resources are needed.
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_getPoints, QTI_getFeedbackText)
+// - Utilities.gs (sanitizeHtml, replaceImagePlaceholdersWithHtml, getItemHtml, getCorrectLetters, getTrueFalseAnswer, getNumericAnswers,
+//                 getNumericValue, getNumericTolerance, getBlankAnswers, replaceBlanks, storeLastExportFile, XML_MIME)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/** How Moodle question text refers to files embedded in the same text field. */
+const MOODLE_PLUGINFILE_PATH = '@@PLUGINFILE@@/';
+
+/**
+ * Main function to create the Moodle XML export file.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all unique image metadata objects (with blobs).
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save the export file into.
+ * @param {string} quizTitle - The title for the quiz (used as the question category; sections become subcategories).
+ * @param {Diagnostics} [diagnostics] - Collector for skipped questions and grading problems.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function MoodleExport_createMoodleXml(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting Moodle XML creation for "${quizTitle}"`);
+
+  try {
+    // Images are looked up by ID so each text field can embed the ones it references
+    const imageMap = new Map();
+    (allImages || []).forEach(img => {
+      if (img && img.id && img.blob && img.filename) imageMap.set(img.id, img);
+    });
+
+    let questionsXml = '';
+    let questionCount = 0;
+    let currentSection = null;
+    questionsData.forEach((q, index) => {
+      // Each document section becomes a subcategory, which a quiz can draw random questions from
+      if ((q.section || null) !== currentSection) {
+        currentSection = q.section || null;
+        questionsXml += Moodle_createCategoryXML(quizTitle, currentSection) + '\n';
+        if (currentSection && currentSection.pick !== null) {
+          diagnostics.info(`Section "${currentSection.title}" was imported as its own category. Moodle does not draw questions ` +
+            `on import: add a "Random question" drawing ${currentSection.pick} question(s) from ` +
+            `${Moodle_getCategoryPath(quizTitle, currentSection)} to the quiz.`, currentSection);
+        }
+      }
+
+      const questionXml = Moodle_createQuestionXML(q, imageMap, diagnostics);
+      if (questionXml) {
+        questionsXml += questionXml + '\n';
+        questionCount++;
+      } else {
+        console.warn(`Skipping Moodle question generation for question number ${q.number || index + 1} due to generation error or unsupported type.`);
+      }
+    });
+    console.log(`Generated ${questionCount} Moodle questions.`);
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+${Moodle_createCategoryXML(quizTitle, null)}
+${questionsXml}</quiz>`;
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const fileName = `${safeQuizTitle}_Moodle.xml`;
+    const exportFile = projectFolder.createFile(fileName, xml, XML_MIME);
+    console.log(`Created Moodle XML file: ${fileName}`);
+
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created Moodle XML file: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`Moodle XML creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating Moodle XML: ${e.message}`
+    };
+  }
+}
+
+// ==========================================================================
+// Helper Functions
+// ==========================================================================
+
+/**
+ * Returns the question bank category path for the quiz, or for one of its sections
+ * (a subcategory). A "/" within a name is doubled, as Moodle requires.
+ *
+ * @param {string} quizTitle - The quiz title (the top category).
+ * @param {Object} [section] - The section from a document heading, or null for the quiz itself.
+ * @return {string} The path, e.g. "$course$/top/Quiz 1/Vocabulary".
+ */
+function Moodle_getCategoryPath(quizTitle, section) {
+  const escapeName = name => String(name).replace(/\//g, '//');
+  return `$course$/top/${escapeName(quizTitle)}` + (section ? `/${escapeName(section.title)}` : '');
+}
+
+/**
+ * Creates the pseudo-question that sets the category of the questions after it.
+ *
+ * @param {string} quizTitle - The quiz title.
+ * @param {Object} [section] - The section the following questions belong to, or null.
+ * @return {string} The <question type="category"> XML.
+ */
+function Moodle_createCategoryXML(quizTitle, section) {
+  return `  <question type="category">
+    <category><text>${sanitizeHtml(Moodle_getCategoryPath(quizTitle, section))}</text></category>
+  </question>`;
+}
+
+/**
+ * Creates a Moodle text field (e.g. <questiontext>, <answer>, <feedback>) in HTML
+ * format. Image placeholders become @@PLUGINFILE@@ <img> tags and the referenced
+ * images are embedded as base64 <file> elements inside the same field.
+ *
+ * @param {string} tagName - The element name.
+ * @param {string} text - Plain text, possibly containing [IMG:id] placeholders.
+ * @param {Array<Object>} images - Image metadata for the question or option.
+ * @param {Map<string, Object>} imageMap - Map of image IDs to metadata with blobs.
+ * @param {string} [attributes] - Extra attributes for the element (e.g. ' fraction="100"').
+ * @param {string} [innerXml] - Extra child elements (e.g. an answer's <feedback>).
+ * @return {string} The element XML.
+ */
+function Moodle_createTextFieldXML(tagName, text, images, imageMap, attributes = '', innerXml = '') {
+  return Moodle_createHtmlFieldXML(tagName, sanitizeHtml(text || ''), images, imageMap, attributes, innerXml);
+}
+
+/**
+ * Creates a Moodle text field from HTML, such as a formatted stem or option
+ * (see getItemHtml). Otherwise the same as Moodle_createTextFieldXML.
+ *
+ * @param {string} tagName - The element name.
+ * @param {string} sourceHtml - HTML, possibly containing [IMG:id] placeholders.
+ * @param {Array<Object>} images - Image metadata for the question or option.
+ * @param {Map<string, Object>} imageMap - Map of image IDs to metadata with blobs.
+ * @param {string} [attributes] - Extra attributes for the element.
+ * @param {string} [innerXml] - Extra child elements.
+ * @return {string} The element XML.
+ */
+function Moodle_createHtmlFieldXML(tagName, sourceHtml, images, imageMap, attributes = '', innerXml = '') {
+  const html = replaceImagePlaceholdersWithHtml(sourceHtml, images, MOODLE_PLUGINFILE_PATH);
+
+  let filesXml = '';
+  const embedded = new Set();
+  const placeholderRegex = /\[IMG:([^\]]+)\]/g;
+  let match;
+  while ((match = placeholderRegex.exec(sourceHtml)) !== null) {
+    const img = imageMap.get(match[1]);
+    if (!img || embedded.has(img.filename)) continue;
+    embedded.add(img.filename);
+    filesXml += `<file name="${sanitizeHtml(img.filename)}" path="/" encoding="base64">${Utilities.base64Encode(img.blob.getBytes())}</file>`;
+  }
+
+  return `<${tagName}${attributes} format="html"><text><![CDATA[${html}]]></text>${filesXml}${innerXml}</${tagName}>`;
+}
+
+/**
+ * Creates the elements shared by every Moodle question type: name, question text,
+ * general feedback, default grade and the hidden flag.
+ */
+function Moodle_createCommonXML(q, imageMap) {
+  return `    <name><text>Question ${q.number}</text></name>
+    ${Moodle_createHtmlFieldXML('questiontext', getItemHtml(q, `Question ${q.number}`), q.images, imageMap)}
+    ${Moodle_createTextFieldXML('generalfeedback', QTI_getFeedbackText(q, 'general'), q.images, imageMap)}
+    <defaultgrade>${QTI_getPoints(q)}</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>`;
+}
+
+/**
+ * Creates the correct / partially correct / incorrect feedback elements used by
+ * the choice, matching and ordering types.
+ */
+function Moodle_createCombinedFeedbackXML(q, imageMap) {
+  return `    ${Moodle_createTextFieldXML('correctfeedback', QTI_getFeedbackText(q, 'correct'), q.images, imageMap)}
+    ${Moodle_createTextFieldXML('partiallycorrectfeedback', '', q.images, imageMap)}
+    ${Moodle_createTextFieldXML('incorrectfeedback', QTI_getFeedbackText(q, 'incorrect'), q.images, imageMap)}`;
+}
+
+/**
+ * Formats a fraction for Moodle, which accepts up to seven decimal places.
+ */
+function Moodle_formatFraction(value) {
+  return String(Math.round(value * 1e7) / 1e7);
+}
+
+// ==========================================================================
+// Question XML Generation
+// ==========================================================================
+
+/**
+ * Creates the Moodle XML <question> for a question based on its type.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Map<string, Object>} imageMap - Map of image IDs to metadata with blobs.
+ * @param {Diagnostics} diagnostics - Collector for skipped questions and grading problems.
+ * @return {string|null} The <question> XML, or null on failure / unsupported type.
+ */
+function Moodle_createQuestionXML(q, imageMap, diagnostics) {
+  console.log(`Generating Moodle XML for Question ${q.number}, Type: ${q.type}`);
+  try {
+    switch (q.type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+      case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+        return Moodle_createMultichoiceXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.TRUE_FALSE:
+        return Moodle_createTrueFalseXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+      case QUESTION_TYPES.SHORT_ANSWER:
+        return Moodle_createShortAnswerXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
+        return Moodle_createNumericalXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+        return Moodle_createClozeXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.ESSAY:
+        return Moodle_createEssayXML(q, imageMap);
+      case QUESTION_TYPES.MATCHING:
+        return Moodle_createMatchingXML(q, imageMap, diagnostics);
+      case QUESTION_TYPES.ORDERING:
+        return Moodle_createOrderingXML(q, imageMap, diagnostics);
+      default:
+        diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+        return null;
+    }
+  } catch (e) {
+    console.error(`Error generating Moodle XML for question ${q.number} (Type: ${q.type}): ${e}`, e.stack);
+    diagnostics.error(`Not exported: an unexpected error occurred (${e.message}).`, q);
+    return null;
+  }
+}
+
+/**
+ * Generates a multichoice question. Single answer questions give the correct option
+ * 100%; multiple answer questions split 100% across the correct options and deduct
+ * the same share for each incorrect option selected (Moodle floors the total at 0).
+ */
+function Moodle_createMultichoiceXML(q, imageMap, diagnostics) {
+  if (!q.options || q.options.length === 0) {
+    diagnostics.error('Not exported: no options were found.', q);
+    return null;
+  }
+  const isSingle = q.type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+  // An answer naming a letter with no option is not graded on the letters that do match
+  const answerProblem = getUnresolvedAnswerReason(q);
+  const correctLetters = answerProblem === null ? getCorrectLetters(q) : [];
+  const correctCount = q.options.filter(opt => correctLetters.includes(opt.letter)).length;
+  if (answerProblem !== null) {
+    diagnostics.warning(`${answerProblem} Every option scores 0.`, q);
+  } else if (correctCount === 0) {
+    diagnostics.warning('No correct answer matched the options, so every option scores 0.', q);
+  }
+
+  const share = correctCount > 0 ? 100 / correctCount : 0;
+  const answersXml = q.options.map(opt => {
+    const isCorrect = correctLetters.includes(opt.letter);
+    const fraction = isCorrect ? share : (isSingle ? 0 : -share);
+    const feedbackXml = Moodle_createTextFieldXML('feedback', opt.feedback, opt.images, imageMap);
+    return `    ${Moodle_createHtmlFieldXML('answer', getItemHtml(opt), opt.images, imageMap, ` fraction="${Moodle_formatFraction(fraction)}"`, feedbackXml)}`;
+  }).join('\n');
+
+  return `  <question type="multichoice">
+${Moodle_createCommonXML(q, imageMap)}
+    <single>${isSingle}</single>
+    <shuffleanswers>${q.shuffle ? 'true' : 'false'}</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${Moodle_createCombinedFeedbackXML(q, imageMap)}
+${answersXml}
+  </question>`;
+}
+
+/**
+ * Generates a truefalse question.
+ */
+function Moodle_createTrueFalseXML(q, imageMap, diagnostics) {
+  const isTrue = getTrueFalseAnswer(q);
+  if (isTrue === null) {
+    diagnostics.error(`Not exported: the True/False answer could not be read from "${q.correctAnswer}".`, q);
+    return null;
+  }
+
+  const correctFeedback = QTI_getFeedbackText(q, 'correct');
+  const incorrectFeedback = QTI_getFeedbackText(q, 'incorrect');
+  return `  <question type="truefalse">
+${Moodle_createCommonXML(q, imageMap)}
+    <answer fraction="${isTrue ? 100 : 0}" format="moodle_auto_format"><text>true</text>${Moodle_createTextFieldXML('feedback', isTrue ? correctFeedback : incorrectFeedback, q.images, imageMap)}</answer>
+    <answer fraction="${isTrue ? 0 : 100}" format="moodle_auto_format"><text>false</text>${Moodle_createTextFieldXML('feedback', isTrue ? incorrectFeedback : correctFeedback, q.images, imageMap)}</answer>
+  </question>`;
+}
+
+/**
+ * Generates a shortanswer question with every acceptable answer worth 100% (case-insensitive
+ * unless q.caseSensitive is set).
+ */
+function Moodle_createShortAnswerXML(q, imageMap, diagnostics) {
+  const answers = Array.isArray(q.correctAnswer)
+    ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim().length > 0).map(ans => ans.trim())
+    : [];
+  if (answers.length === 0) {
+    diagnostics.error('Not exported: it has no correct answer.', q);
+    return null;
+  }
+
+  const correctFeedback = QTI_getFeedbackText(q, 'correct');
+  const answersXml = answers.map(ans =>
+    `    <answer fraction="100" format="moodle_auto_format"><text>${sanitizeHtml(ans)}</text>${Moodle_createTextFieldXML('feedback', correctFeedback, q.images, imageMap)}</answer>`
+  ).join('\n');
+
+  return `  <question type="shortanswer">
+${Moodle_createCommonXML(q, imageMap)}
+    <usecase>${q.caseSensitive ? 1 : 0}</usecase>
+${answersXml}
+  </question>`;
+}
+
+/**
+ * Generates a numerical question with one full-credit answer per accepted answer.
+ * Moodle takes a value and a tolerance, so a range becomes its middle value with
+ * half its width as tolerance.
+ */
+function Moodle_createNumericalXML(q, imageMap, diagnostics) {
+  const answers = getNumericAnswers(q);
+  if (answers.length === 0) {
+    diagnostics.error('Not exported: it has no numeric answer.', q);
+    return null;
+  }
+
+  const feedbackXml = Moodle_createTextFieldXML('feedback', QTI_getFeedbackText(q, 'correct'), q.images, imageMap);
+  const answersXml = answers.map(answer =>
+    `    <answer fraction="100" format="moodle_auto_format"><text>${getNumericValue(answer)}</text><tolerance>${getNumericTolerance(answer)}</tolerance>${feedbackXml}</answer>`
+  ).join('\n');
+  return `  <question type="numerical">
+${Moodle_createCommonXML(q, imageMap)}
+${answersXml}
+  </question>`;
+}
+
+/**
+ * Generates an embedded answers (cloze) question: each blank becomes a
+ * {1:SHORTANSWER:=answer~=other answer} subquestion (SHORTANSWER_C when case
+ * matters). Every blank has weight 1, so Moodle marks the question per blank.
+ */
+function Moodle_createClozeXML(q, imageMap, diagnostics) {
+  const blanks = getBlankAnswers(q);
+  const missing = blanks.filter(blank => blank.answers.length === 0).map(blank => blank.name);
+  if (missing.length > 0) {
+    diagnostics.error(`Not exported: no answer was given for ${missing.join(', ')}.`, q);
+    return null;
+  }
+  if (QTI_getPoints(q) !== blanks.length) {
+    diagnostics.info(`Moodle marks this question out of its ${blanks.length} blanks; set its mark to ${QTI_getPoints(q)} in the quiz if needed.`, q);
+  }
+
+  // Characters with a meaning in cloze syntax are escaped with a backslash (before HTML
+  // escaping, whose entities would otherwise have their "#" escaped)
+  const escapeAnswer = ans => ans.replace(/[\\}#~\/"]/g, '\\$&')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const answersByName = new Map(blanks.map(blank => [blank.name, blank.answers]));
+  const subquestionType = q.caseSensitive ? 'SHORTANSWER_C' : 'SHORTANSWER';
+  const questionHtml = replaceBlanks(getItemHtml(q, `Question ${q.number}`),
+    name => `{1:${subquestionType}:${answersByName.get(name).map(ans => `=${escapeAnswer(ans)}`).join('~')}}`);
+
+  return `  <question type="cloze">
+    <name><text>Question ${q.number}</text></name>
+    ${Moodle_createHtmlFieldXML('questiontext', questionHtml, q.images, imageMap)}
+    ${Moodle_createTextFieldXML('generalfeedback', QTI_getFeedbackText(q, 'general'), q.images, imageMap)}
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+  </question>`;
+}
+
+/**
+ * Generates an essay question (manually graded, HTML editor response).
+ */
+function Moodle_createEssayXML(q, imageMap) {
+  return `  <question type="essay">
+${Moodle_createCommonXML(q, imageMap)}
+    <responseformat>editor</responseformat>
+    <responserequired>1</responserequired>
+    <responsefieldlines>15</responsefieldlines>
+    <attachments>0</attachments>
+    <attachmentsrequired>0</attachmentsrequired>
+    <graderinfo format="html"><text></text></graderinfo>
+    <responsetemplate format="html"><text></text></responsetemplate>
+  </question>`;
+}
+
+/**
+ * Generates a matching question: one <subquestion> per premise, whose answer is the
+ * response it matches in the answer key (e.g. "A=1" → premise A answers "1").
+ */
+function Moodle_createMatchingXML(q, imageMap, diagnostics) {
+  if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+    diagnostics.error('Not exported: it has no options or no matching pairs.', q);
+    return null;
+  }
+
+  let subquestionsXml = '';
+  q.options.forEach(opt => {
+    const pair = q.correctAnswer.find(p => p.premise === opt.letter || p.premise === opt.text);
+    if (!pair) {
+      diagnostics.warning(`Item ${opt.letter} has no match in the answer key and was left out.`, q);
+      return;
+    }
+    subquestionsXml += `    ${Moodle_createHtmlFieldXML('subquestion', getItemHtml(opt), opt.images, imageMap, '', `<answer><text>${sanitizeHtml(pair.response)}</text></answer>`)}\n`;
+  });
+  if (!subquestionsXml) return null;
+
+  return `  <question type="matching">
+${Moodle_createCommonXML(q, imageMap)}
+    <shuffleanswers>true</shuffleanswers>
+${Moodle_createCombinedFeedbackXML(q, imageMap)}
+${subquestionsXml}  </question>`;
+}
+
+/**
+ * Generates an ordering question (the Ordering question type, standard since Moodle 4.4).
+ * Items are listed in their correct order; each answer's fraction is its position.
+ */
+function Moodle_createOrderingXML(q, imageMap, diagnostics) {
+  if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+    diagnostics.error('Not exported: it has no items or no answer sequence.', q);
+    return null;
+  }
+  const orderedOptions = q.correctAnswer.map(key => q.options.find(opt => opt.letter === key || opt.text === key));
+  if (orderedOptions.includes(undefined)) {
+    diagnostics.error('Not exported: the answer sequence does not match its items.', q);
+    return null;
+  }
+
+  const answersXml = orderedOptions.map((opt, index) =>
+    `    ${Moodle_createHtmlFieldXML('answer', getItemHtml(opt), opt.images, imageMap, ` fraction="${index + 1}"`)}`
+  ).join('\n');
+
+  return `  <question type="ordering">
+${Moodle_createCommonXML(q, imageMap)}
+    <layouttype>VERTICAL</layouttype>
+    <selecttype>ALL</selecttype>
+    <selectcount>0</selectcount>
+    <gradingtype>ABSOLUTE_POSITION</gradingtype>
+    <showgrading>SHOW</showgrading>
+    <numberingstyle>none</numberingstyle>
+${Moodle_createCombinedFeedbackXML(q, imageMap)}
+${answersXml}
+  </question>`;
+}
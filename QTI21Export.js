@@ -0,0 +1,780 @@
+/**
+ *  QTI21Export.gs – IMS QTI v2.1 Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a QTI 2.1 content package (.zip) containing an imsmanifest.xml,
+ *  an assessmentTest, one assessmentItem file per question and image resources.
+ *  Items use choiceInteraction, textEntryInteraction (one per blank for fill in
+ *  multiple blanks), extendedTextInteraction,
+ *  matchInteraction and orderInteraction with explicit responseProcessing, so
+ *  each question is worth its own point value.
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_processAndCopyImages, QTI_getPoints, QTI_getSectionPick, QTI_getFeedbackText, QTI_FEEDBACK_IDENTS)
+// - Utilities.gs (sanitizeHtml, groupBySection, hasSections, replaceImagePlaceholdersWithHtml, getItemHtml, getCorrectLetters, getTrueFalseOption, getNumericAnswers,
+//                 getNumericValue, getNumericTolerance, getBlankAnswers, replaceBlanks, splitScore, storeLastExportFile,
+//                 QTI_RESOURCES_PATH, XML_MIME)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/** Namespace and schema location shared by QTI 2.1 items and tests. */
+const QTI21_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI21_SCHEMA_LOCATION = 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+
+/**
+ * Main function to create the QTI 2.1 export package.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all unique image metadata objects.
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save export files into.
+ * @param {string} quizTitle - The title for the quiz/assessment.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped items and grading problems.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function QTI21Export_createPackage(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting QTI 2.1 package creation for "${quizTitle}"`);
+
+  try {
+    // Item files live in items/, so their images are one level up
+    const exportOptions = { imageBasePath: `../${QTI_RESOURCES_PATH}`, diagnostics: diagnostics };
+
+    // 1. Create Subfolders
+    const itemsFolder = projectFolder.createFolder('items');
+    const resourcesFolder = projectFolder.createFolder(QTI_RESOURCES_PATH);
+    console.log('Created subfolders: items, resources');
+
+    // 2. Process and Copy Images
+    const imageFilenameMap = QTI_processAndCopyImages(allImages, resourcesFolder);
+    console.log(`Processed and copied ${imageFilenameMap.size} images to resources folder.`);
+
+    // 3. Generate Item XML Files
+    const itemEntries = []; // { ident, href, imageFilenames } for the test and manifest
+    const blobs = [];
+    questionsData.forEach((q, index) => {
+      const itemNumber = q.number || (index + 1);
+      const itemIdent = `item_${itemNumber}`;
+      const itemXml = QTI21_createItemXML(q, itemIdent, exportOptions);
+      if (itemXml) {
+        const href = `items/${itemIdent}.xml`;
+        const itemFile = itemsFolder.createFile(`${itemIdent}.xml`, itemXml, XML_MIME);
+        blobs.push(itemFile.getBlob().setName(href));
+        itemEntries.push({ ident: itemIdent, href: href, imageFilenames: QTI21_getItemImageFilenames(q, imageFilenameMap), question: q });
+      } else {
+        console.warn(`Skipping QTI 2.1 item generation for question number ${itemNumber} due to generation error or unsupported type.`);
+      }
+    });
+    console.log(`Generated ${itemEntries.length} item XML files.`);
+
+    // 4. Generate Test and Manifest XML
+    const testIdent = `test_${Utilities.getUuid().replace(/-/g, '')}`;
+    const testXml = QTI21_createTestXML(quizTitle, testIdent, itemEntries);
+    const testFile = projectFolder.createFile('assessmentTest.xml', testXml, XML_MIME);
+    const manifestXml = QTI21_createManifestXML(quizTitle, testIdent, itemEntries, imageFilenameMap);
+    const manifestFile = projectFolder.createFile('imsmanifest.xml', manifestXml, XML_MIME);
+    console.log('Generated assessmentTest.xml and imsmanifest.xml');
+
+    // 5. Collect Files and Create Zip Package
+    blobs.unshift(
+      manifestFile.getBlob().setName('imsmanifest.xml'),
+      testFile.getBlob().setName('assessmentTest.xml')
+    );
+    const includedFilenames = new Set(imageFilenameMap.values());
+    const resourceFiles = resourcesFolder.getFiles();
+    while (resourceFiles.hasNext()) {
+      const file = resourceFiles.next();
+      if (includedFilenames.has(file.getName())) {
+        blobs.push(file.getBlob().setName(`${QTI_RESOURCES_PATH}${file.getName()}`));
+      }
+    }
+    console.log(`Collected ${blobs.length} blobs for zipping.`);
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const zipFileName = `${safeQuizTitle}_QTI2.1.zip`;
+    const exportFile = projectFolder.createFile(Utilities.zip(blobs, zipFileName));
+    console.log(`Created zip package: ${zipFileName}`);
+
+    // 6. Store file info for download and return success
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created QTI 2.1 package: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`QTI 2.1 package creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating QTI 2.1 package: ${e.message}`
+    };
+  }
+}
+
+// ==========================================================================
+// Response Helpers (format-independent; also used by later QTI versions)
+// ==========================================================================
+
+/**
+ * Converts question or option text to XHTML for an item body: escapes XML special
+ * characters, then replaces image placeholders with <img/> tags.
+ *
+ * @param {string} text - The plain text, possibly containing [IMG:id] placeholders.
+ * @param {Array<Object>} images - Image metadata for the question or option.
+ * @param {Object} [exportOptions] - Export options ({ imageBasePath }).
+ * @return {string} Well-formed XHTML content.
+ */
+function QTI21_toXhtml(text, images, exportOptions = {}) {
+  return replaceImagePlaceholdersWithHtml(sanitizeHtml(text), images, exportOptions.imageBasePath);
+}
+
+/**
+ * Converts a question stem or option, with its formatting, to XHTML for an item body.
+ *
+ * @param {Object} item - The question or option object (see getItemHtml).
+ * @param {string} fallbackText - Plain text to use when the item has no text.
+ * @param {Object} [exportOptions] - Export options ({ imageBasePath }).
+ * @return {string} XHTML with images as <img> tags.
+ */
+function QTI21_richTextToXhtml(item, fallbackText, exportOptions = {}) {
+  return replaceImagePlaceholdersWithHtml(getItemHtml(item, fallbackText), item.images, exportOptions.imageBasePath);
+}
+
+/**
+ * Returns the choice identifier for an option (matches the QTI 1.2 choice_X idents).
+ *
+ * @param {Object} opt - The option object ({ letter, text }).
+ * @param {number} index - The option's position.
+ * @return {string} The identifier, e.g. 'choice_A'.
+ */
+function QTI21_getChoiceIdent(opt, index) {
+  return `choice_${opt.letter || index + 1}`;
+}
+
+/**
+ * Returns the options for a choice question. True/false questions without
+ * listed options get True and False choices.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {Array<Object>} The option objects.
+ */
+function QTI21_getChoiceOptions(q) {
+  if ((!q.options || q.options.length === 0) && q.type === QUESTION_TYPES.TRUE_FALSE) {
+    return [{ letter: 'T', text: 'True' }, { letter: 'F', text: 'False' }];
+  }
+  return q.options || [];
+}
+
+/**
+ * Returns the identifiers of the correct choices of a single or multiple choice question.
+ * Nothing is guessed: if the answer is missing or names a letter that matches no option,
+ * no choice is returned and the question is recorded as not auto-graded.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Array<Object>} options - The options returned by QTI21_getChoiceOptions.
+ * @param {Diagnostics} diagnostics - Collector for questions left without a correct answer.
+ * @return {Array<string>} The correct choice identifiers (empty if the answer is unresolved).
+ */
+function QTI21_getCorrectChoiceIdents(q, options, diagnostics) {
+  const answerProblem = getUnresolvedAnswerReason(q);
+  if (answerProblem !== null) {
+    diagnostics.warning(`${answerProblem} The question will not be auto-graded.`, q);
+    return [];
+  }
+  let correctLetters = getCorrectLetters(q);
+  if (q.type === QUESTION_TYPES.TRUE_FALSE) {
+    // A T/F key also selects a listed "True"/"False" option with another letter
+    const tfOption = getTrueFalseOption(q, options);
+    if (tfOption) correctLetters = [tfOption.letter];
+  }
+  const idents = [];
+  options.forEach((opt, index) => {
+    if (opt.letter && correctLetters.includes(opt.letter)) idents.push(QTI21_getChoiceIdent(opt, index));
+  });
+  if (idents.length === 0) {
+    diagnostics.warning('No correct option was found, so the question will not be auto-graded.', q);
+  }
+  return idents;
+}
+
+/**
+ * Builds the two sides of a matching question and its correct pairs.
+ * Premises are the question's options; responses are the values used in the
+ * answer key (e.g. '1', '2'), as in the QTI 1.2 exporter.
+ *
+ * @param {Object} q - The matching question (correctAnswer is [{ premise, response }, ...]).
+ * @param {Diagnostics} diagnostics - Collector for missing or unmatched pairs.
+ * @return {Object|null} { premises: [{ident, opt}], responses: [{ident, value}], pairs: [[premiseIdent, responseIdent]] },
+ *                       or null if the question lacks options or answer pairs.
+ */
+function QTI21_getMatchSets(q, diagnostics) {
+  if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+    diagnostics.error('Not exported: it has no options or no matching pairs.', q);
+    return null;
+  }
+  const premises = q.options.map((opt, index) => ({ ident: `premise_${opt.letter || index + 1}`, opt: opt }));
+  const responseValues = [...new Set(q.correctAnswer.map(pair => pair.response).filter(r => r))].sort();
+  const responses = responseValues.map((value, index) => ({
+    ident: `match_${String(value).replace(/[^a-zA-Z0-9]/g, '_') || index + 1}`,
+    value: value
+  }));
+
+  const pairs = [];
+  q.correctAnswer.forEach(pair => {
+    const premise = premises.find(p => p.opt.letter === pair.premise || p.opt.text === pair.premise);
+    const response = responses.find(r => r.value === pair.response);
+    if (premise && response) {
+      pairs.push([premise.ident, response.ident]);
+    } else {
+      diagnostics.warning(`The matching pair ${pair.premise}=${pair.response} does not match any item and was left out.`, q);
+    }
+  });
+  if (pairs.length === 0) {
+    diagnostics.error('Not exported: none of the matching pairs match its items.', q);
+    return null;
+  }
+  return { premises, responses, pairs };
+}
+
+/**
+ * Returns the choice identifiers of an ordering question in their correct order.
+ *
+ * @param {Object} q - The ordering question (correctAnswer is an array of option letters or texts).
+ * @param {Diagnostics} diagnostics - Collector for a missing or unmatched sequence.
+ * @return {Array<string>|null} The ordered identifiers, or null if the sequence cannot be mapped.
+ */
+function QTI21_getOrderSequence(q, diagnostics) {
+  if (!q.options || q.options.length === 0 || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+    diagnostics.error('Not exported: it has no items or no answer sequence.', q);
+    return null;
+  }
+  const sequence = q.correctAnswer.map(key => {
+    const index = q.options.findIndex(opt => opt.letter === key || opt.text === key);
+    return index >= 0 ? QTI21_getChoiceIdent(q.options[index], index) : null;
+  });
+  if (sequence.includes(null)) {
+    diagnostics.error('Not exported: the answer sequence does not match its items. Use the item letters or their exact text.', q);
+    return null;
+  }
+  return sequence;
+}
+
+/**
+ * Returns the filenames of every image used by a question's stem and options,
+ * for the item's manifest dependencies.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @return {Array<string>} Unique filenames.
+ */
+function QTI21_getItemImageFilenames(q, imageFilenameMap) {
+  const images = (q.images || []).concat(...(q.options || []).map(opt => opt.images || []));
+  const filenames = images.map(img => img && imageFilenameMap.get(img.id)).filter(f => f);
+  return [...new Set(filenames)];
+}
+
+// ==========================================================================
+// Item XML Generation
+// ==========================================================================
+
+/**
+ * Creates the QTI 2.1 assessmentItem XML for a question based on its type.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemIdent - The unique identifier for this item.
+ * @param {Object} [exportOptions] - Export options ({ imageBasePath, diagnostics }).
+ * @return {string|null} The item XML, or null on failure / unsupported type.
+ */
+function QTI21_createItemXML(q, itemIdent, exportOptions = {}) {
+  console.log(`Generating QTI 2.1 XML for Item: ${itemIdent}, Type: ${q.type}`);
+  if (!exportOptions.diagnostics) {
+    exportOptions = Object.assign({}, exportOptions, { diagnostics: new Diagnostics() });
+  }
+  try {
+    switch (q.type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+      case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+      case QUESTION_TYPES.TRUE_FALSE:
+        return QTI21_createChoiceItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+      case QUESTION_TYPES.SHORT_ANSWER:
+      case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
+        return QTI21_createTextEntryItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+        return QTI21_createMultipleBlanksItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.ESSAY:
+        return QTI21_createExtendedTextItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.MATCHING:
+        return QTI21_createMatchItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.ORDERING:
+        return QTI21_createOrderItem(q, itemIdent, exportOptions);
+      default:
+        exportOptions.diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+        return null;
+    }
+  } catch (e) {
+    console.error(`Error generating QTI 2.1 XML for item ${itemIdent} (Type: ${q.type}): ${e}`, e.stack);
+    exportOptions.diagnostics.error(`Not exported: an unexpected error occurred (${e.message}).`, q);
+    return null;
+  }
+}
+
+/**
+ * Wraps the parts of an item in an <assessmentItem> with the standard SCORE,
+ * MAXSCORE and FEEDBACK outcome declarations.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemIdent - The item identifier.
+ * @param {Object} parts - { responseDeclaration, itemBody, responseProcessing, modalFeedback } XML strings.
+ * @return {string} The complete item XML.
+ */
+function QTI21_wrapItem(q, itemIdent, parts) {
+  const questionNumber = q.number || itemIdent.split('_')[1];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI21_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI21_SCHEMA_LOCATION}" identifier="${itemIdent}" title="Question ${questionNumber}" adaptive="false" timeDependent="false">
+${parts.responseDeclaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${QTI_getPoints(q)}</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="multiple" baseType="identifier"/>
+  <itemBody>
+${parts.itemBody}
+  </itemBody>
+${parts.responseProcessing}
+${parts.modalFeedback}</assessmentItem>`;
+}
+
+/**
+ * Creates the prompt for the question stem: a paragraph, or a <div> when the stem
+ * holds a table (see processTable), since the item body schema allows no block
+ * content inside <p>.
+ */
+function QTI21_createPromptXML(q, exportOptions) {
+  return QTI21_wrapPromptXML(QTI21_richTextToXhtml(q, `Question ${q.number}`, exportOptions));
+}
+
+/**
+ * Wraps stem XHTML in <p>, or in <div> if it contains a <table>. Shared with the
+ * QTI 3.0 exporter, whose item body uses the same XHTML elements.
+ *
+ * @param {string} xhtml - The stem content.
+ * @return {string} The indented prompt element.
+ */
+function QTI21_wrapPromptXML(xhtml) {
+  const tag = /<table[\s>]/i.test(xhtml) ? 'div' : 'p';
+  return `    <${tag}>${xhtml}</${tag}>`;
+}
+
+/**
+ * Creates a <setOutcomeValue> that adds a feedback identifier to FEEDBACK.
+ */
+function QTI21_addFeedbackXML(feedbackIdent, indent) {
+  return `${indent}<setOutcomeValue identifier="FEEDBACK">
+${indent}  <multiple><variable identifier="FEEDBACK"/><baseValue baseType="identifier">${feedbackIdent}</baseValue></multiple>
+${indent}</setOutcomeValue>\n`;
+}
+
+/**
+ * Creates the <responseProcessing> for an item: full points when the correct
+ * condition holds (with correct feedback), zero otherwise (with incorrect feedback),
+ * plus general and per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string|null} correctConditionXml - Expression that is true for a correct response,
+ *                                            or null if the item cannot be auto-graded.
+ * @param {boolean} [includeOptionFeedback=false] - Whether to show per-option feedback (choice items only).
+ * @return {string} The <responseProcessing> XML.
+ */
+function QTI21_createResponseProcessingXML(q, correctConditionXml, includeOptionFeedback = false) {
+  let xml = '  <responseProcessing>\n';
+  if (correctConditionXml) {
+    xml += `    <responseCondition>
+      <responseIf>
+        ${correctConditionXml}
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+${QTI_getFeedbackText(q, 'correct') ? QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.correct, '        ') : ''}      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+${QTI_getFeedbackText(q, 'incorrect') ? QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.incorrect, '        ') : ''}      </responseElse>
+    </responseCondition>\n`;
+  }
+  if (QTI_getFeedbackText(q, 'general')) {
+    xml += QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.general, '    ');
+  }
+  if (includeOptionFeedback) {
+    (q.options || []).forEach((opt, index) => {
+      if (!opt.feedback) return;
+      const choiceIdent = QTI21_getChoiceIdent(opt, index);
+      xml += `    <responseCondition>
+      <responseIf>
+        <member><baseValue baseType="identifier">${choiceIdent}</baseValue><variable identifier="RESPONSE"/></member>
+${QTI21_addFeedbackXML(`${choiceIdent}_fb`, '        ')}      </responseIf>
+    </responseCondition>\n`;
+    });
+  }
+  return xml + '  </responseProcessing>';
+}
+
+/**
+ * Creates the <modalFeedback> elements for the question's general, correct and
+ * incorrect feedback, plus any per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Object} exportOptions - Export options ({ imageBasePath }).
+ * @param {boolean} [includeOptionFeedback=false] - Whether to include per-option feedback (choice items only).
+ * @return {string} The <modalFeedback> XML (may be empty).
+ */
+function QTI21_createModalFeedbackXML(q, exportOptions, includeOptionFeedback = false) {
+  const createFeedback = (ident, text) =>
+    `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="${ident}" showHide="show">${QTI21_toXhtml(text, q.images, exportOptions)}</modalFeedback>\n`;
+
+  let xml = '';
+  ['general', 'correct', 'incorrect'].forEach(kind => {
+    const text = QTI_getFeedbackText(q, kind);
+    if (text) xml += createFeedback(QTI_FEEDBACK_IDENTS[kind], text);
+  });
+  if (includeOptionFeedback) {
+    (q.options || []).forEach((opt, index) => {
+      if (opt.feedback) xml += createFeedback(`${QTI21_getChoiceIdent(opt, index)}_fb`, opt.feedback);
+    });
+  }
+  return xml;
+}
+
+/**
+ * Generates a choiceInteraction item for single choice, multiple response and true/false questions.
+ * Multiple response scoring is all-or-nothing, as in the QTI 1.2 exporter.
+ */
+function QTI21_createChoiceItem(q, itemIdent, exportOptions) {
+  const options = QTI21_getChoiceOptions(q);
+  if (options.length === 0) {
+    exportOptions.diagnostics.error('Not exported: no options were found.', q);
+    return null;
+  }
+  const isMultiple = q.type === QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+  const cardinality = isMultiple ? 'multiple' : 'single';
+  const correctIdents = QTI21_getCorrectChoiceIdents(q, options, exportOptions.diagnostics);
+
+  const choicesXml = options.map((opt, index) =>
+    `      <simpleChoice identifier="${QTI21_getChoiceIdent(opt, index)}">${QTI21_richTextToXhtml(opt, `Option ${opt.letter}`, exportOptions)}</simpleChoice>`
+  ).join('\n');
+  const correctXml = correctIdents.length > 0
+    ? `\n    <correctResponse>\n${correctIdents.map(id => `      <value>${id}</value>`).join('\n')}\n    </correctResponse>\n  `
+    : '';
+
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">${correctXml}</responseDeclaration>`,
+    itemBody: `${QTI21_createPromptXML(q, exportOptions)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}" maxChoices="${isMultiple ? 0 : 1}">
+${choicesXml}
+    </choiceInteraction>`,
+    responseProcessing: QTI21_createResponseProcessingXML(q,
+      correctIdents.length > 0 ? '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>' : null, true),
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions, true)
+  });
+}
+
+/**
+ * Creates the condition matching one accepted numeric answer (see getNumericAnswers):
+ * exact equality, or equality within an absolute tolerance around the answer's value
+ * (the middle of a range).
+ */
+function QTI21_createNumericConditionXML(answer) {
+  const tolerance = getNumericTolerance(answer);
+  const mode = tolerance > 0 ? `toleranceMode="absolute" tolerance="${tolerance}"` : 'toleranceMode="exact"';
+  return `<equal ${mode}><variable identifier="RESPONSE"/><baseValue baseType="float">${getNumericValue(answer)}</baseValue></equal>`;
+}
+
+/**
+ * Generates a textEntryInteraction item for fill-in-the-blank (text or numeric) and
+ * short answer questions. The interaction replaces the first "_____" or "[blank]" in
+ * the stem, or follows it. Text answers are matched through a mapping (ignoring case
+ * unless q.caseSensitive is set) so every acceptable answer scores; numeric responses
+ * must equal an accepted answer, within its tolerance.
+ */
+function QTI21_createTextEntryItem(q, itemIdent, exportOptions) {
+  const isNumeric = q.type === QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+  let responseDeclaration;
+  let correctConditionXml = null;
+
+  if (isNumeric) {
+    const numericAnswers = getNumericAnswers(q);
+    const hasAnswer = numericAnswers.length > 0;
+    if (!hasAnswer) exportOptions.diagnostics.warning('No numeric answer was given, so the question will not be auto-graded.', q);
+    responseDeclaration = `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">${hasAnswer ? `
+    <correctResponse><value>${getNumericValue(numericAnswers[0])}</value></correctResponse>
+  ` : ''}</responseDeclaration>`;
+    if (hasAnswer) {
+      // Any accepted answer scores
+      const conditions = numericAnswers.map(QTI21_createNumericConditionXML);
+      correctConditionXml = conditions.length > 1 ? `<or>${conditions.join('')}</or>` : conditions[0];
+    }
+  } else {
+    const answers = Array.isArray(q.correctAnswer)
+      ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim().length > 0).map(ans => ans.trim())
+      : [];
+    if (answers.length === 0) exportOptions.diagnostics.warning('No correct answer was given, so the question will not be auto-graded.', q);
+    responseDeclaration = `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${answers.length > 0 ? `
+    <correctResponse><value>${sanitizeHtml(answers[0])}</value></correctResponse>
+    <mapping defaultValue="0">
+${answers.map(ans => `      <mapEntry mapKey="${sanitizeHtml(ans)}" mappedValue="1" caseSensitive="${q.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </mapping>
+  ` : ''}</responseDeclaration>`;
+    if (answers.length > 0) {
+      correctConditionXml = '<gt><mapResponse identifier="RESPONSE"/><baseValue baseType="float">0</baseValue></gt>';
+    }
+  }
+
+  const interactionXml = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${isNumeric ? 10 : 20}"/>`;
+  let promptXml = QTI21_createPromptXML(q, exportOptions);
+  const blankRegex = /_{3,}|\[blank\]/i;
+  promptXml = blankRegex.test(promptXml)
+    ? promptXml.replace(blankRegex, interactionXml)
+    : promptXml.replace(/<\/(p|div)>$/, ` ${interactionXml}</$1>`);
+
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: responseDeclaration,
+    itemBody: promptXml,
+    responseProcessing: QTI21_createResponseProcessingXML(q, correctConditionXml),
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates an item with a textEntryInteraction in place of each blank, each with
+ * its own RESPONSE_<blank> declaration. A blank's mapping gives its share of the
+ * points (see splitScore) to every accepted answer, and SCORE is the sum of the
+ * mapped responses. Correct feedback needs every blank right.
+ */
+function QTI21_createMultipleBlanksItem(q, itemIdent, exportOptions) {
+  const blanks = getBlankAnswers(q);
+  const scores = splitScore(QTI_getPoints(q), blanks.length);
+  const graded = blanks.filter(blank => blank.answers.length > 0);
+
+  const responseDeclaration = blanks.map((blank, index) => {
+    if (blank.answers.length === 0) {
+      exportOptions.diagnostics.warning(`No answer was given for ${blank.name}, so no response to it scores.`, q);
+      return `  <responseDeclaration identifier="RESPONSE_${blank.name}" cardinality="single" baseType="string"/>`;
+    }
+    return `  <responseDeclaration identifier="RESPONSE_${blank.name}" cardinality="single" baseType="string">
+    <correctResponse><value>${sanitizeHtml(blank.answers[0])}</value></correctResponse>
+    <mapping defaultValue="0">
+${blank.answers.map(ans => `      <mapEntry mapKey="${sanitizeHtml(ans)}" mappedValue="${scores[index]}" caseSensitive="${q.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+  }).join('\n');
+
+  let responseProcessing = '  <responseProcessing>\n';
+  if (graded.length > 0) {
+    const mapped = graded.map(blank => `<mapResponse identifier="RESPONSE_${blank.name}"/>`);
+    responseProcessing += `    <setOutcomeValue identifier="SCORE">${mapped.length > 1 ? `<sum>${mapped.join('')}</sum>` : mapped[0]}</setOutcomeValue>\n`;
+  }
+  if (graded.length === blanks.length && (QTI_getFeedbackText(q, 'correct') || QTI_getFeedbackText(q, 'incorrect'))) {
+    const allCorrect = graded.map(blank => `<gt><mapResponse identifier="RESPONSE_${blank.name}"/><baseValue baseType="float">0</baseValue></gt>`);
+    responseProcessing += `    <responseCondition>
+      <responseIf>
+        <and>${allCorrect.join('')}</and>
+${QTI_getFeedbackText(q, 'correct') ? QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.correct, '        ') : ''}      </responseIf>
+      <responseElse>
+${QTI_getFeedbackText(q, 'incorrect') ? QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.incorrect, '        ') : ''}      </responseElse>
+    </responseCondition>\n`;
+  }
+  if (QTI_getFeedbackText(q, 'general')) {
+    responseProcessing += QTI21_addFeedbackXML(QTI_FEEDBACK_IDENTS.general, '    ');
+  }
+  responseProcessing += '  </responseProcessing>';
+
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: responseDeclaration,
+    itemBody: replaceBlanks(QTI21_createPromptXML(q, exportOptions),
+      name => `<textEntryInteraction responseIdentifier="RESPONSE_${name}" expectedLength="15"/>`),
+    responseProcessing: responseProcessing,
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates an extendedTextInteraction item for essay questions. Essays are graded
+ * manually, so responseProcessing only shows general feedback.
+ */
+function QTI21_createExtendedTextItem(q, itemIdent, exportOptions) {
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+    itemBody: `${QTI21_createPromptXML(q, exportOptions)}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>`,
+    responseProcessing: QTI21_createResponseProcessingXML(q, null),
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates a matchInteraction item. Each premise matches exactly one response;
+ * a response may be used by several premises. Scoring is all-or-nothing.
+ */
+function QTI21_createMatchItem(q, itemIdent, exportOptions) {
+  const matchSets = QTI21_getMatchSets(q, exportOptions.diagnostics);
+  if (!matchSets) return null;
+  const { premises, responses, pairs } = matchSets;
+
+  const premisesXml = premises.map(p =>
+    `        <simpleAssociableChoice identifier="${p.ident}" matchMax="1">${QTI21_richTextToXhtml(p.opt, '', exportOptions)}</simpleAssociableChoice>`
+  ).join('\n');
+  const responsesXml = responses.map(r =>
+    `        <simpleAssociableChoice identifier="${r.ident}" matchMax="${premises.length}">${sanitizeHtml(r.value)}</simpleAssociableChoice>`
+  ).join('\n');
+
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${pairs.map(pair => `      <value>${pair[0]} ${pair[1]}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`,
+    itemBody: `${QTI21_createPromptXML(q, exportOptions)}
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}" maxAssociations="${premises.length}">
+      <simpleMatchSet>
+${premisesXml}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${responsesXml}
+      </simpleMatchSet>
+    </matchInteraction>`,
+    responseProcessing: QTI21_createResponseProcessingXML(q, '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>'),
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates an orderInteraction item. The response must match the full correct sequence.
+ */
+function QTI21_createOrderItem(q, itemIdent, exportOptions) {
+  const sequence = QTI21_getOrderSequence(q, exportOptions.diagnostics);
+  if (!sequence) return null;
+
+  const choicesXml = q.options.map((opt, index) =>
+    `      <simpleChoice identifier="${QTI21_getChoiceIdent(opt, index)}">${QTI21_richTextToXhtml(opt, '', exportOptions)}</simpleChoice>`
+  ).join('\n');
+
+  return QTI21_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${sequence.map(id => `      <value>${id}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`,
+    itemBody: `${QTI21_createPromptXML(q, exportOptions)}
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}">
+${choicesXml}
+    </orderInteraction>`,
+    responseProcessing: QTI21_createResponseProcessingXML(q, '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>'),
+    modalFeedback: QTI21_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+// ==========================================================================
+// Test and Manifest XML
+// ==========================================================================
+
+/**
+ * Creates the assessmentTest XML referencing every item. Items are placed in a single
+ * section, or, if the document has section headings, in one assessmentSection per heading;
+ * a heading's pick count becomes a random selection of that many items.
+ * The test SCORE is the sum of the scores of the items delivered.
+ *
+ * @param {string} title - The test title.
+ * @param {string} testIdent - The test identifier.
+ * @param {Array<Object>} itemEntries - [{ ident, href, question }] for each exported item.
+ * @return {string} The assessmentTest XML content.
+ */
+function QTI21_createTestXML(title, testIdent, itemEntries) {
+  const itemRefsXml = entries => entries.map(entry =>
+    `      <assessmentItemRef identifier="${entry.ident}" href="${entry.href}"/>`
+  ).join('\n');
+
+  let sectionsXml;
+  if (!hasSections(itemEntries.map(entry => entry.question))) {
+    sectionsXml = `    <assessmentSection identifier="main_section" title="Main Section" visible="true">
+${itemRefsXml(itemEntries)}
+    </assessmentSection>`;
+  } else {
+    // One section per document heading; a pick count becomes a random selection
+    sectionsXml = groupBySection(itemEntries, entry => entry.question).map((group, index) => {
+      const pick = QTI_getSectionPick(group.section, group.items.length);
+      return `    <assessmentSection identifier="section_${index + 1}" title="${sanitizeHtml(group.section ? group.section.title : 'Questions')}" visible="true">
+${pick !== null ? `      <selection select="${pick}"/>\n` : ''}${itemRefsXml(group.items)}
+    </assessmentSection>`;
+    }).join('\n');
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI21_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI21_SCHEMA_LOCATION}" identifier="${testIdent}" title="${sanitizeHtml(title)}">
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <testPart identifier="main_part" navigationMode="nonlinear" submissionMode="simultaneous">
+${sectionsXml}
+  </testPart>
+  <outcomeProcessing>
+    <setOutcomeValue identifier="SCORE">
+      <sum><testVariables variableIdentifier="SCORE"/></sum>
+    </setOutcomeValue>
+  </outcomeProcessing>
+</assessmentTest>`;
+}
+
+/**
+ * Creates the imsmanifest.xml for the QTI 2.1 package. The test depends on its
+ * items, and each item depends on the images it uses.
+ *
+ * @param {string} title - The package title.
+ * @param {string} testIdent - The test identifier.
+ * @param {Array<Object>} itemEntries - [{ ident, href, imageFilenames }] for each exported item.
+ * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @return {string} The imsmanifest.xml content.
+ */
+function QTI21_createManifestXML(title, testIdent, itemEntries, imageFilenameMap) {
+  const manifestIdent = `manifest_${Utilities.getUuid().replace(/-/g, '')}`;
+  const imageResourceIdent = filename => `resource_${filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
+
+  let resourcesXml = `    <resource identifier="resource_${testIdent}" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${itemEntries.map(entry => `      <dependency identifierref="resource_${entry.ident}"/>`).join('\n')}
+    </resource>\n`;
+
+  itemEntries.forEach(entry => {
+    resourcesXml += `    <resource identifier="resource_${entry.ident}" type="imsqti_item_xmlv2p1" href="${entry.href}">\n`;
+    resourcesXml += `      <file href="${entry.href}"/>\n`;
+    entry.imageFilenames.forEach(filename => {
+      resourcesXml += `      <dependency identifierref="${imageResourceIdent(filename)}"/>\n`;
+    });
+    resourcesXml += `    </resource>\n`;
+  });
+
+  new Set(imageFilenameMap.values()).forEach(filename => {
+    resourcesXml += `    <resource identifier="${imageResourceIdent(filename)}" type="webcontent" href="${QTI_RESOURCES_PATH}${filename}">\n`;
+    resourcesXml += `      <file href="${QTI_RESOURCES_PATH}${filename}"/>\n`;
+    resourcesXml += `    </resource>\n`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestIdent}" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd http://ltsc.ieee.org/xsd/LOM http://www.imsglobal.org/xsd/imsmd_loose_v1p3p2.xsd">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title>
+          <imsmd:string>${sanitizeHtml(title)}</imsmd:string>
+        </imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${resourcesXml}  </resources>
+</manifest>`;
+}
@@ -0,0 +1,595 @@
+/**
+ *  QTI3Export.gs – IMS QTI v3.0 Exporter
+ *  ------------------------------------------------------------------
+ *  Generates a QTI 3.0 content package (.zip) containing an imsmanifest.xml,
+ *  a qti-assessment-test, one qti-assessment-item file per question and image
+ *  resources. The item model matches the QTI 2.1 exporter; only the element set
+ *  (qti- prefixed, kebab-case attributes) and the package metadata differ.
+ */
+
+// Dependencies:
+// - QTI21Export.gs (QTI21_toXhtml, QTI21_richTextToXhtml, QTI21_wrapPromptXML, QTI21_getChoiceIdent, QTI21_getChoiceOptions, QTI21_getCorrectChoiceIdents,
+//                   QTI21_getMatchSets, QTI21_getOrderSequence, QTI21_getItemImageFilenames)
+// - QTIExport.gs (QTI_processAndCopyImages, QTI_getPoints, QTI_getSectionPick, QTI_getFeedbackText, QTI_FEEDBACK_IDENTS)
+// - Utilities.gs (sanitizeHtml, groupBySection, hasSections, getNumericAnswers, getNumericValue, getNumericTolerance, getBlankAnswers,
+//                 replaceBlanks, splitScore, storeLastExportFile, QTI_RESOURCES_PATH, XML_MIME)
+// - Diagnostics.gs (Diagnostics)
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/** Namespace and schema location shared by QTI 3.0 items and tests. */
+const QTI3_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0';
+const QTI3_SCHEMA_LOCATION = 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0 https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd';
+
+/**
+ * Main function to create the QTI 3.0 export package.
+ *
+ * @param {Array<Object>} questionsData - Array of combined question & answer objects.
+ * @param {Array<Object>} allImages - Array of all unique image metadata objects.
+ * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save export files into.
+ * @param {string} quizTitle - The title for the quiz/assessment.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped items and grading problems.
+ * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
+ */
+function QTI3Export_createPackage(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting QTI 3.0 package creation for "${quizTitle}"`);
+
+  try {
+    // Item files live in items/, so their images are one level up
+    const exportOptions = { imageBasePath: `../${QTI_RESOURCES_PATH}`, diagnostics: diagnostics };
+
+    // 1. Create Subfolders
+    const itemsFolder = projectFolder.createFolder('items');
+    const resourcesFolder = projectFolder.createFolder(QTI_RESOURCES_PATH);
+    console.log('Created subfolders: items, resources');
+
+    // 2. Process and Copy Images
+    const imageFilenameMap = QTI_processAndCopyImages(allImages, resourcesFolder);
+    console.log(`Processed and copied ${imageFilenameMap.size} images to resources folder.`);
+
+    // 3. Generate Item XML Files
+    const itemEntries = []; // { ident, href, imageFilenames } for the test and manifest
+    const blobs = [];
+    questionsData.forEach((q, index) => {
+      const itemNumber = q.number || (index + 1);
+      const itemIdent = `item_${itemNumber}`;
+      const itemXml = QTI3_createItemXML(q, itemIdent, exportOptions);
+      if (itemXml) {
+        const href = `items/${itemIdent}.xml`;
+        const itemFile = itemsFolder.createFile(`${itemIdent}.xml`, itemXml, XML_MIME);
+        blobs.push(itemFile.getBlob().setName(href));
+        itemEntries.push({ ident: itemIdent, href: href, imageFilenames: QTI21_getItemImageFilenames(q, imageFilenameMap), question: q });
+      } else {
+        console.warn(`Skipping QTI 3.0 item generation for question number ${itemNumber} due to generation error or unsupported type.`);
+      }
+    });
+    console.log(`Generated ${itemEntries.length} item XML files.`);
+
+    // 4. Generate Test and Manifest XML
+    const testIdent = `test_${Utilities.getUuid().replace(/-/g, '')}`;
+    const testXml = QTI3_createTestXML(quizTitle, testIdent, itemEntries);
+    const testFile = projectFolder.createFile('assessmentTest.xml', testXml, XML_MIME);
+    const manifestXml = QTI3_createManifestXML(quizTitle, testIdent, itemEntries, imageFilenameMap);
+    const manifestFile = projectFolder.createFile('imsmanifest.xml', manifestXml, XML_MIME);
+    console.log('Generated assessmentTest.xml and imsmanifest.xml');
+
+    // 5. Collect Files and Create Zip Package
+    blobs.unshift(
+      manifestFile.getBlob().setName('imsmanifest.xml'),
+      testFile.getBlob().setName('assessmentTest.xml')
+    );
+    const includedFilenames = new Set(imageFilenameMap.values());
+    const resourceFiles = resourcesFolder.getFiles();
+    while (resourceFiles.hasNext()) {
+      const file = resourceFiles.next();
+      if (includedFilenames.has(file.getName())) {
+        blobs.push(file.getBlob().setName(`${QTI_RESOURCES_PATH}${file.getName()}`));
+      }
+    }
+    console.log(`Collected ${blobs.length} blobs for zipping.`);
+
+    const safeQuizTitle = quizTitle.replace(/[^a-zA-Z0-9_.\-]/g, '_');
+    const zipFileName = `${safeQuizTitle}_QTI3.0.zip`;
+    const exportFile = projectFolder.createFile(Utilities.zip(blobs, zipFileName));
+    console.log(`Created zip package: ${zipFileName}`);
+
+    // 6. Store file info for download and return success
+    storeLastExportFile(exportFile);
+
+    return {
+      success: true,
+      fileUrl: exportFile.getUrl(),
+      message: `Successfully created QTI 3.0 package: ${exportFile.getName()}`
+    };
+
+  } catch (e) {
+    console.error(`QTI 3.0 package creation failed: ${e}`, e.stack);
+    return {
+      success: false,
+      message: `Error creating QTI 3.0 package: ${e.message}`
+    };
+  }
+}
+
+// ==========================================================================
+// Item XML Generation
+// ==========================================================================
+
+/**
+ * Creates the QTI 3.0 qti-assessment-item XML for a question based on its type.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemIdent - The unique identifier for this item.
+ * @param {Object} [exportOptions] - Export options ({ imageBasePath, diagnostics }).
+ * @return {string|null} The item XML, or null on failure / unsupported type.
+ */
+function QTI3_createItemXML(q, itemIdent, exportOptions = {}) {
+  console.log(`Generating QTI 3.0 XML for Item: ${itemIdent}, Type: ${q.type}`);
+  if (!exportOptions.diagnostics) {
+    exportOptions = Object.assign({}, exportOptions, { diagnostics: new Diagnostics() });
+  }
+  try {
+    switch (q.type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+      case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+      case QUESTION_TYPES.TRUE_FALSE:
+        return QTI3_createChoiceItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+      case QUESTION_TYPES.SHORT_ANSWER:
+      case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
+        return QTI3_createTextEntryItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+        return QTI3_createMultipleBlanksItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.ESSAY:
+        return QTI3_createExtendedTextItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.MATCHING:
+        return QTI3_createMatchItem(q, itemIdent, exportOptions);
+      case QUESTION_TYPES.ORDERING:
+        return QTI3_createOrderItem(q, itemIdent, exportOptions);
+      default:
+        exportOptions.diagnostics.error(`Not exported: unsupported question type "${q.type}".`, q);
+        return null;
+    }
+  } catch (e) {
+    console.error(`Error generating QTI 3.0 XML for item ${itemIdent} (Type: ${q.type}): ${e}`, e.stack);
+    exportOptions.diagnostics.error(`Not exported: an unexpected error occurred (${e.message}).`, q);
+    return null;
+  }
+}
+
+/**
+ * Wraps the parts of an item in a <qti-assessment-item> with the standard SCORE,
+ * MAXSCORE and FEEDBACK outcome declarations.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemIdent - The item identifier.
+ * @param {Object} parts - { responseDeclaration, itemBody, responseProcessing, modalFeedback } XML strings.
+ * @return {string} The complete item XML.
+ */
+function QTI3_wrapItem(q, itemIdent, parts) {
+  const questionNumber = q.number || itemIdent.split('_')[1];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<qti-assessment-item xmlns="${QTI3_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI3_SCHEMA_LOCATION}" identifier="${itemIdent}" title="Question ${questionNumber}" adaptive="false" time-dependent="false">
+${parts.responseDeclaration}
+  <qti-outcome-declaration identifier="SCORE" cardinality="single" base-type="float">
+    <qti-default-value><qti-value>0</qti-value></qti-default-value>
+  </qti-outcome-declaration>
+  <qti-outcome-declaration identifier="MAXSCORE" cardinality="single" base-type="float">
+    <qti-default-value><qti-value>${QTI_getPoints(q)}</qti-value></qti-default-value>
+  </qti-outcome-declaration>
+  <qti-outcome-declaration identifier="FEEDBACK" cardinality="multiple" base-type="identifier"/>
+  <qti-item-body>
+${parts.itemBody}
+  </qti-item-body>
+${parts.responseProcessing}
+${parts.modalFeedback}</qti-assessment-item>`;
+}
+
+/**
+ * Creates the prompt for the question stem (a <div> if it holds a table; see QTI21_wrapPromptXML).
+ */
+function QTI3_createPromptXML(q, exportOptions) {
+  return QTI21_wrapPromptXML(QTI21_richTextToXhtml(q, `Question ${q.number}`, exportOptions));
+}
+
+/**
+ * Creates a <qti-set-outcome-value> that adds a feedback identifier to FEEDBACK.
+ */
+function QTI3_addFeedbackXML(feedbackIdent, indent) {
+  return `${indent}<qti-set-outcome-value identifier="FEEDBACK">
+${indent}  <qti-multiple><qti-variable identifier="FEEDBACK"/><qti-base-value base-type="identifier">${feedbackIdent}</qti-base-value></qti-multiple>
+${indent}</qti-set-outcome-value>\n`;
+}
+
+/**
+ * Creates the <qti-response-processing> for an item: full points when the correct
+ * condition holds (with correct feedback), zero otherwise (with incorrect feedback),
+ * plus general and per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string|null} correctConditionXml - Expression that is true for a correct response,
+ *                                            or null if the item cannot be auto-graded.
+ * @param {boolean} [includeOptionFeedback=false] - Whether to show per-option feedback (choice items only).
+ * @return {string} The <qti-response-processing> XML.
+ */
+function QTI3_createResponseProcessingXML(q, correctConditionXml, includeOptionFeedback = false) {
+  let xml = '  <qti-response-processing>\n';
+  if (correctConditionXml) {
+    xml += `    <qti-response-condition>
+      <qti-response-if>
+        ${correctConditionXml}
+        <qti-set-outcome-value identifier="SCORE"><qti-variable identifier="MAXSCORE"/></qti-set-outcome-value>
+${QTI_getFeedbackText(q, 'correct') ? QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.correct, '        ') : ''}      </qti-response-if>
+      <qti-response-else>
+        <qti-set-outcome-value identifier="SCORE"><qti-base-value base-type="float">0</qti-base-value></qti-set-outcome-value>
+${QTI_getFeedbackText(q, 'incorrect') ? QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.incorrect, '        ') : ''}      </qti-response-else>
+    </qti-response-condition>\n`;
+  }
+  if (QTI_getFeedbackText(q, 'general')) {
+    xml += QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.general, '    ');
+  }
+  if (includeOptionFeedback) {
+    (q.options || []).forEach((opt, index) => {
+      if (!opt.feedback) return;
+      const choiceIdent = QTI21_getChoiceIdent(opt, index);
+      xml += `    <qti-response-condition>
+      <qti-response-if>
+        <qti-member><qti-base-value base-type="identifier">${choiceIdent}</qti-base-value><qti-variable identifier="RESPONSE"/></qti-member>
+${QTI3_addFeedbackXML(`${choiceIdent}_fb`, '        ')}      </qti-response-if>
+    </qti-response-condition>\n`;
+    });
+  }
+  return xml + '  </qti-response-processing>';
+}
+
+/**
+ * Creates the <qti-modal-feedback> elements for the question's general, correct and
+ * incorrect feedback, plus any per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Object} exportOptions - Export options ({ imageBasePath }).
+ * @param {boolean} [includeOptionFeedback=false] - Whether to include per-option feedback (choice items only).
+ * @return {string} The <qti-modal-feedback> XML (may be empty).
+ */
+function QTI3_createModalFeedbackXML(q, exportOptions, includeOptionFeedback = false) {
+  const createFeedback = (ident, text) =>
+    `  <qti-modal-feedback outcome-identifier="FEEDBACK" identifier="${ident}" show-hide="show">` +
+    `<qti-content-body><p>${QTI21_toXhtml(text, q.images, exportOptions)}</p></qti-content-body></qti-modal-feedback>\n`;
+
+  let xml = '';
+  ['general', 'correct', 'incorrect'].forEach(kind => {
+    const text = QTI_getFeedbackText(q, kind);
+    if (text) xml += createFeedback(QTI_FEEDBACK_IDENTS[kind], text);
+  });
+  if (includeOptionFeedback) {
+    (q.options || []).forEach((opt, index) => {
+      if (opt.feedback) xml += createFeedback(`${QTI21_getChoiceIdent(opt, index)}_fb`, opt.feedback);
+    });
+  }
+  return xml;
+}
+
+/**
+ * Generates a qti-choice-interaction item for single choice, multiple response and
+ * true/false questions. Multiple response scoring is all-or-nothing.
+ */
+function QTI3_createChoiceItem(q, itemIdent, exportOptions) {
+  const options = QTI21_getChoiceOptions(q);
+  if (options.length === 0) {
+    exportOptions.diagnostics.error('Not exported: no options were found.', q);
+    return null;
+  }
+  const isMultiple = q.type === QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+  const correctIdents = QTI21_getCorrectChoiceIdents(q, options, exportOptions.diagnostics);
+
+  const choicesXml = options.map((opt, index) =>
+    `      <qti-simple-choice identifier="${QTI21_getChoiceIdent(opt, index)}">${QTI21_richTextToXhtml(opt, `Option ${opt.letter}`, exportOptions)}</qti-simple-choice>`
+  ).join('\n');
+  const correctXml = correctIdents.length > 0
+    ? `\n    <qti-correct-response>\n${correctIdents.map(id => `      <qti-value>${id}</qti-value>`).join('\n')}\n    </qti-correct-response>\n  `
+    : '';
+
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <qti-response-declaration identifier="RESPONSE" cardinality="${isMultiple ? 'multiple' : 'single'}" base-type="identifier">${correctXml}</qti-response-declaration>`,
+    itemBody: `${QTI3_createPromptXML(q, exportOptions)}
+    <qti-choice-interaction response-identifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}" max-choices="${isMultiple ? 0 : 1}">
+${choicesXml}
+    </qti-choice-interaction>`,
+    responseProcessing: QTI3_createResponseProcessingXML(q,
+      correctIdents.length > 0 ? '<qti-match><qti-variable identifier="RESPONSE"/><qti-correct identifier="RESPONSE"/></qti-match>' : null, true),
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions, true)
+  });
+}
+
+/**
+ * Creates the qti-equal condition for one accepted numeric answer, as
+ * QTI21_createNumericConditionXML does for QTI 2.1.
+ */
+function QTI3_createNumericConditionXML(answer) {
+  const tolerance = getNumericTolerance(answer);
+  const mode = tolerance > 0 ? `tolerance-mode="absolute" tolerance="${tolerance}"` : 'tolerance-mode="exact"';
+  return `<qti-equal ${mode}><qti-variable identifier="RESPONSE"/><qti-base-value base-type="float">${getNumericValue(answer)}</qti-base-value></qti-equal>`;
+}
+
+/**
+ * Generates a qti-text-entry-interaction item for fill-in-the-blank (text or numeric)
+ * and short answer questions, placed at the stem's blank as in the QTI 2.1 exporter.
+ */
+function QTI3_createTextEntryItem(q, itemIdent, exportOptions) {
+  const isNumeric = q.type === QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+  let responseDeclaration;
+  let correctConditionXml = null;
+
+  if (isNumeric) {
+    const numericAnswers = getNumericAnswers(q);
+    const hasAnswer = numericAnswers.length > 0;
+    if (!hasAnswer) exportOptions.diagnostics.warning('No numeric answer was given, so the question will not be auto-graded.', q);
+    responseDeclaration = `  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="float">${hasAnswer ? `
+    <qti-correct-response><qti-value>${getNumericValue(numericAnswers[0])}</qti-value></qti-correct-response>
+  ` : ''}</qti-response-declaration>`;
+    if (hasAnswer) {
+      // Any accepted answer scores
+      const conditions = numericAnswers.map(QTI3_createNumericConditionXML);
+      correctConditionXml = conditions.length > 1 ? `<qti-or>${conditions.join('')}</qti-or>` : conditions[0];
+    }
+  } else {
+    const answers = Array.isArray(q.correctAnswer)
+      ? q.correctAnswer.filter(ans => typeof ans === 'string' && ans.trim().length > 0).map(ans => ans.trim())
+      : [];
+    if (answers.length === 0) exportOptions.diagnostics.warning('No correct answer was given, so the question will not be auto-graded.', q);
+    responseDeclaration = `  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="string">${answers.length > 0 ? `
+    <qti-correct-response><qti-value>${sanitizeHtml(answers[0])}</qti-value></qti-correct-response>
+    <qti-mapping default-value="0">
+${answers.map(ans => `      <qti-map-entry map-key="${sanitizeHtml(ans)}" mapped-value="1" case-sensitive="${q.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </qti-mapping>
+  ` : ''}</qti-response-declaration>`;
+    if (answers.length > 0) {
+      correctConditionXml = '<qti-gt><qti-map-response identifier="RESPONSE"/><qti-base-value base-type="float">0</qti-base-value></qti-gt>';
+    }
+  }
+
+  const interactionXml = `<qti-text-entry-interaction response-identifier="RESPONSE" expected-length="${isNumeric ? 10 : 20}"/>`;
+  let promptXml = QTI3_createPromptXML(q, exportOptions);
+  const blankRegex = /_{3,}|\[blank\]/i;
+  promptXml = blankRegex.test(promptXml)
+    ? promptXml.replace(blankRegex, interactionXml)
+    : promptXml.replace(/<\/(p|div)>$/, ` ${interactionXml}</$1>`);
+
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: responseDeclaration,
+    itemBody: promptXml,
+    responseProcessing: QTI3_createResponseProcessingXML(q, correctConditionXml),
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates an item with a qti-text-entry-interaction per blank, scored per blank
+ * through each response's mapping (see QTI21_createMultipleBlanksItem).
+ */
+function QTI3_createMultipleBlanksItem(q, itemIdent, exportOptions) {
+  const blanks = getBlankAnswers(q);
+  const scores = splitScore(QTI_getPoints(q), blanks.length);
+  const graded = blanks.filter(blank => blank.answers.length > 0);
+
+  const responseDeclaration = blanks.map((blank, index) => {
+    if (blank.answers.length === 0) {
+      exportOptions.diagnostics.warning(`No answer was given for ${blank.name}, so no response to it scores.`, q);
+      return `  <qti-response-declaration identifier="RESPONSE_${blank.name}" cardinality="single" base-type="string"/>`;
+    }
+    return `  <qti-response-declaration identifier="RESPONSE_${blank.name}" cardinality="single" base-type="string">
+    <qti-correct-response><qti-value>${sanitizeHtml(blank.answers[0])}</qti-value></qti-correct-response>
+    <qti-mapping default-value="0">
+${blank.answers.map(ans => `      <qti-map-entry map-key="${sanitizeHtml(ans)}" mapped-value="${scores[index]}" case-sensitive="${q.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </qti-mapping>
+  </qti-response-declaration>`;
+  }).join('\n');
+
+  let responseProcessing = '  <qti-response-processing>\n';
+  if (graded.length > 0) {
+    const mapped = graded.map(blank => `<qti-map-response identifier="RESPONSE_${blank.name}"/>`);
+    responseProcessing += `    <qti-set-outcome-value identifier="SCORE">${mapped.length > 1 ? `<qti-sum>${mapped.join('')}</qti-sum>` : mapped[0]}</qti-set-outcome-value>\n`;
+  }
+  if (graded.length === blanks.length && (QTI_getFeedbackText(q, 'correct') || QTI_getFeedbackText(q, 'incorrect'))) {
+    const allCorrect = graded.map(blank => `<qti-gt><qti-map-response identifier="RESPONSE_${blank.name}"/><qti-base-value base-type="float">0</qti-base-value></qti-gt>`);
+    responseProcessing += `    <qti-response-condition>
+      <qti-response-if>
+        <qti-and>${allCorrect.join('')}</qti-and>
+${QTI_getFeedbackText(q, 'correct') ? QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.correct, '        ') : ''}      </qti-response-if>
+      <qti-response-else>
+${QTI_getFeedbackText(q, 'incorrect') ? QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.incorrect, '        ') : ''}      </qti-response-else>
+    </qti-response-condition>\n`;
+  }
+  if (QTI_getFeedbackText(q, 'general')) {
+    responseProcessing += QTI3_addFeedbackXML(QTI_FEEDBACK_IDENTS.general, '    ');
+  }
+  responseProcessing += '  </qti-response-processing>';
+
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: responseDeclaration,
+    itemBody: replaceBlanks(QTI3_createPromptXML(q, exportOptions),
+      name => `<qti-text-entry-interaction response-identifier="RESPONSE_${name}" expected-length="15"/>`),
+    responseProcessing: responseProcessing,
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates a qti-extended-text-interaction item for essay questions (manually graded).
+ */
+function QTI3_createExtendedTextItem(q, itemIdent, exportOptions) {
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: '  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="string"/>',
+    itemBody: `${QTI3_createPromptXML(q, exportOptions)}
+    <qti-extended-text-interaction response-identifier="RESPONSE" expected-lines="10"/>`,
+    responseProcessing: QTI3_createResponseProcessingXML(q, null),
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates a qti-match-interaction item. Each premise matches exactly one response;
+ * a response may be used by several premises. Scoring is all-or-nothing.
+ */
+function QTI3_createMatchItem(q, itemIdent, exportOptions) {
+  const matchSets = QTI21_getMatchSets(q, exportOptions.diagnostics);
+  if (!matchSets) return null;
+  const { premises, responses, pairs } = matchSets;
+
+  const premisesXml = premises.map(p =>
+    `        <qti-simple-associable-choice identifier="${p.ident}" match-max="1">${QTI21_richTextToXhtml(p.opt, '', exportOptions)}</qti-simple-associable-choice>`
+  ).join('\n');
+  const responsesXml = responses.map(r =>
+    `        <qti-simple-associable-choice identifier="${r.ident}" match-max="${premises.length}">${sanitizeHtml(r.value)}</qti-simple-associable-choice>`
+  ).join('\n');
+
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <qti-response-declaration identifier="RESPONSE" cardinality="multiple" base-type="directedPair">
+    <qti-correct-response>
+${pairs.map(pair => `      <qti-value>${pair[0]} ${pair[1]}</qti-value>`).join('\n')}
+    </qti-correct-response>
+  </qti-response-declaration>`,
+    itemBody: `${QTI3_createPromptXML(q, exportOptions)}
+    <qti-match-interaction response-identifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}" max-associations="${premises.length}">
+      <qti-simple-match-set>
+${premisesXml}
+      </qti-simple-match-set>
+      <qti-simple-match-set>
+${responsesXml}
+      </qti-simple-match-set>
+    </qti-match-interaction>`,
+    responseProcessing: QTI3_createResponseProcessingXML(q, '<qti-match><qti-variable identifier="RESPONSE"/><qti-correct identifier="RESPONSE"/></qti-match>'),
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+/**
+ * Generates a qti-order-interaction item. The response must match the full correct sequence.
+ */
+function QTI3_createOrderItem(q, itemIdent, exportOptions) {
+  const sequence = QTI21_getOrderSequence(q, exportOptions.diagnostics);
+  if (!sequence) return null;
+
+  const choicesXml = q.options.map((opt, index) =>
+    `      <qti-simple-choice identifier="${QTI21_getChoiceIdent(opt, index)}">${QTI21_richTextToXhtml(opt, '', exportOptions)}</qti-simple-choice>`
+  ).join('\n');
+
+  return QTI3_wrapItem(q, itemIdent, {
+    responseDeclaration: `  <qti-response-declaration identifier="RESPONSE" cardinality="ordered" base-type="identifier">
+    <qti-correct-response>
+${sequence.map(id => `      <qti-value>${id}</qti-value>`).join('\n')}
+    </qti-correct-response>
+  </qti-response-declaration>`,
+    itemBody: `${QTI3_createPromptXML(q, exportOptions)}
+    <qti-order-interaction response-identifier="RESPONSE" shuffle="${q.shuffle ? 'true' : 'false'}">
+${choicesXml}
+    </qti-order-interaction>`,
+    responseProcessing: QTI3_createResponseProcessingXML(q, '<qti-match><qti-variable identifier="RESPONSE"/><qti-correct identifier="RESPONSE"/></qti-match>'),
+    modalFeedback: QTI3_createModalFeedbackXML(q, exportOptions)
+  });
+}
+
+// ==========================================================================
+// Test and Manifest XML
+// ==========================================================================
+
+/**
+ * Creates the qti-assessment-test XML referencing every item. Items are placed in a single
+ * section, or, if the document has section headings, in one qti-assessment-section per heading;
+ * a heading's pick count becomes a random selection of that many items.
+ * The test SCORE is the sum of the scores of the items delivered.
+ *
+ * @param {string} title - The test title.
+ * @param {string} testIdent - The test identifier.
+ * @param {Array<Object>} itemEntries - [{ ident, href, question }] for each exported item.
+ * @return {string} The qti-assessment-test XML content.
+ */
+function QTI3_createTestXML(title, testIdent, itemEntries) {
+  const itemRefsXml = entries => entries.map(entry =>
+    `      <qti-assessment-item-ref identifier="${entry.ident}" href="${entry.href}"/>`
+  ).join('\n');
+
+  let sectionsXml;
+  if (!hasSections(itemEntries.map(entry => entry.question))) {
+    sectionsXml = `    <qti-assessment-section identifier="main_section" title="Main Section" visible="true">
+${itemRefsXml(itemEntries)}
+    </qti-assessment-section>`;
+  } else {
+    // One section per document heading; a pick count becomes a random selection
+    sectionsXml = groupBySection(itemEntries, entry => entry.question).map((group, index) => {
+      const pick = QTI_getSectionPick(group.section, group.items.length);
+      return `    <qti-assessment-section identifier="section_${index + 1}" title="${sanitizeHtml(group.section ? group.section.title : 'Questions')}" visible="true">
+${pick !== null ? `      <qti-selection select="${pick}"/>\n` : ''}${itemRefsXml(group.items)}
+    </qti-assessment-section>`;
+    }).join('\n');
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<qti-assessment-test xmlns="${QTI3_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI3_SCHEMA_LOCATION}" identifier="${testIdent}" title="${sanitizeHtml(title)}">
+  <qti-outcome-declaration identifier="SCORE" cardinality="single" base-type="float">
+    <qti-default-value><qti-value>0</qti-value></qti-default-value>
+  </qti-outcome-declaration>
+  <qti-test-part identifier="main_part" navigation-mode="nonlinear" submission-mode="simultaneous">
+${sectionsXml}
+  </qti-test-part>
+  <qti-outcome-processing>
+    <qti-set-outcome-value identifier="SCORE">
+      <qti-sum><qti-test-variables variable-identifier="SCORE"/></qti-sum>
+    </qti-set-outcome-value>
+  </qti-outcome-processing>
+</qti-assessment-test>`;
+}
+
+/**
+ * Creates the QTI 3.0 imsmanifest.xml. The test depends on its items, and each
+ * item depends on the images it uses.
+ *
+ * @param {string} title - The package title.
+ * @param {string} testIdent - The test identifier.
+ * @param {Array<Object>} itemEntries - [{ ident, href, imageFilenames }] for each exported item.
+ * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @return {string} The imsmanifest.xml content.
+ */
+function QTI3_createManifestXML(title, testIdent, itemEntries, imageFilenameMap) {
+  const manifestIdent = `manifest_${Utilities.getUuid().replace(/-/g, '')}`;
+  const imageResourceIdent = filename => `resource_${filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
+
+  let resourcesXml = `    <resource identifier="resource_${testIdent}" type="imsqti_test_xmlv3p0" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${itemEntries.map(entry => `      <dependency identifierref="resource_${entry.ident}"/>`).join('\n')}
+    </resource>\n`;
+
+  itemEntries.forEach(entry => {
+    resourcesXml += `    <resource identifier="resource_${entry.ident}" type="imsqti_item_xmlv3p0" href="${entry.href}">\n`;
+    resourcesXml += `      <file href="${entry.href}"/>\n`;
+    entry.imageFilenames.forEach(filename => {
+      resourcesXml += `      <dependency identifierref="${imageResourceIdent(filename)}"/>\n`;
+    });
+    resourcesXml += `    </resource>\n`;
+  });
+
+  new Set(imageFilenameMap.values()).forEach(filename => {
+    resourcesXml += `    <resource identifier="${imageResourceIdent(filename)}" type="webcontent" href="${QTI_RESOURCES_PATH}${filename}">\n`;
+    resourcesXml += `      <file href="${QTI_RESOURCES_PATH}${filename}"/>\n`;
+    resourcesXml += `    </resource>\n`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestIdent}" xmlns="http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1 https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqtiv3p0_imscpv1p2_v1p0.xsd http://ltsc.ieee.org/xsd/LOM https://purl.imsglobal.org/spec/md/v1p3/schema/xsd/imsmd_loose_v1p3p2.xsd">
+  <metadata>
+    <schema>QTI Package</schema>
+    <schemaversion>3.0.0</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title>
+          <imsmd:string>${sanitizeHtml(title)}</imsmd:string>
+        </imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${resourcesXml}  </resources>
+</manifest>`;
+}
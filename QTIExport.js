@@ -6,7 +6,10 @@
  */
 
 // Dependencies:
-// - Utilities.gs (sanitizeHtml, replaceImagePlaceholdersWithHtml, QTI_RESOURCES_PATH, XML_MIME)
+// - Utilities.gs (sanitizeHtml, replaceImagePlaceholdersWithHtml, getItemHtml, getCorrectLetters, getTrueFalseOption, groupBySection, hasSections,
+//                 getNumericAnswers, getBlankAnswers, replaceBlanks, splitScore, QTI_RESOURCES_PATH, XML_MIME)
+// - Diagnostics.gs (Diagnostics)
+// - Validation.gs (getUnresolvedAnswerReason)
 // - Constants.gs (QUESTION_TYPES)
 
 'use strict';
@@ -18,9 +21,10 @@
  * @param {Array<Object>} allImages - Array of all unique image metadata objects.
  * @param {GoogleAppsScript.Drive.Folder} projectFolder - The Drive folder to save export files into.
  * @param {string} quizTitle - The title for the quiz/assessment.
+ * @param {Diagnostics} [diagnostics] - Collector for skipped items and grading problems.
  * @return {Object} Result object: { success: boolean, fileUrl?: string, message?: string }
  */
-function QTIExport_createQTIPackage(questionsData, allImages, projectFolder, quizTitle) {
+function QTIExport_createQTIPackage(questionsData, allImages, projectFolder, quizTitle, diagnostics = new Diagnostics()) {
   console.log(`Starting QTI 1.2 package creation for "${quizTitle}"`);
 
   try {
@@ -34,27 +38,28 @@ function QTIExport_createQTIPackage(questionsData, allImages, projectFolder, qui
     console.log(`Processed and copied ${imageFilenameMap.size} images to resources folder.`);
 
     // 3. Generate Item XML Files
-    const itemIdentifiers = []; // Store identifiers for manifest/assessment references
+    const exportOptions = { diagnostics: diagnostics };
+    const itemEntries = []; // { ident, question } for the items actually exported
     questionsData.forEach((q, index) => {
       const itemNumber = q.number || (index + 1); // Use question number or fallback to index
       const itemIdentifier = `item_${itemNumber}`; // Consistent identifier
-      itemIdentifiers.push(itemIdentifier);
 
       // Generate XML for the specific question type
-      const itemXml = QTI_createItemXML(q, itemIdentifier, imageFilenameMap);
+      const itemXml = QTI_createItemXML(q, itemIdentifier, imageFilenameMap, exportOptions);
       if (itemXml) {
         itemsFolder.createFile(`${itemIdentifier}.xml`, itemXml, XML_MIME);
+        itemEntries.push({ ident: itemIdentifier, question: q });
       } else {
         console.warn(`Skipping item XML generation for question number ${itemNumber} due to generation error or unsupported type.`);
-        // Optionally remove identifier if skipped? Depends on strictness.
-        itemIdentifiers.pop(); // Remove if skipped
       }
     });
+    const itemIdentifiers = itemEntries.map(entry => entry.ident); // For manifest references
+    const totalPoints = QTI_getTotalPoints(itemEntries.map(entry => entry.question)); // Points a student can earn
     console.log(`Generated ${itemIdentifiers.length} item XML files.`);
 
     // 4. Generate Assessment XML (referencing items)
     const assessmentIdentifier = `assessment_${Utilities.getUuid().replace(/-/g, '')}`;
-    const assessmentXml = QTI_createAssessmentXML(quizTitle, assessmentIdentifier, itemIdentifiers);
+    const assessmentXml = QTI_createAssessmentXML(quizTitle, assessmentIdentifier, itemEntries, totalPoints);
     const assessmentFile = projectFolder.createFile('assessment.xml', assessmentXml, XML_MIME);
     console.log('Generated assessment.xml');
 
@@ -106,10 +111,7 @@ function QTIExport_createQTIPackage(questionsData, allImages, projectFolder, qui
     console.log(`Created zip package: ${zipFileName}`);
 
     // 7. Store file info for download and return success
-    PropertiesService.getScriptProperties().setProperties({
-      lastExportFileId: exportFile.getId(),
-      lastExportFileName: exportFile.getName()
-    });
+    storeLastExportFile(exportFile);
 
     return {
       success: true,
@@ -132,7 +134,8 @@ function QTIExport_createQTIPackage(questionsData, allImages, projectFolder, qui
 
 /**
  * Processes image metadata, copies image blobs to the resources folder,
- * and returns a map of image IDs to their final filenames.
+ * and returns a map of image IDs to their final filenames. Repeated images
+ * (`duplicateOf`, see deduplicateImage) are written once and share a filename.
  *
  * @param {Array<Object>} allImages - Array of image metadata objects from parsing.
  * @param {GoogleAppsScript.Drive.Folder} resourcesFolder - The folder to save images into.
@@ -153,6 +156,12 @@ function QTI_processAndCopyImages(allImages, resourcesFolder) {
       return;
     }
 
+    // A repeated image (see deduplicateImage) uses the file written for its first occurrence
+    if (imgMeta.duplicateOf && imageFilenameMap.has(imgMeta.duplicateOf)) {
+      imageFilenameMap.set(imgMeta.id, imageFilenameMap.get(imgMeta.duplicateOf));
+      return;
+    }
+
     // Ensure filename uniqueness (though generateImageFilename should mostly handle this)
     let finalFilename = imgMeta.filename;
     let counter = 1;
@@ -182,23 +191,129 @@ function QTI_processAndCopyImages(allImages, resourcesFolder) {
   return imageFilenameMap;
 }
 
+/**
+ * Returns the point value for a question, falling back to DEFAULT_QUESTION_POINTS
+ * when the parsed value is missing or invalid.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {number} The points awarded for a fully correct response.
+ */
+function QTI_getPoints(q) {
+  const points = q ? Number(q.points) : NaN;
+  return points > 0 ? points : DEFAULT_QUESTION_POINTS;
+}
+
+/**
+ * Returns how many of a section's exported questions each student gets, or null
+ * when they get all of them (no pick count, or one at least as large as the section).
+ *
+ * @param {Object} section - The section (see parseSectionHeading).
+ * @param {number} itemCount - The number of the section's questions that were exported.
+ * @return {number|null} The pick count, or null for all questions.
+ */
+function QTI_getSectionPick(section, itemCount) {
+  return section && section.pick !== null && section.pick < itemCount ? section.pick : null;
+}
+
+/**
+ * Returns the points a student can earn: the sum of the question points, where a
+ * section that picks N questions counts N times its points per question.
+ *
+ * @param {Array<Object>} questions - The exported questions, in document order.
+ * @return {number} The total points.
+ */
+function QTI_getTotalPoints(questions) {
+  return groupBySection(questions, q => q).reduce((total, group) => {
+    const pick = QTI_getSectionPick(group.section, group.items.length);
+    if (pick !== null) {
+      return total + pick * QTI_getPoints(group.items[0]); // Section questions share one point value
+    }
+    return total + group.items.reduce((sum, q) => sum + QTI_getPoints(q), 0);
+  }, 0);
+}
+
+/**
+ * Returns the QTI 1.2 shuffle attribute value for a question's options.
+ *
+ * @param {Object} q - The combined question/answer object (see applyShuffleSetting).
+ * @return {string} "Yes" or "No".
+ */
+function QTI_getShuffleValue(q) {
+  return q.shuffle ? 'Yes' : 'No';
+}
+
+/**
+ * Returns the SCORE value awarded for a fully correct response. Generic QTI 1.2 items
+ * score in points; Canvas scores every item out of 100 and scales by points_possible.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Object} [exportOptions] - Export options (see QTI_createItemXML).
+ * @return {number} The maximum SCORE for the item.
+ */
+function QTI_getMaxScore(q, exportOptions = {}) {
+  return exportOptions.profile === EXPORT_FORMATS.CANVAS ? 100 : QTI_getPoints(q);
+}
+
+/**
+ * Creates the <itemmetadata> block for an item. Generic packages use qmd_itemtype;
+ * Canvas ignores that and expects its own question_type and points_possible fields.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} itemType - The generic qmd_itemtype label (e.g. 'Multiple Choice').
+ * @param {Object} [exportOptions] - Export options (see QTI_createItemXML).
+ * @return {string} The <itemmetadata> XML.
+ */
+function QTI_createItemMetadataXML(q, itemType, exportOptions = {}) {
+  let fieldsXml;
+  if (exportOptions.profile === EXPORT_FORMATS.CANVAS) {
+    fieldsXml = `      <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${Canvas_getQuestionType(q.type)}</fieldentry></qtimetadatafield>
+      <qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>${QTI_getPoints(q)}</fieldentry></qtimetadatafield>`;
+  } else {
+    fieldsXml = `      <qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>${itemType}</fieldentry></qtimetadatafield>`;
+  }
+  return `  <itemmetadata>
+    <qtimetadata>
+${fieldsXml}
+    </qtimetadata>
+  </itemmetadata>`;
+}
+
 /**
  * Creates the XML content for the main QTI 1.2 assessment file.
  * This file typically references the individual item XML files.
+ * When the document has section headings, each section becomes a subsection of
+ * the main section, with a <selection> of its pick count (see parseSectionHeading).
  *
  * @param {string} title - The title of the assessment.
  * @param {string} assessmentIdent - The unique identifier for the assessment.
- * @param {Array<string>} itemIdentifiers - Array of identifiers for the items included.
+ * @param {Array<Object>} itemEntries - [{ ident, question }] for the items included.
+ * @param {number} totalPoints - Points a student can earn (see QTI_getTotalPoints).
  * @return {string} The assessment XML content.
  */
-function QTI_createAssessmentXML(title, assessmentIdent, itemIdentifiers) {
+function QTI_createAssessmentXML(title, assessmentIdent, itemEntries, totalPoints) {
   const sanitizedTitle = sanitizeHtml(title);
+  // QTI 1.2 uses <assessmentItemRef> inside <section>
+  const itemRefXML = (entry, indent) => `${indent}<assessmentItemRef href="items/${entry.ident}.xml" identifier="${entry.ident}"/>\n`;
 
   let itemRefsXML = '';
-  itemIdentifiers.forEach(ident => {
-    // QTI 1.2 uses <assessmentItemRef> inside <section>
-    itemRefsXML += `      <assessmentItemRef href="items/${ident}.xml" identifier="${ident}"/>\n`;
-  });
+  if (!hasSections(itemEntries.map(entry => entry.question))) {
+    itemEntries.forEach(entry => {
+      itemRefsXML += itemRefXML(entry, '      ');
+    });
+  } else {
+    groupBySection(itemEntries, entry => entry.question).forEach((group, index) => {
+      const sectionTitle = group.section ? group.section.title : 'Questions';
+      const pick = group.section ? QTI_getSectionPick(group.section, group.items.length) : null;
+      itemRefsXML += `      <section ident="section_${index + 1}" title="${sanitizeHtml(sectionTitle)}">\n`;
+      itemRefsXML += pick !== null
+        ? `        <selection_ordering><selection><selection_number>${pick}</selection_number></selection></selection_ordering>\n`
+        : `        <selection_ordering sequence_type="Normal"/>\n`;
+      group.items.forEach(entry => {
+        itemRefsXML += itemRefXML(entry, '        ');
+      });
+      itemRefsXML += `      </section>\n`;
+    });
+  }
 
   // Basic QTI 1.2 assessment structure
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -210,6 +325,11 @@ function QTI_createAssessmentXML(title, assessmentIdent, itemIdentifiers) {
         <fieldentry>Assessment</fieldentry>
       </qtimetadatafield>
     </qtimetadata>
+    <outcomes_processing scoremodel="SumOfScores">
+      <outcomes>
+        <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${totalPoints}" defaultval="0"/>
+      </outcomes>
+    </outcomes_processing>
     <section ident="main_section" title="Main Section">
       <selection_ordering sequence_type="Normal"/>
 ${itemRefsXML}
@@ -250,7 +370,7 @@ function QTI_createManifestXML(title, assessmentIdent, itemIdentifiers, imageFil
   });
 
   let imageResourcesXML = '';
-  imageFilenameMap.forEach(filename => {
+  new Set(imageFilenameMap.values()).forEach(filename => { // Repeated images share a filename
     // Use filename as identifier for image resources, ensure uniqueness if needed
     const imageResourceIdent = `resource_${filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
     imageResourcesXML += `    <resource identifier="${imageResourceIdent}" type="webcontent" href="${QTI_RESOURCES_PATH}${filename}">\n`;
@@ -294,6 +414,102 @@ ${imageResourcesXML}
 }
 
 
+// ==========================================================================
+// Feedback Helpers
+// ==========================================================================
+
+/** Identifiers of the question-level <itemfeedback> elements. */
+const QTI_FEEDBACK_IDENTS = {
+  general: 'general_fb',
+  correct: 'correct_fb',
+  incorrect: 'general_incorrect_fb'
+};
+
+/** General feedback of essay items when the document gives none. */
+const QTI_ESSAY_DEFAULT_FEEDBACK = 'Your response has been submitted for grading.';
+
+/**
+ * Returns the question-level feedback text of the given kind, if any.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} kind - 'general', 'correct' or 'incorrect'.
+ * @return {string} The feedback text, or an empty string.
+ */
+function QTI_getFeedbackText(q, kind) {
+  return (q.feedback && q.feedback[kind]) || '';
+}
+
+/**
+ * Creates a <displayfeedback> element linking to the question's correct or incorrect
+ * feedback, for use inside the matching <respcondition>.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} kind - 'correct' or 'incorrect'.
+ * @return {string} The <displayfeedback> XML, or an empty string if there is no such feedback.
+ */
+function QTI_createDisplayFeedbackXML(q, kind) {
+  if (!QTI_getFeedbackText(q, kind)) return '';
+  return `<displayfeedback feedbacktype="Response" linkrefid="${QTI_FEEDBACK_IDENTS[kind]}"/>`;
+}
+
+/**
+ * Creates the response conditions that show general feedback (always) and
+ * per-option feedback (when that option is selected). These use continue="Yes"
+ * so they must precede the scoring conditions.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {string} responseIdent - The identifier of the item's response_lid.
+ * @param {boolean} [includeOptionFeedback=true] - Whether to emit per-option feedback (choice items only).
+ * @return {string} The <respcondition> XML (may be empty).
+ */
+function QTI_createFeedbackConditionsXML(q, responseIdent, includeOptionFeedback = true) {
+  let xml = '';
+  if (QTI_getFeedbackText(q, 'general')) {
+    xml += `    <respcondition continue="Yes">\n`;
+    xml += `      <conditionvar><other/></conditionvar>\n`;
+    xml += `      <displayfeedback feedbacktype="Response" linkrefid="${QTI_FEEDBACK_IDENTS.general}"/>\n`;
+    xml += `    </respcondition>\n`;
+  }
+  (includeOptionFeedback ? q.options || [] : []).forEach((opt, index) => {
+    if (!opt.feedback) return;
+    const choiceIdent = `choice_${opt.letter || index + 1}`;
+    xml += `    <respcondition continue="Yes">\n`;
+    xml += `      <conditionvar><varequal respident="${responseIdent}">${choiceIdent}</varequal></conditionvar>\n`;
+    xml += `      <displayfeedback feedbacktype="Response" linkrefid="${choiceIdent}_fb"/>\n`;
+    xml += `    </respcondition>\n`;
+  });
+  return xml;
+}
+
+/**
+ * Creates the <itemfeedback> elements for the question's general, correct and
+ * incorrect feedback, plus any per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Object} [exportOptions] - Export options (see QTI_createItemXML).
+ * @param {boolean} [includeOptionFeedback=true] - Whether to emit per-option feedback (choice items only).
+ * @return {string} The <itemfeedback> XML (may be empty).
+ */
+function QTI_createItemFeedbackXML(q, exportOptions = {}, includeOptionFeedback = true) {
+  const createFeedback = (ident, text) =>
+    `  <itemfeedback ident="${ident}" view="Candidate">\n` +
+    `    <flow_mat><material><mattext texttype="text/html"><![CDATA[${replaceImagePlaceholdersWithHtml(text, q.images, exportOptions.imageBasePath)}]]></mattext></material></flow_mat>\n` +
+    `  </itemfeedback>\n`;
+
+  let xml = '';
+  ['general', 'correct', 'incorrect'].forEach(kind => {
+    const text = QTI_getFeedbackText(q, kind);
+    if (text) xml += createFeedback(QTI_FEEDBACK_IDENTS[kind], text);
+  });
+  if (includeOptionFeedback) {
+    (q.options || []).forEach((opt, index) => {
+      if (opt.feedback) xml += createFeedback(`choice_${opt.letter || index + 1}_fb`, opt.feedback);
+    });
+  }
+  return xml;
+}
+
+
 // ==========================================================================
 // Item XML Generation Dispatcher and Specific Type Handlers
 // ==========================================================================
@@ -304,44 +520,55 @@ ${imageResourcesXML}
  * @param {Object} question - The combined question/answer object.
  * @param {string} itemIdent - The unique identifier for this item.
  * @param {Map<string, string>} imageFilenameMap - Map of image IDs to filenames.
+ * @param {Object} [exportOptions] - Options shared by all item generators:
+ *   {string} [profile] - EXPORT_FORMATS.CANVAS for Canvas metadata and 0-100 scoring; generic otherwise.
+ *   {string} [imageBasePath] - Path prefix for <img> src attributes (defaults to QTI_RESOURCES_PATH).
+ *   {Diagnostics} [diagnostics] - Collector for skipped items and grading problems.
  * @return {string|null} The generated item XML string, or null on failure.
  */
-function QTI_createItemXML(question, itemIdent, imageFilenameMap) {
+function QTI_createItemXML(question, itemIdent, imageFilenameMap, exportOptions = {}) {
   console.log(`Generating QTI 1.2 XML for Item: ${itemIdent}, Type: ${question.type}`);
+  if (!exportOptions.diagnostics) {
+    exportOptions = Object.assign({}, exportOptions, { diagnostics: new Diagnostics() });
+  }
 
   let itemXml = null;
   try {
     switch (question.type) {
       case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
       case QUESTION_TYPES.TRUE_FALSE: // Handled similarly to MC Single
-        itemXml = QTI_createMultipleChoiceSingleItem(question, itemIdent, imageFilenameMap);
+        itemXml = QTI_createMultipleChoiceSingleItem(question, itemIdent, imageFilenameMap, exportOptions);
+        break;
+      case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+        itemXml = QTI_createMultipleChoiceMultiItem(question, itemIdent, imageFilenameMap, exportOptions);
         break;
-      // case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
-      //   itemXml = QTI_createMultipleChoiceMultiItem(question, itemIdent, imageFilenameMap);
-      //   break; // QTI 1.2 multi-response is tricky, implement later if needed
       case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
       case QUESTION_TYPES.SHORT_ANSWER: // Often treated like FIB Text for basic auto-grading
-        itemXml = QTI_createFillInBlankTextItem(question, itemIdent, imageFilenameMap);
+        itemXml = QTI_createFillInBlankTextItem(question, itemIdent, imageFilenameMap, exportOptions);
         break;
       case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
-          itemXml = QTI_createFillInBlankNumericItem(question, itemIdent, imageFilenameMap);
+          itemXml = QTI_createFillInBlankNumericItem(question, itemIdent, imageFilenameMap, exportOptions);
           break;
+      case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+        itemXml = QTI_createMultipleBlanksItem(question, itemIdent, imageFilenameMap, exportOptions);
+        break;
       case QUESTION_TYPES.ESSAY:
-        itemXml = QTI_createEssayItem(question, itemIdent, imageFilenameMap);
+        itemXml = QTI_createEssayItem(question, itemIdent, imageFilenameMap, exportOptions);
         break;
       case QUESTION_TYPES.MATCHING:
-         itemXml = QTI_createMatchingItem(question, itemIdent, imageFilenameMap);
+         itemXml = QTI_createMatchingItem(question, itemIdent, imageFilenameMap, exportOptions);
          break;
       case QUESTION_TYPES.ORDERING:
-         itemXml = QTI_createOrderingItem(question, itemIdent, imageFilenameMap);
+         itemXml = QTI_createOrderingItem(question, itemIdent, imageFilenameMap, exportOptions);
          break;
       // Add cases for other supported types
       default:
-        console.warn(`Unsupported question type for QTI 1.2 generation: ${question.type} for item ${itemIdent}`);
+        exportOptions.diagnostics.error(`Not exported: unsupported question type "${question.type}".`, question);
         return null;
     }
   } catch (e) {
       console.error(`Error generating XML for item ${itemIdent} (Type: ${question.type}): ${e}`, e.stack);
+      exportOptions.diagnostics.error(`Not exported: an unexpected error occurred (${e.message}).`, question);
       return null; // Return null if an error occurs during generation for a specific item
   }
 
@@ -353,83 +580,85 @@ function QTI_createItemXML(question, itemIdent, imageFilenameMap) {
 /**
  * Generates QTI 1.2 XML for Multiple Choice (Single Response) and True/False items.
  */
-function QTI_createMultipleChoiceSingleItem(q, itemIdent, imageFilenameMap) {
+function QTI_createMultipleChoiceSingleItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
   const questionNumber = q.number || itemIdent.split('_')[1]; // Get number for context
   const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
   const scoreIdent = `score_${itemIdent}`;
 
   // Prepare question stem (replace image placeholders)
   // Pass the correct image array (q.images) associated with the question object
-  let stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
+  let stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
   const stemHtml = `<![CDATA[${stemText}]]>`; // Wrap in CDATA
 
-  // Prepare options
-  let choicesXml = '';
-  let correctChoiceIdentifier = null;
-  if (!q.options || q.options.length === 0) {
-      console.warn(`No options found for MC/TF question ${questionNumber}. Generating placeholder options.`);
-      // Add placeholder options if missing
-      q.options = [{letter: 'A', text: 'Option A'}, {letter: 'B', 'text': 'Option B'}];
-      if (q.type === QUESTION_TYPES.TRUE_FALSE) q.options = [{letter: 'T', text: 'True'}, {letter: 'F', text: 'False'}];
-      // Set a default correct answer if none provided? Risky.
-      if (q.correctAnswer === null && q.options.length > 0) q.correctAnswer = q.options[0].letter;
+  // Prepare options. A true/false question may be written without listing its options.
+  let options = q.options || [];
+  if (options.length === 0 && q.type === QUESTION_TYPES.TRUE_FALSE) {
+      options = [{letter: 'T', text: 'True'}, {letter: 'F', text: 'False'}];
+  }
+  if (options.length === 0) {
+      exportOptions.diagnostics.error('Not exported: no options were found.', q);
+      return null;
   }
 
+  // A true/false key of T/F also selects listed "True"/"False" options with other letters (e.g. "A. True")
+  let correctLetter = q.correctAnswer;
+  if (q.type === QUESTION_TYPES.TRUE_FALSE) {
+      const tfOption = getTrueFalseOption(q, options);
+      if (tfOption) correctLetter = tfOption.letter;
+  }
 
-  q.options.forEach((opt, index) => {
+  const shuffle = QTI_getShuffleValue(q);
+  let choicesXml = '';
+  let correctChoiceIdentifier = null;
+  options.forEach((opt, index) => {
     const choiceIdent = `choice_${opt.letter || index + 1}`; // Use letter or index
     // Pass the correct image array (opt.images) associated with this specific option
-    let optionText = replaceImagePlaceholdersWithHtml(opt.text || `Option ${opt.letter}`, opt.images);
+    let optionText = replaceImagePlaceholdersWithHtml(getItemHtml(opt, `Option ${opt.letter}`), opt.images, exportOptions.imageBasePath);
     const optionHtml = `<![CDATA[${optionText}]]>`;
 
-    choicesXml += `        <response_label ident="${choiceIdent}" rshuffle="No">\n`; // Assuming no shuffle for simplicity
+    choicesXml += `        <response_label ident="${choiceIdent}" rshuffle="${shuffle}">\n`;
     choicesXml += `          <material><mattext texttype="text/html">${optionHtml}</mattext></material>\n`;
     choicesXml += `        </response_label>\n`;
 
     // Check if this option is the correct one
-    if (q.correctAnswer && opt.letter && q.correctAnswer === opt.letter) {
+    if (correctLetter && opt.letter && correctLetter === opt.letter) {
       correctChoiceIdentifier = choiceIdent;
     }
   });
 
-  if (!correctChoiceIdentifier && q.correctAnswer && q.options.length > 0) {
-     // If correctAnswer letter was given but didn't match any option letter
-     console.warn(`Correct answer letter "${q.correctAnswer}" for question ${questionNumber} did not match any option letter. Defaulting to first option.`);
-     correctChoiceIdentifier = `choice_${q.options[0].letter || 1}`;
-  } else if (!correctChoiceIdentifier && q.options.length > 0) {
-     // No correct answer provided at all, default to first
-     console.warn(`No correct answer specified for question ${questionNumber}. Defaulting to first option.`);
-     correctChoiceIdentifier = `choice_${q.options[0].letter || 1}`;
+  // Never guess: without a matching answer the item is exported ungraded (see validateAnswers)
+  if (!correctChoiceIdentifier && q.correctAnswer) {
+     exportOptions.diagnostics.warning(`The answer ${q.correctAnswer} does not match any option, so the question will not be auto-graded.`, q);
+  } else if (!correctChoiceIdentifier) {
+     exportOptions.diagnostics.warning('No answer was given, so the question will not be auto-graded.', q);
   }
 
 
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata>
-    <qtimetadata>
-      <qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Multiple Choice</fieldentry></qtimetadatafield>
-    </qtimetadata>
-  </itemmetadata>
+${QTI_createItemMetadataXML(q, 'Multiple Choice', exportOptions)}
   <presentation>
     <material>
       <mattext texttype="text/html">${stemHtml}</mattext>
     </material>
     <response_lid ident="${responseIdent}" rcardinality="Single">
-      <render_choice shuffle="No">
+      <render_choice shuffle="${shuffle}">
 ${choicesXml}
       </render_choice>
     </response_lid>
   </presentation>
   <resprocessing>
     <outcomes>
-      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
     </outcomes>
-    ${correctChoiceIdentifier ? `
+${QTI_createFeedbackConditionsXML(q, responseIdent)}    ${correctChoiceIdentifier ? `
     <respcondition continue="No">
       <conditionvar>
         <varequal respident="${responseIdent}">${correctChoiceIdentifier}</varequal>
       </conditionvar>
-      <setvar varname="SCORE" action="Set">100</setvar> <!-- Assuming 100 points for correct -->
+      <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+      ${QTI_createDisplayFeedbackXML(q, 'correct')}
     </respcondition>
     <!-- Optional: condition for incorrect response setting score to 0 -->
     <respcondition continue="No">
@@ -437,6 +666,7 @@ ${choicesXml}
            <not><varequal respident="${responseIdent}">${correctChoiceIdentifier}</varequal></not>
         </conditionvar>
         <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
     </respcondition>
     ` : `
     <!-- No correct answer identified, setting score to 0 -->
@@ -446,21 +676,116 @@ ${choicesXml}
     </respcondition>
     `}
   </resprocessing>
-</item>`;
+${QTI_createItemFeedbackXML(q, exportOptions, true)}</item>`;
+  return xml;
+}
+
+/**
+ * Generates QTI 1.2 XML for Multiple Choice (Multiple Response / "select all that apply") items.
+ * Scoring is all-or-nothing: full credit only when every correct option is selected
+ * and no incorrect option is selected.
+ * Assumes q.correctAnswer is an array of option letters, e.g. ['A', 'C'].
+ */
+function QTI_createMultipleChoiceMultiItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
+  const questionNumber = q.number || itemIdent.split('_')[1];
+  const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
+
+  const stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
+  const stemHtml = `<![CDATA[${stemText}]]>`;
+
+  if (!q.options || q.options.length === 0) {
+      exportOptions.diagnostics.error('Not exported: no options were found.', q);
+      return null;
+  }
+
+  // Never guess: if any listed letter matches no option, grading on the others would be wrong,
+  // so the item is exported ungraded (see validateAnswers)
+  const answerProblem = getUnresolvedAnswerReason(q);
+  const correctLetters = answerProblem === null ? getCorrectLetters(q) : [];
+  if (answerProblem !== null) {
+      exportOptions.diagnostics.warning(`${answerProblem} The question will not be auto-graded.`, q);
+  }
+
+  const shuffle = QTI_getShuffleValue(q);
+  let choicesXml = '';
+  let selectionConditionsXml = ''; // Every option must be in its correct selected/unselected state
+  let matchedCorrectCount = 0;
+  q.options.forEach((opt, index) => {
+    const choiceIdent = `choice_${opt.letter || index + 1}`;
+    const optionText = replaceImagePlaceholdersWithHtml(getItemHtml(opt, `Option ${opt.letter}`), opt.images, exportOptions.imageBasePath);
+
+    choicesXml += `        <response_label ident="${choiceIdent}" rshuffle="${shuffle}">\n`;
+    choicesXml += `          <material><mattext texttype="text/html"><![CDATA[${optionText}]]></mattext></material>\n`;
+    choicesXml += `        </response_label>\n`;
+
+    if (opt.letter && correctLetters.includes(opt.letter)) {
+      selectionConditionsXml += `          <varequal respident="${responseIdent}">${choiceIdent}</varequal>\n`;
+      matchedCorrectCount++;
+    } else {
+      selectionConditionsXml += `          <not><varequal respident="${responseIdent}">${choiceIdent}</varequal></not>\n`;
+    }
+  });
+
+  const hasCorrectAnswers = matchedCorrectCount > 0;
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<item ident="${itemIdent}" title="Question ${questionNumber}">
+${QTI_createItemMetadataXML(q, 'Multiple Response', exportOptions)}
+  <presentation>
+    <material>
+      <mattext texttype="text/html">${stemHtml}</mattext>
+    </material>
+    <response_lid ident="${responseIdent}" rcardinality="Multiple">
+      <render_choice shuffle="${shuffle}">
+${choicesXml}
+      </render_choice>
+    </response_lid>
+  </presentation>
+  <resprocessing>
+    <outcomes>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
+    </outcomes>
+${QTI_createFeedbackConditionsXML(q, responseIdent)}    ${hasCorrectAnswers ? `
+    <respcondition title="Correct Response" continue="No">
+      <conditionvar>
+        <and>
+${selectionConditionsXml}
+        </and>
+      </conditionvar>
+      <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+      ${QTI_createDisplayFeedbackXML(q, 'correct')}
+    </respcondition>
+    <!-- Any other combination of selections is incorrect (all-or-nothing scoring) -->
+    <respcondition title="Incorrect Response" continue="No">
+        <conditionvar><other/></conditionvar>
+        <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
+    </respcondition>
+    ` : `
+    <!-- No correct answer identified, setting score to 0 -->
+    <respcondition continue="No">
+        <conditionvar><other/></conditionvar>
+        <setvar varname="SCORE" action="Set">0</setvar>
+    </respcondition>
+    `}
+  </resprocessing>
+${QTI_createItemFeedbackXML(q, exportOptions, true)}</item>`;
   return xml;
 }
 
 /**
  * Generates QTI 1.2 XML for Fill-in-the-Blank (Text) and Short Answer items.
- * Allows multiple possible correct answers (case-sensitive by default in QTI 1.2).
+ * Allows multiple possible correct answers, compared ignoring case unless q.caseSensitive is set.
  */
-function QTI_createFillInBlankTextItem(q, itemIdent, imageFilenameMap) {
+function QTI_createFillInBlankTextItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
   const questionNumber = q.number || itemIdent.split('_')[1];
   const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
 
-  let stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
-  // Add a visual blank indicator if not already present
-  if (!stemText.includes('_____') && !stemText.includes('[blank]')) {
+  let stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
+  // Add a visual blank indicator if not already present (any run of three or more underscores counts)
+  if (!/_{3,}|\[blank\]/i.test(stemText)) {
       stemText += ' _____';
   }
   const stemHtml = `<![CDATA[${stemText}]]>`;
@@ -470,23 +795,19 @@ function QTI_createFillInBlankTextItem(q, itemIdent, imageFilenameMap) {
   if (q.correctAnswer && Array.isArray(q.correctAnswer) && q.correctAnswer.length > 0) {
       q.correctAnswer.forEach(ans => {
           if (ans && typeof ans === 'string' && ans.trim().length > 0) { // Ensure answer is valid
-            correctAnswersXml += `          <varequal respident="${responseIdent}" case="No">${sanitizeHtml(ans.trim())}</varequal>\n`; // case="No" for case-insensitive comparison
+            correctAnswersXml += `          <varequal respident="${responseIdent}" case="${q.caseSensitive ? 'Yes' : 'No'}">${sanitizeHtml(ans.trim())}</varequal>\n`;
             hasCorrectAnswers = true;
           }
       });
   }
 
   if (!hasCorrectAnswers) {
-      console.warn(`No valid correct answer(s) provided for FIB/SA question ${questionNumber}. Item may not be auto-gradable.`);
+      exportOptions.diagnostics.warning('No correct answer was given, so the question will not be auto-graded.', q);
   }
 
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata>
-    <qtimetadata>
-      <qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Fill in the Blank</fieldentry></qtimetadatafield>
-    </qtimetadata>
-  </itemmetadata>
+${QTI_createItemMetadataXML(q, 'Fill in the Blank', exportOptions)}
   <presentation>
     <material>
       <mattext texttype="text/html">${stemHtml}</mattext>
@@ -497,15 +818,16 @@ function QTI_createFillInBlankTextItem(q, itemIdent, imageFilenameMap) {
   </presentation>
   <resprocessing>
     <outcomes>
-      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
     </outcomes>
-    ${hasCorrectAnswers ? `
+${QTI_createFeedbackConditionsXML(q, responseIdent, false)}    ${hasCorrectAnswers ? `
     <respcondition continue="No">
       <conditionvar>
         <!-- OR logic is implicit for multiple conditions here -->
 ${correctAnswersXml}
       </conditionvar>
-      <setvar varname="SCORE" action="Set">100</setvar>
+      <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+      ${QTI_createDisplayFeedbackXML(q, 'correct')}
     </respcondition>
      <!-- Condition for incorrect -->
      <respcondition continue="No">
@@ -516,6 +838,7 @@ ${correctAnswersXml}
             </not>
         </conditionvar>
         <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
      </respcondition>
      ` : `
      <!-- No valid answers, grading requires manual intervention or default 0 -->
@@ -525,66 +848,156 @@ ${correctAnswersXml}
      </respcondition>
      `}
   </resprocessing>
-</item>`;
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
   return xml;
 }
 
 
 /**
- * Generates QTI 1.2 XML for Fill-in-the-Blank (Numeric) items.
+ * Generates QTI 1.2 XML for Fill in Multiple Blanks items: the stem shows each blank
+ * as "[blank1]", followed by one response_str per blank, labelled with its name.
+ * Each blank scores its share of the points (see splitScore); correct and incorrect
+ * feedback depend on all blanks being right.
+ */
+function QTI_createMultipleBlanksItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
+  const questionNumber = q.number || itemIdent.split('_')[1];
+  const maxScore = QTI_getMaxScore(q, exportOptions);
+  const blanks = getBlankAnswers(q);
+  const scores = splitScore(maxScore, blanks.length);
+
+  const stemHtml = replaceBlanks(
+    replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath),
+    name => `[${name}]`);
+
+  let responsesXml = '';
+  let scoringXml = '';
+  const blankConditions = [];
+  blanks.forEach((blank, index) => {
+    const responseIdent = `response_${blank.name}`;
+    responsesXml += `
+    <response_str ident="${responseIdent}" rcardinality="Single">
+      <material><mattext texttype="text/plain">${blank.name}</mattext></material>
+      <render_fib fibtype="String" prompt="Box"/>
+    </response_str>`;
+
+    if (blank.answers.length === 0) {
+      exportOptions.diagnostics.warning(`No answer was given for ${blank.name}, so no response to it scores.`, q);
+      return;
+    }
+    const equals = blank.answers.map(ans =>
+      `<varequal respident="${responseIdent}" case="${q.caseSensitive ? 'Yes' : 'No'}">${sanitizeHtml(ans)}</varequal>`);
+    const condition = equals.length > 1 ? `<or>${equals.join('')}</or>` : equals[0];
+    blankConditions.push(condition);
+    scoringXml += `    <respcondition continue="Yes">
+      <conditionvar>${condition}</conditionvar>
+      <setvar varname="SCORE" action="Add">${scores[index]}</setvar>
+    </respcondition>\n`;
+  });
+
+  // Feedback only when every blank has an answer to compare with
+  if (blankConditions.length === blanks.length) {
+    const allCorrect = blankConditions.length > 1 ? `<and>${blankConditions.join('')}</and>` : blankConditions[0];
+    [['correct', allCorrect], ['incorrect', `<not>${allCorrect}</not>`]].forEach(([kind, condition]) => {
+      if (!QTI_getFeedbackText(q, kind)) return;
+      scoringXml += `    <respcondition continue="Yes">
+      <conditionvar>${condition}</conditionvar>
+      ${QTI_createDisplayFeedbackXML(q, kind)}
+    </respcondition>\n`;
+    });
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<item ident="${itemIdent}" title="Question ${questionNumber}">
+${QTI_createItemMetadataXML(q, 'Fill in Multiple Blanks', exportOptions)}
+  <presentation>
+    <material>
+      <mattext texttype="text/html"><![CDATA[${stemHtml}]]></mattext>
+    </material>${responsesXml}
+  </presentation>
+  <resprocessing>
+    <outcomes>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
+    </outcomes>
+${QTI_createFeedbackConditionsXML(q, null, false)}${scoringXml}  </resprocessing>
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
+}
+
+/**
+ * Creates the condition matching one accepted numeric answer (see getNumericAnswers):
+ * <varequal> for an exact answer, <vargte>/<varlte> for a range, and both in an <or>
+ * for a value with a tolerance, the way Canvas writes "exact answer with margin".
+ *
+ * @param {{value: ?number, min: number, max: number}} answer - The accepted answer.
+ * @param {string} responseIdent - The identifier of the item's response.
+ * @return {string} The condition XML.
+ */
+function QTI_createNumericConditionXML(answer, responseIdent) {
+  const equal = value => `<varequal respident="${responseIdent}">${value}</varequal>`;
+  const range = `<and><vargte respident="${responseIdent}">${answer.min}</vargte><varlte respident="${responseIdent}">${answer.max}</varlte></and>`;
+  if (answer.min === answer.max) return equal(answer.min);
+  return answer.value !== null ? `<or>${equal(answer.value)}${range}</or>` : range;
+}
+
+/**
+ * Generates QTI 1.2 XML for Fill-in-the-Blank (Numeric) items. Each accepted answer
+ * may be exact, have a tolerance or be a range (see parseNumericAnswer).
  */
-function QTI_createFillInBlankNumericItem(q, itemIdent, imageFilenameMap) {
+function QTI_createFillInBlankNumericItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
   const questionNumber = q.number || itemIdent.split('_')[1];
   const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
 
-  let stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
-   if (!stemText.includes('_____') && !stemText.includes('[blank]')) {
+  let stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
+   if (!/_{3,}|\[blank\]/i.test(stemText)) {
        stemText += ' _____';
    }
   const stemHtml = `<![CDATA[${stemText}]]>`;
 
-  let conditionXml = '';
-  let hasCorrectAnswer = false;
-  if (q.correctAnswer !== null && typeof q.correctAnswer === 'number' && !isNaN(q.correctAnswer)) {
-     // Simple numeric equality
-     conditionXml = `<varequal respident="${responseIdent}">${q.correctAnswer}</varequal>`;
-     hasCorrectAnswer = true;
-  } else {
-     console.warn(`Invalid or missing numeric answer for question ${questionNumber}. Expected a number.`);
+  // Canvas reads numerical answers from a response_str; generic QTI 1.2 uses response_num
+  const responseXml = exportOptions.profile === EXPORT_FORMATS.CANVAS ? `
+    <response_str ident="${responseIdent}" rcardinality="Single">
+      <render_fib fibtype="Decimal"><response_label ident="answer1"/></render_fib>
+    </response_str>` : `
+    <response_num ident="${responseIdent}" numtype="Decimal" rcardinality="Single">
+      <render_fib fibtype="Decimal" prompt="Box"/>
+    </response_num>`;
+
+  const answerConditions = getNumericAnswers(q).map(answer => QTI_createNumericConditionXML(answer, responseIdent));
+  const hasCorrectAnswer = answerConditions.length > 0;
+  if (!hasCorrectAnswer) {
+     exportOptions.diagnostics.warning('No numeric answer was given, so the question will not be auto-graded.', q);
   }
+  // Any accepted answer scores. Canvas reads one answer per <respcondition>; other tools get a single <or>.
+  const conditionXml = answerConditions.length > 1 ? `<or>${answerConditions.join('')}</or>` : (answerConditions[0] || '');
+  const correctConditions = exportOptions.profile === EXPORT_FORMATS.CANVAS ? answerConditions : [conditionXml];
 
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata>
-    <qtimetadata>
-      <qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Fill in the Blank Numeric</fieldentry></qtimetadatafield>
-    </qtimetadata>
-  </itemmetadata>
+${QTI_createItemMetadataXML(q, 'Fill in the Blank Numeric', exportOptions)}
   <presentation>
     <material>
       <mattext texttype="text/html">${stemHtml}</mattext>
-    </material>
-    <response_num ident="${responseIdent}" numtype="Decimal" rcardinality="Single">
-      <render_fib fibtype="Integer" prompt="Box"/> <!-- Or Decimal -->
-    </response_num>
+    </material>${responseXml}
   </presentation>
   <resprocessing>
     <outcomes>
-      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
     </outcomes>
-    ${hasCorrectAnswer ? `
+${QTI_createFeedbackConditionsXML(q, responseIdent, false)}    ${hasCorrectAnswer ? `${correctConditions.map(condition => `
     <respcondition continue="No">
       <conditionvar>
-        ${conditionXml}
+        ${condition}
       </conditionvar>
-      <setvar varname="SCORE" action="Set">100</setvar>
-    </respcondition>
+      <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+      ${QTI_createDisplayFeedbackXML(q, 'correct')}
+    </respcondition>`).join('')}
     <!-- Condition for incorrect -->
      <respcondition continue="No">
         <conditionvar>
             <not>${conditionXml}</not> <!-- QTI 1.2 <not> wraps the condition -->
         </conditionvar>
         <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
      </respcondition>
      ` : `
      <!-- No valid answers, grading requires manual intervention or default 0 -->
@@ -594,7 +1007,7 @@ function QTI_createFillInBlankNumericItem(q, itemIdent, imageFilenameMap) {
      </respcondition>
      `}
   </resprocessing>
-</item>`;
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
   return xml;
 }
 
@@ -602,23 +1015,25 @@ function QTI_createFillInBlankNumericItem(q, itemIdent, imageFilenameMap) {
 /**
  * Generates QTI 1.2 XML for Essay items (typically manually graded).
  */
-function QTI_createEssayItem(q, itemIdent, imageFilenameMap) {
+function QTI_createEssayItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
   const questionNumber = q.number || itemIdent.split('_')[1];
   const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
 
-  const stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
+  const stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
   const stemHtml = `<![CDATA[${stemText}]]>`;
 
+  // Essays are graded manually, so only general feedback applies. Use the document's
+  // "Feedback:" text when present, otherwise a generic submission notice.
+  const generalFeedback = replaceImagePlaceholdersWithHtml(
+      QTI_getFeedbackText(q, 'general') || QTI_ESSAY_DEFAULT_FEEDBACK, q.images, exportOptions.imageBasePath);
+
   // Essay questions usually don't have automatic response processing for correctness.
   // The SCORE might be set manually by the grader or defaulted.
-  // We can set score to 100 if any response is given, or leave it at 0 default. Let's set to 100 on any response.
+  // We can award the question's points if any response is given, or leave it at 0 default. Let's award them on any response.
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata>
-    <qtimetadata>
-      <qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Essay</fieldentry></qtimetadatafield>
-    </qtimetadata>
-  </itemmetadata>
+${QTI_createItemMetadataXML(q, 'Essay', exportOptions)}
   <presentation>
     <material>
       <mattext texttype="text/html">${stemHtml}</mattext>
@@ -629,20 +1044,20 @@ function QTI_createEssayItem(q, itemIdent, imageFilenameMap) {
   </presentation>
   <resprocessing>
     <outcomes>
-      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/>
+      <decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/>
     </outcomes>
     <!-- Optional: Award full points if *any* response is provided -->
      <respcondition continue="Yes"> <!-- Use continue="Yes" if other conditions might apply -->
        <conditionvar>
          <other/> <!-- Represents any response other than no response -->
        </conditionvar>
-       <setvar varname="SCORE" action="Set">100</setvar>
+       <setvar varname="SCORE" action="Set">${maxScore}</setvar>
        <displayfeedback feedbacktype="Response" linkrefid="general_fb"/>
      </respcondition>
   </resprocessing>
-  <!-- Optional general feedback -->
+  <!-- General feedback -->
    <itemfeedback ident="general_fb" view="Candidate">
-     <material><mattext>Your response has been submitted for grading.</mattext></material>
+     <flow_mat><material><mattext texttype="text/html"><![CDATA[${generalFeedback}]]></mattext></material></flow_mat>
    </itemfeedback>
 </item>`;
   return xml;
@@ -654,13 +1069,15 @@ function QTI_createEssayItem(q, itemIdent, imageFilenameMap) {
  * Assumes options are structured like [{ letter: 'A', text: 'Premise' }, ...]
  * and correctAnswer is like [{ premise: 'A', response: '1' }, ...]
  */
-function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
+function QTI_createMatchingItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
     const questionNumber = q.number || itemIdent.split('_')[1];
     const responseIdent = `response_${itemIdent}`;
+    const maxScore = QTI_getMaxScore(q, exportOptions);
 
-    const stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
+    const stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
     const stemHtml = `<![CDATA[${stemText}]]>`;
 
+    const shuffle = QTI_getShuffleValue(q);
     let premisesXml = '';
     let responsesXml = '';
     const premiseIdents = new Map(); // Map premise letter/text -> ident
@@ -677,7 +1094,7 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
     // We need to create render_choice options for *both* sides.
 
     if (!q.options || q.options.length === 0 || !q.correctAnswer || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
-        console.warn(`Matching question ${questionNumber} lacks sufficient options or correct answer pairs. Cannot generate XML.`);
+        exportOptions.diagnostics.error('Not exported: it has no options or no matching pairs.', q);
         return null;
     }
 
@@ -689,8 +1106,8 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
         if (!premiseKey) { console.warn(`Missing key (letter or text) for premise option in Q${questionNumber}`); return;}
         premiseIdents.set(premiseKey, premiseIdent); // Map letter/text to ident
 
-        let premiseOptionText = replaceImagePlaceholdersWithHtml(premiseOpt.text, premiseOpt.images);
-        premisesXml += `        <response_label ident="${premiseIdent}" rshuffle="No">\n`;
+        let premiseOptionText = replaceImagePlaceholdersWithHtml(getItemHtml(premiseOpt), premiseOpt.images, exportOptions.imageBasePath);
+        premisesXml += `        <response_label ident="${premiseIdent}" rshuffle="${shuffle}">\n`;
         premisesXml += `          <material><mattext texttype="text/html"><![CDATA[${premiseOptionText}]]></mattext></material>\n`;
         premisesXml += `        </response_label>\n`;
     });
@@ -706,7 +1123,7 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
 
          // Response text typically needs to be provided separately in the doc, or just use the value?
          let responseOptionText = responseVal; // Assuming the value is the text for now
-         responsesXml += `        <response_label ident="${responseIdent}" rshuffle="No">\n`;
+         responsesXml += `        <response_label ident="${responseIdent}" rshuffle="${shuffle}">\n`;
          responsesXml += `          <material><mattext texttype="text/html"><![CDATA[${responseOptionText}]]></mattext></material>\n`;
          responsesXml += `        </response_label>\n`;
     });
@@ -720,7 +1137,7 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
             if (pIdent && rIdent) {
                 return `${pIdent}.${rIdent}`; // QTI 1.2 often uses dot notation for pairs in varsubset
             }
-            console.warn(`Could not map pair: Premise Key="${pair.premise}", Response Key="${pair.response}" in Q${questionNumber}`);
+            exportOptions.diagnostics.warning(`The matching pair ${pair.premise}=${pair.response} does not match any item and was left out.`, q);
             return null;
         })
         .filter(pairStr => pairStr !== null)
@@ -728,7 +1145,7 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
 
 
     if (!correctPairsString) {
-         console.warn(`Could not generate valid correct pairs string for matching question ${questionNumber}.`);
+         exportOptions.diagnostics.error('Not exported: none of the matching pairs match its items.', q);
          return null;
     }
 
@@ -738,14 +1155,14 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
 
     const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata><qtimetadata><qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Matching</fieldentry></qtimetadatafield></qtimetadata></itemmetadata>
+${QTI_createItemMetadataXML(q, 'Matching', exportOptions)}
   <presentation>
     <material><mattext texttype="text/html">${stemHtml}</mattext></material>
     <!-- QTI 1.2 Matching often uses two response_lids, one for premise, one for response -->
     <!-- Or a single response_lid with complex rendering hints. Let's simplify. -->
     <!-- This simplified structure assumes a dropdown or similar UI mapping premises to responses -->
     <response_lid ident="${responseIdent}" rcardinality="Multiple" rtiming="No"> <!-- Multiple responses needed -->
-      <render_choice shuffle="No">
+      <render_choice shuffle="${shuffle}">
         <!-- Need pairs of choices -->
         ${premisesXml}
         ${responsesXml} <!-- This structure might need adjustment based on target LMS -->
@@ -753,24 +1170,26 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
     </response_lid>
   </presentation>
   <resprocessing>
-    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/></outcomes>
-    <!-- Simplified scoring fallback using varsubset for exact match -->
+    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/></outcomes>
+${QTI_createFeedbackConditionsXML(q, responseIdent, false)}    <!-- Simplified scoring fallback using varsubset for exact match -->
     <respcondition title="Calculate Score" continue="No">
         <conditionvar>
             <varsubset respident="${responseIdent}">${correctPairsString}</varsubset>
         </conditionvar>
         <!-- This condition checks if the submitted response set is exactly the correct set -->
-        <setvar varname="SCORE" action="Set">100</setvar>
+        <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'correct')}
     </respcondition>
     <respcondition title="Incorrect Response" continue="No">
         <conditionvar>
             <not><varsubset respident="${responseIdent}">${correctPairsString}</varsubset></not>
         </conditionvar>
         <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
     </respcondition>
 
   </resprocessing>
-</item>`;
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
   return xml; // Note: QTI 1.2 Matching XML is highly variable and system-dependent. This is a basic attempt.
 }
 
@@ -779,18 +1198,20 @@ function QTI_createMatchingItem(q, itemIdent, imageFilenameMap) {
  * Generates QTI 1.2 XML for Ordering items. Also complex in QTI 1.2.
  * Assumes q.options contains the items to be ordered, and q.correctAnswer is an array of the item texts/letters in the correct order.
  */
-function QTI_createOrderingItem(q, itemIdent, imageFilenameMap) {
+function QTI_createOrderingItem(q, itemIdent, imageFilenameMap, exportOptions = {}) {
   const questionNumber = q.number || itemIdent.split('_')[1];
   const responseIdent = `response_${itemIdent}`;
+  const maxScore = QTI_getMaxScore(q, exportOptions);
 
-  const stemText = replaceImagePlaceholdersWithHtml(q.text || `Question ${questionNumber}`, q.images);
+  const stemText = replaceImagePlaceholdersWithHtml(getItemHtml(q, `Question ${questionNumber}`), q.images, exportOptions.imageBasePath);
   const stemHtml = `<![CDATA[${stemText}]]>`;
 
+  const shuffle = QTI_getShuffleValue(q); // Ordering items are shuffled unless tagged [noshuffle]
   let choicesXml = '';
   const choiceIdents = new Map(); // Map item text/letter -> ident
 
   if (!q.options || q.options.length === 0 || !q.correctAnswer || !Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
-      console.warn(`Ordering question ${questionNumber} lacks sufficient options or correct answer sequence. Cannot generate XML.`);
+      exportOptions.diagnostics.error('Not exported: it has no items or no answer sequence.', q);
       return null;
   }
 
@@ -802,8 +1223,8 @@ function QTI_createOrderingItem(q, itemIdent, imageFilenameMap) {
       if (!optionKey) { console.warn(`Missing key (letter or text) for ordering option in Q${questionNumber}`); return;}
       choiceIdents.set(optionKey, choiceIdent); // Map option identifier (letter or text) to QTI ident
 
-      let optionText = replaceImagePlaceholdersWithHtml(opt.text, opt.images);
-      choicesXml += `        <response_label ident="${choiceIdent}" rshuffle="Yes">\n`; // Usually shuffle ordering items
+      let optionText = replaceImagePlaceholdersWithHtml(getItemHtml(opt), opt.images, exportOptions.imageBasePath);
+      choicesXml += `        <response_label ident="${choiceIdent}" rshuffle="${shuffle}">\n`;
       choicesXml += `          <material><mattext texttype="text/html"><![CDATA[${optionText}]]></mattext></material>\n`;
       choicesXml += `        </response_label>\n`;
   });
@@ -814,7 +1235,7 @@ function QTI_createOrderingItem(q, itemIdent, imageFilenameMap) {
       .filter(ident => ident); // Filter out any nulls if mapping failed
 
   if (correctSequenceIdents.length !== q.correctAnswer.length) {
-       console.warn(`Could not map all items in the correct answer sequence for ordering question ${questionNumber}. Check if answer key items match option letters/text exactly.`);
+       exportOptions.diagnostics.error('Not exported: the answer sequence does not match its items. Use the item letters or their exact text.', q);
        // Decide how to handle partial mapping - fail or proceed? Let's fail for now.
        return null;
   }
@@ -823,22 +1244,23 @@ function QTI_createOrderingItem(q, itemIdent, imageFilenameMap) {
    // QTI 1.2 Ordering uses response_lid (Ordered) and checks the sequence in resprocessing
    const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <item ident="${itemIdent}" title="Question ${questionNumber}">
-  <itemmetadata><qtimetadata><qtimetadatafield><fieldlabel>qmd_itemtype</fieldlabel><fieldentry>Ordering</fieldentry></qtimetadatafield></qtimetadata></itemmetadata>
+${QTI_createItemMetadataXML(q, 'Ordering', exportOptions)}
   <presentation>
     <material><mattext texttype="text/html">${stemHtml}</mattext></material>
     <response_lid ident="${responseIdent}" rcardinality="Ordered"> <!-- Ordered cardinality is key -->
-      <render_choice shuffle="Yes">
+      <render_choice shuffle="${shuffle}">
 ${choicesXml}
       </render_choice>
     </response_lid>
   </presentation>
   <resprocessing>
-    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100" defaultval="0"/></outcomes>
-    <respcondition title="Correct Response" continue="No">
+    <outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="${maxScore}" defaultval="0"/></outcomes>
+${QTI_createFeedbackConditionsXML(q, responseIdent, false)}    <respcondition title="Correct Response" continue="No">
       <conditionvar>
         <varequal respident="${responseIdent}">${correctSequenceString}</varequal> <!-- Check if submitted sequence matches correct sequence -->
       </conditionvar>
-      <setvar varname="SCORE" action="Set">100</setvar>
+      <setvar varname="SCORE" action="Set">${maxScore}</setvar>
+      ${QTI_createDisplayFeedbackXML(q, 'correct')}
     </respcondition>
     <!-- Condition for incorrect -->
     <respcondition title="Incorrect Response" continue="No">
@@ -846,8 +1268,9 @@ ${choicesXml}
             <not><varequal respident="${responseIdent}">${correctSequenceString}</varequal></not>
         </conditionvar>
         <setvar varname="SCORE" action="Set">0</setvar>
+        ${QTI_createDisplayFeedbackXML(q, 'incorrect')}
     </respcondition>
   </resprocessing>
-</item>`;
+${QTI_createItemFeedbackXML(q, exportOptions, false)}</item>`;
   return xml;
 }
\ No newline at end of file
@@ -0,0 +1,1027 @@
+/**
+ *  QTIImport.gs – IMS QTI v1.2 Importer
+ *  ------------------------------------------------------------------
+ *  Reads a QTI 1.2 package (.zip), such as one exported by Canvas or by this
+ *  tool, and writes a new Google Doc in the layout parseQuestions and
+ *  parseAnswerKey read: numbered questions with a type tag and points marker,
+ *  lettered options, feedback lines, headings for sections and an "Answer Key"
+ *  at the end. Images in the package are inserted where they appear, with their
+ *  alt text, so the quiz can be edited and converted again.
+ *
+ *  XmlService names elements by their local name, so packages with or without
+ *  the QTI namespace are read the same way. Formatting other than images is not
+ *  kept: bold options would read as marked answers (see applyFormattedAnswerMarks).
+ */
+
+// Dependencies:
+// - QTIExport.gs (QTI_FEEDBACK_IDENTS, QTI_ESSAY_DEFAULT_FEEDBACK)
+// - Utilities.gs (formatNumericAnswer, roundNumber)
+// - Diagnostics.gs (Diagnostics)
+// - AppError.gs
+// - Constants.gs (QUESTION_TYPES, QUESTION_TYPE_TAGS, DEFAULT_QUESTION_POINTS)
+
+'use strict';
+
+/**
+ * Returns the question type of a Canvas question_type, or null for types that cannot be
+ * imported. Like Canvas_getQuestionType, a function so it does not depend on file load order.
+ *
+ * @param {string} canvasType - The question_type metadata, e.g. "multiple_choice_question".
+ * @return {string|null} One of QUESTION_TYPES, or null.
+ */
+function QTIImport_getCanvasQuestionType(canvasType) {
+  switch (canvasType) {
+    case 'multiple_choice_question': return QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+    case 'true_false_question': return QUESTION_TYPES.TRUE_FALSE;
+    case 'multiple_answers_question': return QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+    case 'short_answer_question': return QUESTION_TYPES.SHORT_ANSWER; // A blank in the stem makes it fill in the blank
+    case 'numerical_question': return QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+    case 'fill_in_multiple_blanks_question': return QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS;
+    case 'essay_question': return QUESTION_TYPES.ESSAY;
+    case 'matching_question': return QUESTION_TYPES.MATCHING;
+    default: return null;
+  }
+}
+
+/**
+ * Returns the question type of a qmd_itemtype (as written by QTI_createItemMetadataXML).
+ *
+ * @param {string} itemType - The qmd_itemtype metadata, in any case, e.g. "Multiple Choice".
+ * @return {string|null} One of QUESTION_TYPES, or null if it is not one of ours.
+ */
+function QTIImport_getItemTypeFromMetadata(itemType) {
+  switch (itemType.toLowerCase()) {
+    case 'multiple choice': return QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+    case 'multiple response': return QUESTION_TYPES.MULTIPLE_CHOICE_MULTI;
+    case 'true/false': return QUESTION_TYPES.TRUE_FALSE;
+    case 'fill in the blank': return QUESTION_TYPES.FILL_IN_BLANK_TEXT;
+    case 'fill in the blank numeric': return QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+    case 'fill in multiple blanks': return QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS;
+    case 'essay': return QUESTION_TYPES.ESSAY;
+    case 'matching': return QUESTION_TYPES.MATCHING;
+    case 'ordering': return QUESTION_TYPES.ORDERING;
+    default: return null;
+  }
+}
+
+/** A blank in a stem, as the exporters recognise one: three or more underscores, or "[blank]". */
+const QTI_IMPORT_BLANK = /_{3,}|\[blank\]/i;
+
+/**
+ * The blank QTI_createFillInBlankTextItem and QTI_createFillInBlankNumericItem add to
+ * stems without one. It is theirs only if the rest of the stem has no QTI_IMPORT_BLANK.
+ */
+const QTI_IMPORT_ADDED_BLANK = /\s_{5}$/;
+
+/** Image content types by file extension, for package entries without one. */
+const QTI_IMPORT_IMAGE_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp', svg: 'image/svg+xml', webp: 'image/webp'
+};
+
+/**
+ * Main function to import a QTI 1.2 package into a new Google Doc.
+ *
+ * @param {GoogleAppsScript.Base.Blob} zipBlob - The package.
+ * @param {string} fallbackTitle - Title to use if the package has none (e.g. the file name).
+ * @param {Diagnostics} [diagnostics] - Collector for items and content that could not be imported.
+ * @return {{docUrl: string, docName: string, questionCount: number}} The new document.
+ * @throws {AppError} If the file is not a zip or holds no QTI 1.2 questions.
+ */
+function QTIImport_importPackage(zipBlob, fallbackTitle, diagnostics = new Diagnostics()) {
+  console.log(`Starting QTI 1.2 import of "${fallbackTitle}"`);
+
+  let entries;
+  try {
+    entries = Utilities.unzip(zipBlob);
+  } catch (e) {
+    throw new AppError(`Unzip failed: ${e}`, 'The file is not a .zip package. Choose the QTI .zip file exported by your LMS.');
+  }
+
+  const files = new Map(); // Normalized path -> blob
+  entries.forEach(blob => files.set(QTIImport_normalizePath(blob.getName()), blob));
+
+  const pkg = QTIImport_collectItems(files);
+  if (pkg.items.length === 0) {
+    throw new AppError('No QTI 1.2 items found', pkg.isNewerQti
+      ? 'This package uses QTI 2.x or 3.0. Only QTI 1.2 packages (e.g. Canvas exports) can be imported.'
+      : 'No questions were found in the package. Choose a QTI 1.2 .zip file.');
+  }
+  console.log(`Found ${pkg.items.length} items in the package.`);
+
+  const questions = [];
+  pkg.items.forEach(entry => {
+    const question = QTIImport_readItem(entry.item, questions.length + 1, diagnostics);
+    if (question) {
+      question.section = entry.section;
+      question.path = entry.path;
+      questions.push(question);
+    }
+  });
+  if (questions.length === 0) {
+    throw new AppError('No importable items', 'None of the questions in the package can be imported.');
+  }
+
+  const title = pkg.title || fallbackTitle;
+  const doc = DocumentApp.create(title);
+  QTIImport_writeDocument(doc.getBody(), questions, files, diagnostics);
+  doc.saveAndClose();
+  console.log(`Imported ${questions.length} questions into "${doc.getName()}"`);
+
+  return { docUrl: doc.getUrl(), docName: doc.getName(), questionCount: questions.length };
+}
+
+// ==========================================================================
+// Reading the package
+// ==========================================================================
+
+/**
+ * Normalizes a path inside the package: forward slashes, no "./" or "..", no
+ * leading slash.
+ *
+ * @param {string} path - The path as written in the zip or in an src attribute.
+ * @return {string} The normalized path.
+ */
+function QTIImport_normalizePath(path) {
+  const parts = [];
+  String(path || '').replace(/\\/g, '/').split('/').forEach(part => {
+    if (part === '' || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+/**
+ * Returns the child elements with the given local name.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} element - The parent element.
+ * @param {string} name - The local name, e.g. "item".
+ * @return {Array<GoogleAppsScript.XML_Service.Element>} The matching children, in order.
+ */
+function QTIImport_children(element, name) {
+  return element.getChildren().filter(child => child.getName() === name);
+}
+
+/**
+ * Returns the descendant elements with the given local name, in document order.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} element - The element to search.
+ * @param {string} name - The local name, e.g. "varequal".
+ * @return {Array<GoogleAppsScript.XML_Service.Element>} The matching descendants.
+ */
+function QTIImport_descendants(element, name) {
+  const found = [];
+  element.getChildren().forEach(child => {
+    if (child.getName() === name) found.push(child);
+    QTIImport_descendants(child, name).forEach(el => found.push(el));
+  });
+  return found;
+}
+
+/**
+ * Returns an attribute's value, or an empty string if it is missing.
+ */
+function QTIImport_attr(element, name) {
+  const attribute = element.getAttribute(name);
+  return attribute ? attribute.getValue() : '';
+}
+
+/**
+ * Parses every XML file in the package and lists its items in assessment order,
+ * with the section each one belongs to. Items are found inline (Canvas) or in
+ * their own files referenced from the assessment (this tool's QTI 1.2 export);
+ * items the assessment does not reference are added at the end.
+ *
+ * @param {Map<string, GoogleAppsScript.Base.Blob>} files - The package files by normalized path.
+ * @return {{title: string, items: Array<{item, path, section}>, isNewerQti: boolean}} The items
+ *         and the assessment title. `section` is { title, pick, pointsPerItem } or null.
+ */
+function QTIImport_collectItems(files) {
+  const documents = [];
+  let isNewerQti = false;
+  const paths = Array.from(files.keys())
+    .filter(path => /\.xml$/i.test(path) && !/(^|\/)(imsmanifest|assessment_meta)\.xml$/i.test(path))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  paths.forEach(path => {
+    try {
+      const root = XmlService.parse(files.get(path).getDataAsString()).getRootElement();
+      if (/^(assessmentItem|assessmentTest|qti-assessment-item|qti-assessment-test)$/.test(root.getName())) {
+        isNewerQti = true;
+        return;
+      }
+      documents.push({ path: path, root: root });
+    } catch (e) {
+      console.warn(`Skipping unreadable XML file ${path}: ${e}`);
+    }
+  });
+
+  // Every item in the package, by ident and by the file it is in
+  const itemsByIdent = new Map();
+  const itemsByPath = new Map();
+  const allItems = [];
+  documents.forEach(document => {
+    const items = document.root.getName() === 'item' ? [document.root] : QTIImport_descendants(document.root, 'item');
+    items.forEach(item => {
+      const entry = { item: item, path: document.path };
+      allItems.push(entry);
+      itemsByIdent.set(QTIImport_attr(item, 'ident'), entry);
+      if (!itemsByPath.has(document.path)) itemsByPath.set(document.path, entry);
+    });
+  });
+
+  const assessmentDocument = documents.find(document =>
+    document.root.getName() === 'assessment' || QTIImport_children(document.root, 'assessment').length > 0);
+  const ordered = [];
+  const used = new Set();
+  let title = '';
+
+  if (assessmentDocument) {
+    const assessment = assessmentDocument.root.getName() === 'assessment'
+      ? assessmentDocument.root
+      : QTIImport_children(assessmentDocument.root, 'assessment')[0];
+    title = QTIImport_attr(assessment, 'title');
+
+    const baseDir = assessmentDocument.path.includes('/') ? assessmentDocument.path.replace(/\/[^/]*$/, '/') : '';
+    const walk = (element, section) => {
+      element.getChildren().forEach(child => {
+        const name = child.getName();
+        let entry = null;
+        if (name === 'section') {
+          // Wrapper sections hold the questions outside any group
+          const wrapper = /^(root_section|main_section)$/.test(QTIImport_attr(child, 'ident'));
+          walk(child, wrapper ? section : QTIImport_readSection(child));
+        } else if (name === 'item') {
+          entry = allItems.find(candidate => candidate.item === child);
+        } else if (name === 'itemref' || name === 'assessmentItemRef') {
+          // QTI 1.2 refers to items by ident; this tool's export also gives the file
+          const href = QTIImport_attr(child, 'href');
+          entry = itemsByIdent.get(QTIImport_attr(child, 'linkrefid') || QTIImport_attr(child, 'identifier')) ||
+            (href ? itemsByPath.get(QTIImport_normalizePath(baseDir + href)) || itemsByPath.get(QTIImport_normalizePath(href)) : null);
+        }
+        if (entry && !used.has(entry)) {
+          used.add(entry);
+          ordered.push({ item: entry.item, path: entry.path, section: section });
+        }
+      });
+    };
+    walk(assessment, null);
+  }
+
+  allItems.filter(entry => !used.has(entry)).forEach(entry => {
+    ordered.push({ item: entry.item, path: entry.path, section: null });
+  });
+
+  // Headings are only worth writing when the sections divide the quiz or draw questions
+  const sections = new Set(ordered.map(entry => entry.section));
+  const keepSections = sections.size > 1 || ordered.some(entry => entry.section && entry.section.pick !== null);
+  if (!keepSections) {
+    ordered.forEach(entry => { entry.section = null; });
+  } else {
+    // Questions after a section but outside any need a heading of their own, or they would join it
+    const ungrouped = { title: '', pick: null, pointsPerItem: null };
+    let afterSection = false;
+    ordered.forEach(entry => {
+      if (entry.section) {
+        afterSection = true;
+      } else if (afterSection) {
+        entry.section = ungrouped;
+      }
+    });
+  }
+
+  return { title: title, items: ordered, isNewerQti: isNewerQti && allItems.length === 0 };
+}
+
+/**
+ * Reads a section's title, pick count (<selection_number>) and Canvas points per
+ * question (<points_per_item>).
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} section - The <section> element.
+ * @return {{title: string, pick: ?number, pointsPerItem: ?number}} The section.
+ */
+function QTIImport_readSection(section) {
+  const readNumber = name => {
+    const element = QTIImport_children(section, 'selection_ordering')
+      .map(ordering => QTIImport_descendants(ordering, name)[0])
+      .find(el => el);
+    const value = element ? parseFloat(element.getText()) : NaN;
+    return value > 0 ? value : null;
+  };
+  return {
+    title: QTIImport_attr(section, 'title'),
+    pick: readNumber('selection_number'),
+    pointsPerItem: readNumber('points_per_item')
+  };
+}
+
+// ==========================================================================
+// Reading an item
+// ==========================================================================
+
+/**
+ * Reads an item into a question for the document: its type, stem, options,
+ * answer, points and feedback. Returns null (recording why) for item types the
+ * document layout cannot express.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} item - The <item> element.
+ * @param {number} number - The question number it will get in the document.
+ * @param {Diagnostics} diagnostics - Collector for content that could not be imported.
+ * @return {Object|null} { number, type, points, stem, options: [{ letter, ident, lines, feedback }],
+ *                       answer, extraLines, feedback: { general?, correct?, incorrect? } }
+ */
+function QTIImport_readItem(item, number, diagnostics) {
+  const source = { number: number };
+  const metadata = QTIImport_readMetadata(item);
+  const presentation = QTIImport_descendants(item, 'presentation')[0];
+  if (!presentation) {
+    diagnostics.warning(`An item without a question ("${QTIImport_attr(item, 'title')}") was skipped.`);
+    return null;
+  }
+
+  const type = QTIImport_getItemType(item, presentation, metadata);
+  if (!type) {
+    const label = metadata.question_type || metadata.qmd_itemtype || 'unknown';
+    diagnostics.warning(`An item of type "${label}" ("${QTIImport_attr(item, 'title')}") cannot be written as a question and was skipped.`);
+    return null;
+  }
+
+  // The stem is the material before the first response
+  const stem = [];
+  presentation.getChildren().some(child => {
+    if (/^response_/.test(child.getName())) return true;
+    QTIImport_readMaterial(child).forEach(line => stem.push(line));
+    return false;
+  });
+
+  // Text answer stems end with the blank the exporter added, unless the document had one
+  if (/^(fill_in_blank_text|fill_in_blank_numeric|short_answer)$/.test(type) && stem.length > 0) {
+    const lastLine = stem[stem.length - 1];
+    const lastSegment = lastLine[lastLine.length - 1];
+    const stemText = stem.map(line => line.map(segment => segment.text || '').join('')).join('\n');
+    if (lastSegment.text && QTI_IMPORT_ADDED_BLANK.test(lastSegment.text) &&
+        !QTI_IMPORT_BLANK.test(stemText.replace(QTI_IMPORT_ADDED_BLANK, ''))) {
+      lastSegment.text = lastSegment.text.replace(QTI_IMPORT_ADDED_BLANK, '');
+      if (!lastSegment.text) lastLine.pop();
+      if (lastLine.length === 0) stem.pop();
+    }
+  }
+
+  const question = {
+    number: number,
+    type: type,
+    points: QTIImport_getPoints(item, metadata),
+    stem: stem,
+    options: [],
+    extraLines: [], // Continuation lines added to the stem, e.g. matching responses
+    answer: null,
+    feedback: {},
+    shuffle: null // false if the options must stay in order (written as [noshuffle])
+  };
+
+  switch (type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI:
+    case QUESTION_TYPES.TRUE_FALSE:
+    case QUESTION_TYPES.ORDERING:
+      QTIImport_readChoiceItem(item, presentation, question, diagnostics);
+      break;
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+    case QUESTION_TYPES.SHORT_ANSWER:
+      QTIImport_readTextItem(item, question, diagnostics);
+      break;
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
+      QTIImport_readNumericItem(item, question);
+      break;
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS:
+      QTIImport_readMultipleBlanksItem(item, presentation, question, diagnostics);
+      break;
+    case QUESTION_TYPES.MATCHING:
+      QTIImport_readMatchingItem(item, presentation, question, diagnostics);
+      break;
+    default:
+      break; // Essays have no answer
+  }
+
+  QTIImport_readFeedback(item, question);
+  if (question.answer === null && type !== QUESTION_TYPES.ESSAY) {
+    diagnostics.warning('No correct answer was found in the package; add one to the answer key.', source);
+  }
+  return question;
+}
+
+/**
+ * Reads an item's <qtimetadatafield> label/entry pairs.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} item - The <item> element.
+ * @return {Object<string, string>} Entries by label, e.g. { question_type: 'multiple_choice_question' }.
+ */
+function QTIImport_readMetadata(item) {
+  const metadata = {};
+  QTIImport_descendants(item, 'qtimetadatafield').forEach(field => {
+    const label = QTIImport_children(field, 'fieldlabel')[0];
+    const entry = QTIImport_children(field, 'fieldentry')[0];
+    if (label && entry) metadata[label.getText().trim()] = entry.getText().trim();
+  });
+  return metadata;
+}
+
+/**
+ * Decides an item's type from its metadata (Canvas question_type, or qmd_itemtype),
+ * or else from the kind of response it asks for.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} item - The <item> element.
+ * @param {GoogleAppsScript.XML_Service.Element} presentation - Its <presentation> element.
+ * @param {Object<string, string>} metadata - From QTIImport_readMetadata.
+ * @return {string|null} One of QUESTION_TYPES, or null if it cannot be imported.
+ */
+function QTIImport_getItemType(item, presentation, metadata) {
+  const responseLids = QTIImport_descendants(presentation, 'response_lid');
+  const stemText = QTIImport_descendants(presentation, 'mattext').slice(0, 1).map(el => QTIImport_htmlToText(el.getValue())).join('')
+    .replace(QTI_IMPORT_ADDED_BLANK, '');
+  const hasBlank = QTI_IMPORT_BLANK.test(stemText);
+
+  let type = null;
+  if (metadata.question_type) {
+    type = QTIImport_getCanvasQuestionType(metadata.question_type);
+    if (!type) return null;
+  } else if (metadata.qmd_itemtype) {
+    type = QTIImport_getItemTypeFromMetadata(metadata.qmd_itemtype);
+  }
+
+  if (!type) {
+    const cardinality = responseLids.length === 1 ? QTIImport_attr(responseLids[0], 'rcardinality') : '';
+    const fibTypes = QTIImport_descendants(presentation, 'render_fib').map(el => QTIImport_attr(el, 'fibtype'));
+    const hasTextAnswer = QTIImport_descendants(item, 'varequal').length > 0;
+    if (responseLids.length > 1) {
+      type = QUESTION_TYPES.MATCHING;
+    } else if (responseLids.length === 1) {
+      type = cardinality === 'Ordered' ? QUESTION_TYPES.ORDERING
+        : cardinality === 'Multiple' ? QUESTION_TYPES.MULTIPLE_CHOICE_MULTI
+        : QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+    } else if (QTIImport_descendants(presentation, 'response_num').length > 0 || fibTypes.some(t => /^(Decimal|Integer)$/i.test(t))) {
+      type = QUESTION_TYPES.FILL_IN_BLANK_NUMERIC;
+    } else if (QTIImport_descendants(presentation, 'response_str').length > 0) {
+      type = hasTextAnswer ? QUESTION_TYPES.SHORT_ANSWER : QUESTION_TYPES.ESSAY;
+    }
+  }
+
+  // Text answers are fill in the blank when the stem has a blank, otherwise short answer
+  if (type === QUESTION_TYPES.SHORT_ANSWER && hasBlank) {
+    type = QUESTION_TYPES.FILL_IN_BLANK_TEXT;
+  } else if (type === QUESTION_TYPES.FILL_IN_BLANK_TEXT && !hasBlank) {
+    type = QUESTION_TYPES.SHORT_ANSWER;
+  }
+  // A two-option "True"/"False" choice is written as true/false
+  if (type === QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE && responseLids.length === 1) {
+    const labels = QTIImport_descendants(responseLids[0], 'response_label').map(label => label.getValue().replace(/<[^>]*>/g, '').trim().toLowerCase());
+    if (labels.length === 2 && labels[0] === 'true' && labels[1] === 'false') {
+      type = QUESTION_TYPES.TRUE_FALSE;
+    }
+  }
+  return type;
+}
+
+/**
+ * Returns an item's points: Canvas points_possible metadata, or else the maximum
+ * SCORE declared in its <outcomes>.
+ */
+function QTIImport_getPoints(item, metadata) {
+  const possible = parseFloat(metadata.points_possible);
+  if (possible > 0) return possible;
+  const decvar = QTIImport_descendants(item, 'decvar')[0];
+  const maxValue = decvar ? parseFloat(QTIImport_attr(decvar, 'maxvalue')) : NaN;
+  return maxValue > 0 ? maxValue : DEFAULT_QUESTION_POINTS;
+}
+
+/**
+ * Returns the response conditions that award credit (a <setvar> above 0), with
+ * the value they award.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} item - The <item> element.
+ * @return {Array<{condition, value}>} The crediting <respcondition> elements, in order.
+ */
+function QTIImport_getCreditConditions(item) {
+  return QTIImport_descendants(item, 'respcondition').map(condition => {
+    const value = QTIImport_children(condition, 'setvar')
+      .map(setvar => parseFloat(setvar.getText()))
+      .filter(v => !isNaN(v))
+      .reduce((max, v) => Math.max(max, v), 0);
+    return { condition: condition, value: value };
+  }).filter(entry => entry.value > 0);
+}
+
+/**
+ * Returns the comparisons (e.g. <varequal>) in a condition that must hold, i.e.
+ * those not inside a <not>.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} condition - A <respcondition>.
+ * @param {string} name - The comparison element, e.g. "varequal".
+ * @return {Array<GoogleAppsScript.XML_Service.Element>} The comparisons, in order.
+ */
+function QTIImport_getRequiredComparisons(condition, name) {
+  const found = [];
+  const walk = element => element.getChildren().forEach(child => {
+    if (child.getName() === 'not') return;
+    if (child.getName() === name) found.push(child);
+    walk(child);
+  });
+  QTIImport_children(condition, 'conditionvar').forEach(walk);
+  return found;
+}
+
+/**
+ * Reads the options and answer of a choice or ordering item, and whether its options are shuffled.
+ */
+function QTIImport_readChoiceItem(item, presentation, question, diagnostics) {
+  const responseLid = QTIImport_descendants(presentation, 'response_lid')[0];
+  if (!responseLid) return;
+
+  // shuffle="Yes" (or no attribute) leaves the choice to the quiz's shuffle setting
+  const renderChoice = QTIImport_descendants(responseLid, 'render_choice')[0];
+  if (renderChoice && /^no$/i.test(QTIImport_attr(renderChoice, 'shuffle'))) {
+    question.shuffle = false;
+  }
+
+  QTIImport_descendants(responseLid, 'response_label').forEach((label, index) => {
+    question.options.push({
+      letter: String.fromCharCode(65 + index),
+      ident: QTIImport_attr(label, 'ident'),
+      lines: QTIImport_readMaterial(label),
+      feedback: null
+    });
+  });
+  const letterOf = ident => {
+    const option = question.options.find(opt => opt.ident === ident);
+    return option ? option.letter : null;
+  };
+
+  const credits = QTIImport_getCreditConditions(item);
+  if (question.type === QUESTION_TYPES.ORDERING) {
+    // The correct order is one <varequal> with the idents in sequence, or one per position
+    const credit = credits[0];
+    if (credit) {
+      const idents = QTIImport_getRequiredComparisons(credit.condition, 'varequal')
+        .reduce((all, el) => all.concat(el.getText().trim().split(/\s+/)), []);
+      const letters = idents.map(letterOf);
+      if (letters.length > 0 && !letters.includes(null)) question.answer = letters.join(', ');
+    }
+  } else if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE_MULTI) {
+    const letters = new Set();
+    credits.forEach(credit => QTIImport_getRequiredComparisons(credit.condition, 'varequal')
+      .forEach(el => { const letter = letterOf(el.getText().trim()); if (letter) letters.add(letter); }));
+    if (letters.size > 0) question.answer = Array.from(letters).sort().join(', ');
+  } else {
+    // The option that earns the most credit
+    const best = credits.slice().sort((a, b) => b.value - a.value)
+      .map(credit => QTIImport_getRequiredComparisons(credit.condition, 'varequal').map(el => letterOf(el.getText().trim())).find(l => l))
+      .find(letter => letter);
+    if (best) question.answer = best;
+  }
+
+  if (question.options.length === 0) {
+    diagnostics.warning('The question has no options in the package.', question);
+  }
+}
+
+/**
+ * Reads the accepted answers of a fill-in-the-blank or short answer item.
+ */
+function QTIImport_readTextItem(item, question, diagnostics) {
+  const answers = [];
+  QTIImport_getCreditConditions(item).forEach(credit => {
+    QTIImport_getRequiredComparisons(credit.condition, 'varequal').forEach(el => {
+      const answer = el.getText().trim();
+      if (answer && !answers.includes(answer)) answers.push(answer);
+    });
+  });
+  if (answers.some(answer => /[,;]/.test(answer))) {
+    diagnostics.warning('An accepted answer contains a comma or semicolon, which the answer key reads as separate answers. Check the answer key.', question);
+  }
+  if (answers.length > 0) question.answer = answers.join(', ');
+}
+
+/**
+ * Reads the accepted answers of each blank of a fill-in-multiple-blanks item, written
+ * the way parseMultipleBlanksAnswer reads them: "blank1: ser, es; blank2: estar".
+ * Each blank is a response named "response_<blank>"; Canvas lists its answers as
+ * response labels, this tool's QTI 1.2 export compares them directly.
+ */
+function QTIImport_readMultipleBlanksItem(item, presentation, question, diagnostics) {
+  const blanks = new Map(); // Response ident -> { name, answers }
+  const labelTexts = new Map(); // Response label ident -> answer text
+  presentation.getChildren().filter(child => /^response_(lid|str)$/.test(child.getName())).forEach(response => {
+    const ident = QTIImport_attr(response, 'ident');
+    blanks.set(ident, { name: ident.replace(/^response_/, ''), answers: [] });
+    QTIImport_descendants(response, 'response_label').forEach(label => {
+      labelTexts.set(QTIImport_attr(label, 'ident'), label.getValue().trim());
+    });
+  });
+
+  QTIImport_getCreditConditions(item).forEach(credit => {
+    QTIImport_getRequiredComparisons(credit.condition, 'varequal').forEach(el => {
+      const blank = blanks.get(QTIImport_attr(el, 'respident'));
+      const value = el.getText().trim();
+      const answer = labelTexts.has(value) ? labelTexts.get(value) : value;
+      if (blank && answer && !blank.answers.includes(answer)) blank.answers.push(answer);
+    });
+  });
+
+  const answered = Array.from(blanks.values()).filter(blank => blank.answers.length > 0);
+  if (answered.some(blank => blank.answers.some(answer => /[,;]/.test(answer)))) {
+    diagnostics.warning('An accepted answer contains a comma or semicolon, which the answer key reads as separate answers. Check the answer key.', question);
+  }
+  if (answered.length > 0) {
+    question.answer = answered.map(blank => `${blank.name}: ${blank.answers.join(', ')}`).join('; ');
+  }
+}
+
+/**
+ * Reads the accepted answers of a numeric item, written the way parseNumericAnswer
+ * reads them: "4", "9.8 ± 0.1" or "10 to 12", separated by semicolons. Canvas writes
+ * an answer with a margin as its value or the range around it, which becomes "±".
+ */
+function QTIImport_readNumericItem(item, question) {
+  const answers = [];
+  QTIImport_getCreditConditions(item).forEach(credit => {
+    QTIImport_children(credit.condition, 'conditionvar').forEach(conditionvar => {
+      QTIImport_readNumericAlternatives(conditionvar).forEach(answer => answers.push(answer));
+    });
+  });
+
+  // An exact value at the middle of a range is that range's value (value ± tolerance)
+  const ranges = answers.filter(answer => answer.min !== answer.max);
+  const accepted = answers.filter(answer => {
+    if (answer.min !== answer.max) return true;
+    const range = ranges.find(r => r.value === null && roundNumber((r.min + r.max) / 2) === answer.min);
+    if (!range) return true;
+    range.value = answer.min;
+    return false;
+  });
+  if (accepted.length > 0) question.answer = accepted.map(formatNumericAnswer).join('; ');
+}
+
+/**
+ * Lists the numeric answers a condition accepts: an exact value for each <varequal>,
+ * and a range for <vargte>/<varlte> bounds required together. Each child of an <or>
+ * is a separate alternative; <not> is skipped.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} element - A <conditionvar>, <and> or <or>.
+ * @return {Array<{value: ?number, min: number, max: number}>} The accepted answers.
+ */
+function QTIImport_readNumericAlternatives(element) {
+  const answers = [];
+  let min = null;
+  let max = null;
+  element.getChildren().forEach(child => {
+    const name = child.getName();
+    const value = parseFloat(child.getText());
+    if (name === 'or' || name === 'and') {
+      QTIImport_readNumericAlternatives(child).forEach(answer => answers.push(answer));
+    } else if (isNaN(value)) {
+      return;
+    } else if (name === 'varequal') {
+      answers.push({ value: value, min: value, max: value });
+    } else if (name === 'vargte' || name === 'vargt') {
+      min = value;
+    } else if (name === 'varlte' || name === 'varlt') {
+      max = value;
+    }
+  });
+  if (element.getName() !== 'or' && min !== null && max !== null && min <= max) {
+    answers.push({ value: null, min: min, max: max });
+  }
+  return answers;
+}
+
+/**
+ * Reads the premises, responses and pairs of a matching item. Canvas writes one
+ * <response_lid> per premise; this tool's QTI 1.2 export writes one list with
+ * "premise.response" pairs in a <varsubset>. Responses become answer key values,
+ * which must be single words, so longer responses are numbered and listed in the stem.
+ */
+function QTIImport_readMatchingItem(item, presentation, question, diagnostics) {
+  const responseLids = QTIImport_descendants(presentation, 'response_lid');
+  const responseTexts = new Map(); // Response label ident -> text
+  const pairs = []; // [{ premiseIdent, responseIdent }]
+
+  if (responseLids.length > 1) {
+    responseLids.forEach((lid, index) => {
+      const premiseIdent = QTIImport_attr(lid, 'ident');
+      question.options.push({
+        letter: String.fromCharCode(65 + index),
+        ident: premiseIdent,
+        lines: QTIImport_readMaterial(lid),
+        feedback: null
+      });
+      QTIImport_descendants(lid, 'response_label').forEach(label => {
+        responseTexts.set(QTIImport_attr(label, 'ident'), QTIImport_htmlToText(label.getValue()));
+      });
+    });
+    QTIImport_getCreditConditions(item).forEach(credit => {
+      QTIImport_getRequiredComparisons(credit.condition, 'varequal').forEach(el => {
+        pairs.push({ premiseIdent: QTIImport_attr(el, 'respident'), responseIdent: el.getText().trim() });
+      });
+    });
+  } else if (responseLids.length === 1) {
+    QTIImport_descendants(responseLids[0], 'response_label').forEach(label => {
+      const ident = QTIImport_attr(label, 'ident');
+      if (/^premise_/.test(ident)) {
+        question.options.push({
+          letter: String.fromCharCode(65 + question.options.length),
+          ident: ident,
+          lines: QTIImport_readMaterial(label),
+          feedback: null
+        });
+      } else {
+        responseTexts.set(ident, QTIImport_htmlToText(label.getValue()));
+      }
+    });
+    QTIImport_getCreditConditions(item).forEach(credit => {
+      QTIImport_getRequiredComparisons(credit.condition, 'varsubset').forEach(el => {
+        el.getText().trim().split(/\s+/).forEach(pair => {
+          const [premiseIdent, responseIdent] = pair.split('.');
+          if (premiseIdent && responseIdent) pairs.push({ premiseIdent: premiseIdent, responseIdent: responseIdent });
+        });
+      });
+    });
+  }
+
+  const responses = Array.from(new Set(pairs.map(pair => responseTexts.get(pair.responseIdent)).filter(text => text)));
+  const usable = responses.every(text => /^[^\s,;=]+$/.test(text));
+  const keyFor = text => usable ? text : String(responses.indexOf(text) + 1);
+  if (!usable && responses.length > 0) {
+    question.extraLines.push([{ text: 'Matches: ' + responses.map((text, index) => `${index + 1} = ${text}`).join('; ') }]);
+    diagnostics.info('The matches are longer than one word, so they were numbered and listed in the question; the answer key uses the numbers.', question);
+  }
+
+  const keyPairs = [];
+  question.options.forEach(option => {
+    const pair = pairs.find(p => p.premiseIdent === option.ident);
+    const text = pair ? responseTexts.get(pair.responseIdent) : null;
+    if (text) keyPairs.push(`${option.letter}=${keyFor(text)}`);
+  });
+  if (keyPairs.length > 0) question.answer = keyPairs.join(', ');
+}
+
+/**
+ * Reads the question and option feedback from the <itemfeedback> elements,
+ * recognized by the idents this tool and Canvas use (see QTI_FEEDBACK_IDENTS;
+ * option feedback is "<option ident>_fb").
+ */
+function QTIImport_readFeedback(item, question) {
+  QTIImport_descendants(item, 'itemfeedback').forEach(feedback => {
+    const ident = QTIImport_attr(feedback, 'ident');
+    const text = QTIImport_readMaterial(feedback)
+      .map(line => line.filter(segment => segment.text).map(segment => segment.text).join(''))
+      .filter(line => line.trim())
+      .join(' ');
+    if (!text) return;
+
+    const kind = Object.keys(QTI_FEEDBACK_IDENTS).find(key => QTI_FEEDBACK_IDENTS[key] === ident);
+    const option = question.options.find(opt => `${opt.ident}_fb` === ident);
+    if (kind === 'general' && question.type === QUESTION_TYPES.ESSAY && text === QTI_ESSAY_DEFAULT_FEEDBACK) {
+      return; // Written by the exporter, not by the quiz author
+    }
+    if (kind) {
+      question.feedback[kind] = text;
+    } else if (option) {
+      option.feedback = text;
+    }
+  });
+}
+
+/**
+ * Reads the text and images of the materials in an element (a <material>, or an
+ * element containing <material>s), as lines of segments.
+ *
+ * @param {GoogleAppsScript.XML_Service.Element} element - The element to read.
+ * @return {Array<Array<{text?: string, image?: {src: string, alt: string}}>>} The lines.
+ */
+function QTIImport_readMaterial(element) {
+  const lines = [];
+  const addLines = newLines => newLines.forEach(line => lines.push(line));
+  const walk = el => {
+    const name = el.getName();
+    if (name === 'mattext' || name === 'mat_extension') {
+      const content = el.getValue();
+      addLines(/html/i.test(QTIImport_attr(el, 'texttype')) || /<[a-z][^>]*>/i.test(content)
+        ? QTIImport_htmlToLines(content)
+        : content.split(/\r?\n/).map(line => line.trim()).filter(line => line).map(line => [{ text: line }]));
+    } else if (name === 'matimage') {
+      lines.push([{ image: { src: QTIImport_attr(el, 'uri'), alt: QTIImport_attr(el, 'label') } }]);
+    } else if (name !== 'response_label' && !/^(response_|render_)/.test(name) || name === 'material') {
+      el.getChildren().forEach(walk);
+    }
+  };
+  if (element.getName() === 'response_label' || /^response_/.test(element.getName())) {
+    // Only the label's own material, not nested choices
+    QTIImport_children(element, 'material').forEach(walk);
+    QTIImport_children(element, 'flow_mat').forEach(walk);
+  } else {
+    walk(element);
+  }
+  return lines;
+}
+
+/**
+ * Converts item HTML to lines of text and image segments. Block elements and
+ * <br> end a line, table cells are joined with " | ", and MathML becomes its
+ * LaTeX annotation (between \( and \)) or its text.
+ *
+ * @param {string} html - The HTML from a <mattext>.
+ * @return {Array<Array<{text?: string, image?: {src: string, alt: string}}>>} The non-empty lines.
+ */
+function QTIImport_htmlToLines(html) {
+  const images = [];
+  const marked = String(html || '')
+    .replace(/<math\b[\s\S]*?<\/math>/gi, math => {
+      const latex = math.match(/<annotation[^>]*encoding="application\/x-tex"[^>]*>([\s\S]*?)<\/annotation>/i);
+      return latex ? `\\(${latex[1]}\\)` : math.replace(/<[^>]*>/g, '');
+    })
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const attribute = name => {
+        const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+        return match ? QTIImport_decodeEntities(match[2] !== undefined ? match[2] : match[3]) : '';
+      };
+      images.push({ src: attribute('src'), alt: attribute('alt') });
+      return `\u0000${images.length - 1}\u0000`;
+    })
+    .replace(/<\/t[dh]>\s*(?=<t[dh]\b)/gi, ' | ')
+    .replace(/<br\s*\/?>|<\/?(p|div|li|tr|h[1-6]|ul|ol|table|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return QTIImport_decodeEntities(marked).split('\n').map(line => {
+    const segments = [];
+    line.replace(/\s+/g, ' ').split('\u0000').forEach((part, index) => {
+      if (index % 2 === 1) {
+        segments.push({ image: images[Number(part)] });
+      } else if (part) {
+        segments.push({ text: part });
+      }
+    });
+    // Trim the line's ends
+    if (segments.length > 0 && segments[0].text) segments[0].text = segments[0].text.replace(/^\s+/, '');
+    const last = segments[segments.length - 1];
+    if (last && last.text) last.text = last.text.replace(/\s+$/, '');
+    return segments.filter(segment => segment.image || segment.text);
+  }).filter(segments => segments.length > 0);
+}
+
+/**
+ * Converts HTML to a single line of plain text (images are dropped).
+ */
+function QTIImport_htmlToText(html) {
+  return QTIImport_htmlToLines(html)
+    .map(line => line.filter(segment => segment.text).map(segment => segment.text).join(''))
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Decodes the HTML entities in text.
+ */
+function QTIImport_decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(named, entity.toLowerCase()) ? named[entity.toLowerCase()] : match;
+  });
+}
+
+// ==========================================================================
+// Writing the document
+// ==========================================================================
+
+/**
+ * Writes the questions in the layout parseQuestions reads, then the answer key.
+ *
+ * @param {GoogleAppsScript.Document.Body} body - The new document's body.
+ * @param {Array<Object>} questions - From QTIImport_readItem, with `section` and `path` set.
+ * @param {Map<string, GoogleAppsScript.Base.Blob>} files - The package files, for images.
+ * @param {Diagnostics} diagnostics - Collector for images that could not be found.
+ */
+function QTIImport_writeDocument(body, questions, files, diagnostics) {
+  const typeTags = {};
+  Object.keys(QUESTION_TYPE_TAGS).forEach(tag => { typeTags[QUESTION_TYPE_TAGS[tag]] = tag; });
+  typeTags[QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS] = 'FIB'; // Several blanks make a [FIB] question fill in multiple blanks
+  const writeLine = (question, prefix, segments, suffix) =>
+    QTIImport_appendParagraph(body, prefix, segments, suffix, question, files, diagnostics);
+
+  // QTI 1.2 keeps points on the items; a drawn section's questions should be worth the same,
+  // so when they are, the heading says so instead of each question
+  new Set(questions.map(q => q.section)).forEach(section => {
+    if (!section || section.pick === null || section.pointsPerItem !== null) return;
+    const points = new Set(questions.filter(q => q.section === section).map(q => q.points));
+    if (points.size === 1) section.pointsPerItem = Array.from(points)[0];
+  });
+
+  let currentSection = null;
+  questions.forEach(q => {
+    if (q.section && q.section !== currentSection) {
+      const notes = [];
+      if (q.section.pick !== null) notes.push(`pick ${q.section.pick}`);
+      if (q.section.pointsPerItem !== null) notes.push(`${q.section.pointsPerItem} pts each`);
+      body.appendParagraph((q.section.title || 'Questions') + (notes.length > 0 ? ` (${notes.join(', ')})` : ''))
+        .setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    }
+    currentSection = q.section;
+
+    // First stem line with the number, type tag and points; the rest are continuation lines
+    const [firstLine, ...moreLines] = q.stem.length > 0 ? q.stem : [[]];
+    const sectionPoints = q.section ? q.section.pointsPerItem : null;
+    const pointsMarker = sectionPoints === null && q.points !== DEFAULT_QUESTION_POINTS ? ` [${q.points} pts]` : '';
+    // True/false options are never shuffled, so they need no tag
+    const shuffleTag = q.shuffle === false && q.type !== QUESTION_TYPES.TRUE_FALSE ? '[noshuffle] ' : '';
+    writeLine(q, `${q.number}. [${typeTags[q.type]}] ${shuffleTag}`, firstLine, pointsMarker);
+    moreLines.concat(q.extraLines).forEach(line => writeLine(q, '', line, ''));
+
+    q.options.forEach(option => {
+      const [firstOptionLine, ...moreOptionLines] = option.lines.length > 0 ? option.lines : [[]];
+      // An option is one line in the document
+      const segments = firstOptionLine.concat(...moreOptionLines.map(line => [{ text: ' ' }].concat(line)));
+      writeLine(q, `${option.letter}. `, segments, option.feedback ? ` // Feedback: ${option.feedback}` : '');
+    });
+
+    if (q.feedback.general) body.appendParagraph(`Feedback: ${q.feedback.general}`);
+    if (q.feedback.correct) body.appendParagraph(`Correct feedback: ${q.feedback.correct}`);
+    if (q.feedback.incorrect) body.appendParagraph(`Incorrect feedback: ${q.feedback.incorrect}`);
+    body.appendParagraph('');
+  });
+
+  body.appendParagraph('Answer Key');
+  questions.forEach(q => {
+    if (q.answer !== null) body.appendParagraph(`${q.number}. ${q.answer}`);
+  });
+}
+
+/**
+ * Appends a paragraph of text and images.
+ *
+ * @param {GoogleAppsScript.Document.Body} body - The document body.
+ * @param {string} prefix - Text before the segments, e.g. "3. [MC] ".
+ * @param {Array<Object>} segments - Text and image segments (see QTIImport_htmlToLines).
+ * @param {string} suffix - Text after the segments, e.g. " [2 pts]".
+ * @param {Object} question - The question, for diagnostics and image paths.
+ * @param {Map<string, GoogleAppsScript.Base.Blob>} files - The package files.
+ * @param {Diagnostics} diagnostics - Collector for images that could not be found.
+ * @return {GoogleAppsScript.Document.Paragraph} The paragraph.
+ */
+function QTIImport_appendParagraph(body, prefix, segments, suffix, question, files, diagnostics) {
+  const paragraph = body.appendParagraph(prefix);
+  segments.forEach(segment => {
+    if (segment.text) {
+      paragraph.appendText(segment.text);
+      return;
+    }
+    const blob = QTIImport_findImage(segment.image.src, question.path, files);
+    if (!blob) {
+      diagnostics.warning(`The image "${segment.image.src}" is not in the package and was left out.`, question);
+      return;
+    }
+    const image = paragraph.appendInlineImage(blob);
+    if (segment.image.alt) image.setAltDescription(segment.image.alt);
+  });
+  if (suffix) paragraph.appendText(suffix);
+  return paragraph;
+}
+
+/**
+ * Finds the package file an image src refers to: relative to the item's file,
+ * relative to the package root (Canvas's $IMS-CC-FILEBASE$ is web_resources/),
+ * or else by file name alone.
+ *
+ * @param {string} src - The src or uri attribute.
+ * @param {string} itemPath - Path of the XML file holding the item.
+ * @param {Map<string, GoogleAppsScript.Base.Blob>} files - The package files.
+ * @return {GoogleAppsScript.Base.Blob|null} The image, with its content type set, or null.
+ */
+function QTIImport_findImage(src, itemPath, files) {
+  if (!src || /^(https?:|data:)/i.test(src)) return null;
+  let path = src.replace(/^(\$|%24)IMS(-|_)CC(-|_)FILEBASE(\$|%24)/i, 'web_resources').split(/[?#]/)[0];
+  try {
+    path = decodeURIComponent(path);
+  } catch (e) {
+    // Keep the path as written
+  }
+  const itemDir = itemPath && itemPath.includes('/') ? itemPath.replace(/\/[^/]*$/, '/') : '';
+  const fileName = path.split('/').pop();
+  const candidates = [QTIImport_normalizePath(itemDir + path), QTIImport_normalizePath(path)];
+  let blob = candidates.map(candidate => files.get(candidate)).find(found => found) || null;
+  if (!blob) {
+    const match = Array.from(files.keys()).find(key => key.split('/').pop() === fileName);
+    blob = match ? files.get(match) : null;
+  }
+  if (!blob) return null;
+
+  const extension = fileName.split('.').pop().toLowerCase();
+  const image = blob.copyBlob();
+  if (QTI_IMPORT_IMAGE_TYPES[extension]) image.setContentType(QTI_IMPORT_IMAGE_TYPES[extension]);
+  return image;
+}
@@ -4,8 +4,11 @@
  * inferring question types suitable for QTI 1.2 export.
  */
 
-// Dependency: Constants.gs (QUESTION_TYPES, questionTypes map)
-// Dependency: Utilities.gs (generateImageFilename, sanitizeHtml - though sanitization happens at export)
+// Dependency: Constants.gs (QUESTION_TYPES, QUESTION_TYPE_TAGS, SECTION_HEADINGS, questionTypes map, taggedQuestionNumbers, questionOptionLetters)
+// Dependency: Utilities.gs (generateImageFilename, stripImagePlaceholders, getBlankNames, sanitizeHtml - though sanitization happens at export)
+// Dependency: Diagnostics.gs (Diagnostics)
+// Dependency: ImageProcessing.gs (deduplicateImage)
+// Dependency: HtmlConversion.gs (getTextRunStyles, convertTextRangeToHtml, buildHtmlTable, convertEquationToMathml)
 
 /**
  * Extracts a common file extension from a MIME type string.
@@ -32,33 +35,88 @@ function getExtensionFromMimeType(mimeTypeString) {
 
 
 /**
- * Processes a Google Docs element (Paragraph or ListItem) to extract text
+ * Checks whether a range of an element's text is entirely bold or highlighted,
+ * the ways teachers mark the correct option inline.
+ * Whitespace, image placeholders and equations are ignored.
+ *
+ * @param {Array<?Object>} styles - The character styles returned by processElement.
+ * @param {string} text - The element text the styles belong to.
+ * @param {number} start - Start index of the range.
+ * @param {number} end - End index of the range (exclusive).
+ * @return {boolean} True if the range has visible text and all of it is emphasized.
+ */
+function isTextRangeEmphasized(styles, text, start, end) {
+    if (!styles) return false;
+    let hasText = false;
+    for (let k = start; k < end; k++) {
+        if (!styles[k] || styles[k].mathml || /\s/.test(text.charAt(k))) continue;
+        if (!styles[k].bold && !styles[k].highlighted) return false;
+        hasText = true;
+    }
+    return hasText;
+}
+
+/**
+ * Checks whether any visible text in a range relies on color alone: text in a color
+ * or highlighted, but neither bold, italic nor underlined. Color is not exported and
+ * is invisible to screen readers, so such a cue is lost.
+ *
+ * @param {Array<?Object>} styles - The character styles returned by processElement.
+ * @param {string} text - The element text the styles belong to.
+ * @param {number} start - Start index of the range.
+ * @param {number} end - End index of the range (exclusive).
+ * @return {boolean} True if some text in the range is marked only by color.
+ */
+function hasColorOnlyText(styles, text, start, end) {
+    if (!styles) return false;
+    for (let k = start; k < end; k++) {
+        const style = styles[k];
+        if (!style || style.mathml || /\s/.test(text.charAt(k))) continue;
+        if ((style.colored || style.highlighted) && !style.bold && !style.italic && !style.underline && !style.link) return true;
+    }
+    return false;
+}
+
+/**
+ * Processes a Google Docs element (Paragraph, ListItem or Table) to extract text
  * and identify inline images, creating placeholders and metadata.
  *
+ * Tables are handled by processTable.
+ *
  * @param {GoogleAppsScript.Document.Element} element - The Document element.
- * @return {{text: string, images: Array<Object>, isListItem: boolean, listId: string|null}}
+ * @return {{text: string, images: Array<Object>, isListItem: boolean, listId: string|null, isHeading: boolean,
+ *           styles: Array<?Object>, tableHtml?: string}}
  *         Object containing the extracted text with image placeholders ([IMG:id]),
- *         an array of image metadata objects ({id, blob, width, height, contentType}),
- *         a flag indicating if it's a list item, and its list ID.
+ *         an array of image metadata objects ({id, blob, width, height, contentType, altText}),
+ *         a flag indicating if it's a list item, and its list ID. `isHeading` is set for
+ *         paragraphs styled Heading 1-6, which start a section (see parseSectionHeading). `styles` has one
+ *         character style per character of `text` (see getTextRunStyles; null for image
+ *         placeholders), for convertTextRangeToHtml and inline answer marks. Equations
+ *         appear in `text` as LaTeX and in their style as MathML.
  */
 function processElement(element) {
   let fullText = '';
+  let styles = [];
   const images = [];
   let isListItem = false;
   let listId = null;
+  let isHeading = false;
   let elementType = element.getType();
 
   try {
     let paragraph; // Can be Paragraph or ListItem treated as Paragraph
     if (elementType === DocumentApp.ElementType.PARAGRAPH) {
       paragraph = element.asParagraph();
+      isHeading = SECTION_HEADINGS.includes(paragraph.getHeading()); // Title and subtitle are not sections
     } else if (elementType === DocumentApp.ElementType.LIST_ITEM) {
       paragraph = element.asListItem();
       isListItem = true;
       listId = paragraph.getListId(); // Get list ID for potential Ordering/Matching detection
+    } else if (elementType === DocumentApp.ElementType.TABLE) {
+      return processTable(element.asTable());
     } else {
       // Skip unsupported element types
-      return { text: '', images: [], isListItem: false, listId: null };
+      return { text: '', images: [], isListItem: false, listId: null, styles: [] };
     }
 
     const numChildren = paragraph.getNumChildren();
@@ -68,6 +126,7 @@ function processElement(element) {
 
       if (type === DocumentApp.ElementType.TEXT) {
         fullText += child.asText().getText();
+        styles = styles.concat(getTextRunStyles(child.asText()));
       } else if (type === DocumentApp.ElementType.INLINE_IMAGE) {
         const image = child.asInlineImage();
         const imageId = Utilities.getUuid().replace(/-/g, ''); // Unique ID for this image instance
@@ -81,24 +140,345 @@ function processElement(element) {
             contentType: contentType, // Store the content type
             originalName: blob.getName() || `image_${imageId}`, // Use blob name or generate one
             width: image.getWidth(),
-            height: image.getHeight()
+            height: image.getHeight(),
+            altText: (image.getAltDescription() || image.getAltTitle() || '').trim() // From "Alt text" in Docs
           });
           // Insert placeholder into the text stream
-          fullText += `[IMG:${imageId}]`;
+          const placeholder = `[IMG:${imageId}]`;
+          fullText += placeholder;
+          styles = styles.concat(new Array(placeholder.length).fill(null));
         } catch (e) {
             console.error(`Could not process InlineImage (ID: ${imageId}): ${e}. Skipping image.`);
             // Optionally insert an error placeholder: fullText += `[ERR: Image processing failed ${imageId}]`;
         }
+      } else if (type === DocumentApp.ElementType.EQUATION) {
+        // The LaTeX (in \( \) delimiters, which MathJax-enabled LMSs render) is the text;
+        // its characters share one style carrying the MathML for convertTextRangeToHtml
+        const equation = convertEquationToMathml(child.asEquation());
+        const equationText = `\\(${equation.latex}\\)`;
+        fullText += equationText;
+        styles = styles.concat(new Array(equationText.length).fill({ mathml: equation.mathml }));
       }
       // Add other type handlers if needed (e.g., HorizontalRule, Footnote)
     }
   } catch (e) {
     console.error(`Error processing element: ${e}`);
-    // Return potentially partial data
-    return { text: fullText.trim(), images: images, isListItem: isListItem, listId: listId };
+    // Return potentially partial data (below)
   }
 
-  return { text: fullText.trim(), images: images, isListItem: isListItem, listId: listId };
+  // Trim the styles along with the text so indexes still line up
+  const leadingSpace = fullText.length - fullText.trimStart().length;
+  const text = fullText.trim();
+  return { text: text, images: images, isListItem: isListItem, listId: listId, isHeading: isHeading, styles: styles.slice(leadingSpace, leadingSpace + text.length) };
+}
+
+/**
+ * Processes a Google Docs Table. Each cell's paragraphs go through processElement,
+ * so cell formatting and inline images are kept as in the rest of the question.
+ * A first row written entirely in bold is taken as the header row.
+ *
+ * The returned `text` is a plain-text version (cells separated by " | ", one line
+ * per row) for formats without HTML; it also carries the image placeholders, so the
+ * images are linked to the question. `tableHtml` is the formatted table, and
+ * `hasHeaderRow` and `colorOnlyText` feed the accessibility checks.
+ *
+ * @param {GoogleAppsScript.Document.Table} table - The Table element.
+ * @return {{text: string, images: Array<Object>, isListItem: boolean, listId: null, styles: Array<null>,
+ *           tableHtml: string, hasHeaderRow: boolean, colorOnlyText: boolean}}
+ */
+function processTable(table) {
+  const images = [];
+  const rows = []; // Per row, per cell: the processed paragraphs ({text, styles}) that have text
+  let colorOnlyText = false;
+
+  for (let r = 0; r < table.getNumRows(); r++) {
+    const row = table.getRow(r);
+    const cells = [];
+    for (let c = 0; c < row.getNumCells(); c++) {
+      const cell = row.getCell(c);
+      const paragraphs = [];
+      for (let p = 0; p < cell.getNumChildren(); p++) {
+        const cellData = processElement(cell.getChild(p));
+        if (!cellData.text) continue;
+        paragraphs.push(cellData);
+        images.push(...cellData.images);
+        colorOnlyText = colorOnlyText || hasColorOnlyText(cellData.styles, cellData.text, 0, cellData.text.length);
+      }
+      cells.push(paragraphs);
+    }
+    rows.push(cells);
+  }
+
+  const isBold = paragraph => paragraph.styles.every((style, k) => !style || style.mathml || style.bold || /\s/.test(paragraph.text.charAt(k)));
+  const hasHeaderRow = rows.length > 1 && rows[0].some(paragraphs => paragraphs.length > 0) &&
+    rows[0].every(paragraphs => paragraphs.every(isBold));
+
+  // Header cells are bold by default, so their bold is not repeated
+  const htmlRows = rows.map((cells, r) => cells.map(paragraphs => paragraphs
+    .map(paragraph => convertTextRangeToHtml(paragraph.text, paragraph.styles, 0, paragraph.text.length, { ignoreBold: hasHeaderRow && r === 0 }))
+    .join('<br/>')));
+  const text = rows.map(cells => cells.map(paragraphs => paragraphs.map(paragraph => paragraph.text).join(' ')).join(' | ')).join('\n').trim();
+
+  return {
+    text: text,
+    images: images,
+    isListItem: false,
+    listId: null,
+    styles: new Array(text.length).fill(null),
+    tableHtml: buildHtmlTable(htmlRows, hasHeaderRow),
+    hasHeaderRow: hasHeaderRow,
+    colorOnlyText: colorOnlyText
+  };
+}
+
+/**
+ * Reads a section heading such as "Section 1: Vocabulary (pick 5)" or
+ * "Part B [pick 3, 2 pts each]". A bracketed note may set how many of the
+ * section's questions each student gets ("pick 5", "choose 5" or "draw 5") and the
+ * points for every question in it ("2 pts each", "2 points per question").
+ * Notes that set either are removed from the title.
+ *
+ * @param {string} text - The heading text.
+ * @return {{title: string, pick: number|null, pointsPerItem: number|null}} The section settings.
+ */
+function parseSectionHeading(text) {
+    let pick = null;
+    let pointsPerItem = null;
+    const title = text.replace(/\s*[\[(]([^\])]*)[\])]/g, (note, inner) => {
+        const pickMatch = inner.match(/\b(?:pick|choose|draw)\s+(\d+)\b/i);
+        const pointsMatch = inner.match(/(\d+(?:\.\d+)?)\s*(?:pts?|points?)\.?\s*(?:each|per\s+(?:question|item))\b/i);
+        if (!pickMatch && !pointsMatch) return note;
+        if (pickMatch) pick = parseInt(pickMatch[1], 10);
+        if (pointsMatch) pointsPerItem = parseFloat(pointsMatch[1]);
+        return '';
+    }).trim();
+    return { title: title, pick: pick, pointsPerItem: pointsPerItem };
+}
+
+/**
+ * Gives a question the points of its section, if the section heading sets them.
+ * Every question a section draws from must be worth the same, so a different
+ * "[n pts]" marker on the question is ignored (with a warning).
+ *
+ * @param {Object} question - The question being parsed (with `section` and `points`).
+ * @param {number|null} markedPoints - Points from a marker on the question, or null.
+ * @param {Diagnostics} diagnostics - Collector for ignored markers.
+ */
+function applySectionPoints(question, markedPoints, diagnostics) {
+    const section = question.section;
+    if (!section || section.pointsPerItem === null) return;
+    if (markedPoints !== null && markedPoints !== section.pointsPerItem) {
+        diagnostics.warning(`Its section "${section.title}" gives ${section.pointsPerItem} points per question, so the [${markedPoints} pts] marker was ignored.`, question);
+    }
+    question.points = section.pointsPerItem;
+}
+
+/**
+ * Checks each section's pick count against its number of questions. A count
+ * larger than the section is lowered to the number of questions; a section
+ * without questions is reported. Students get different questions from a section
+ * that picks, so its questions are given the same points (those of the first).
+ *
+ * @param {Array<Object>} sections - The sections from parseSectionHeading, as stored on questions.
+ * @param {Array<Object>} questions - All parsed questions.
+ * @param {Diagnostics} diagnostics - Collector for the problems found.
+ */
+function checkSectionPicks(sections, questions, diagnostics) {
+    sections.forEach(section => {
+        const sectionQuestions = questions.filter(q => q.section === section);
+        const count = sectionQuestions.length;
+        if (count === 0) {
+            diagnostics.warning(`The section "${section.title}" has no questions, so it was left out.`, { elementIndex: section.elementIndex });
+        } else if (section.pick !== null && (section.pick < 1 || section.pick > count)) {
+            const pick = Math.min(Math.max(section.pick, 1), count);
+            diagnostics.warning(`The section "${section.title}" asks to pick ${section.pick} of its ${count} question(s); ${pick} will be picked.`,
+                { elementIndex: section.elementIndex });
+            section.pick = pick;
+        }
+
+        if (section.pick !== null && section.pick < count && sectionQuestions.some(q => q.points !== sectionQuestions[0].points)) {
+            diagnostics.warning(`The questions of the section "${section.title}" are worth different points, but students get different ones; ` +
+                `each is counted as ${sectionQuestions[0].points} points. Add e.g. "(2 pts each)" to the heading to choose.`,
+                { elementIndex: section.elementIndex });
+            sectionQuestions.forEach(q => { q.points = sectionQuestions[0].points; });
+        }
+    });
+}
+
+/**
+ * Extracts a point value marker from the end of a question line,
+ * e.g. "What is 2 + 2? [3 pts]", "Explain. (10 points)" or "Name it [1 pt]".
+ *
+ * @param {string} text - A line of question stem text.
+ * @return {{text: string, points: number|null}} The text with the marker removed and
+ *         the parsed point value, or the original text and null if no marker was found.
+ */
+function extractPointsMarker(text) {
+    if (!text) return { text: text, points: null };
+    const match = text.match(/\s*[\[(]\s*(\d+(?:\.\d+)?)\s*(?:pts?|points?)\.?\s*[\])]\s*$/i);
+    if (!match) {
+        return { text: text, points: null };
+    }
+    return {
+        text: text.substring(0, match.index).trim(),
+        points: parseFloat(match[1])
+    };
+}
+
+/**
+ * Extracts a question type tag from the start of a question's text,
+ * e.g. "[MA] Which are prime?" or "[essay] Explain...". Unknown tags are left in the text.
+ *
+ * @param {string} text - The question text after its number.
+ * @return {{text: string, type: string|null, tag: string|null}} The text without the tag,
+ *         and the tagged type and tag (or null if there is no known tag).
+ */
+function extractTypeTag(text) {
+    const match = text ? text.match(/^\s*\[\s*([A-Za-z]+)\s*\]\s*/) : null;
+    const tag = match ? match[1].toUpperCase() : null;
+    if (!tag || !QUESTION_TYPE_TAGS[tag]) {
+        return { text: text, type: null, tag: null };
+    }
+    return { text: text.substring(match[0].length), type: QUESTION_TYPE_TAGS[tag], tag: tag };
+}
+
+/**
+ * Extracts a shuffle tag from the start of a question's text: "[noshuffle]" keeps the
+ * options in document order (e.g. for "All of the above"), "[shuffle]" shuffles them
+ * whatever the quiz setting.
+ *
+ * @param {string} text - The question text after its number (and type tag).
+ * @return {{text: string, shuffle: boolean|null}} The text without the tag, and the
+ *         tagged setting (or null if there is no tag).
+ */
+function extractShuffleTag(text) {
+    const match = text ? text.match(/^\s*\[\s*(no[\s-]?)?shuffle\s*\]\s*/i) : null;
+    if (!match) {
+        return { text: text, shuffle: null };
+    }
+    return { text: text.substring(match[0].length), shuffle: !match[1] };
+}
+
+/**
+ * Sets whether each question's options are shuffled: the question's own shuffle tag
+ * wins; otherwise ordering items are always shuffled (listing them in the correct
+ * order would give the answer away), true/false is never shuffled, and every other
+ * type follows the quiz setting. Types with no options ignore the value.
+ *
+ * @param {Array<Object>} questions - The combined question objects (types are final).
+ * @param {boolean} shuffleAnswers - The quiz setting from the sidebar.
+ */
+function applyShuffleSetting(questions, shuffleAnswers) {
+    questions.forEach(q => {
+        if (typeof q.shuffle === 'boolean') return;
+        if (q.type === QUESTION_TYPES.ORDERING) {
+            q.shuffle = true;
+        } else if (q.type === QUESTION_TYPES.TRUE_FALSE) {
+            q.shuffle = false;
+        } else {
+            q.shuffle = Boolean(shuffleAnswers);
+        }
+    });
+}
+
+/**
+ * Detects a feedback line within a question block, e.g. "Feedback: ...",
+ * "Correct feedback: ..." or "Incorrect feedback: ...".
+ *
+ * @param {string} text - The text of the element.
+ * @return {{kind: string, text: string}|null} The feedback kind ('general', 'correct' or
+ *         'incorrect') and its text, or null if the line is not a feedback line.
+ */
+function parseFeedbackLine(text) {
+    const match = text ? text.match(/^\s*(?:(correct|incorrect|general)\s+)?feedback\s*:\s*(.+)$/i) : null;
+    if (!match) return null;
+    return {
+        kind: match[1] ? match[1].toLowerCase() : 'general',
+        text: match[2].trim()
+    };
+}
+
+/**
+ * Splits per-option feedback off an option's text, e.g. "Paris // Feedback: Correct, it's the capital."
+ * The "//" must be preceded by whitespace so URLs like "http://..." are left intact.
+ *
+ * @param {string} optionText - The option text after its letter marker.
+ * @return {{text: string, feedback: string|null}} The option text and its feedback (or null).
+ */
+function splitOptionFeedback(optionText) {
+    const match = optionText ? optionText.match(/^(.*?)\s+\/\/\s*(?:feedback\s*:\s*)?(.+)$/i) : null;
+    if (!match) {
+        return { text: optionText, feedback: null };
+    }
+    return { text: match[1].trim(), feedback: match[2].trim() };
+}
+
+/**
+ * Checks whether an image placeholder is referenced anywhere in a question:
+ * its stem, option text, option feedback or question feedback.
+ *
+ * @param {Object} question - The question object being built.
+ * @param {string} imageId - The image ID used in the [IMG:id] placeholder.
+ * @return {boolean} True if the question references the image.
+ */
+function isImageReferencedByQuestion(question, imageId) {
+    const placeholder = `[IMG:${imageId}]`;
+    const includesPlaceholder = text => !!text && text.includes(placeholder);
+    if (includesPlaceholder(question.text)) return true;
+    if (question.options && question.options.some(opt => includesPlaceholder(opt.text) || includesPlaceholder(opt.feedback))) return true;
+    const feedback = question.feedback || {};
+    return Object.keys(feedback).some(kind => includesPlaceholder(feedback[kind]));
+}
+
+/**
+ * Adds the options written in bold or highlighted to a finished question's
+ * `inlineAnswer`. Asterisks are the explicit mark, so formatting is ignored when a
+ * question has any; it is also ignored when every option is formatted alike
+ * (e.g. a fully bold document), since then it does not single out an answer.
+ *
+ * @param {Object} question - The question being finalized.
+ * @param {Array<string>} formattedLetters - Letters of its bold or highlighted options.
+ * @param {Diagnostics} diagnostics - Collector for ambiguous formatting.
+ */
+function applyFormattedAnswerMarks(question, formattedLetters, diagnostics) {
+    if (question.inlineAnswer.length > 0 || formattedLetters.length === 0) return;
+    if (question.options.length > 1 && formattedLetters.length === question.options.length) {
+        diagnostics.warning('All options are bold or highlighted, so none was taken as the correct answer.', question);
+        return;
+    }
+    question.inlineAnswer = formattedLetters.slice();
+    console.log(`Question ${question.number}: options ${formattedLetters.join(', ')} are marked correct by formatting`);
+}
+
+/**
+ * Makes a fill-in-the-blank question whose stem has two or more blanks a
+ * fill-in-multiple-blanks question, scored per blank. An untagged short-answer
+ * question qualifies too, since its blanks may be on a later line than the one
+ * its type was inferred from.
+ *
+ * @param {Object} question - The question being finalized.
+ */
+function applyMultipleBlanks(question) {
+    const isTextAnswer = question.type === QUESTION_TYPES.FILL_IN_BLANK_TEXT ||
+        (question.type === QUESTION_TYPES.SHORT_ANSWER && !taggedQuestionNumbers.has(question.number));
+    if (!isTextAnswer || getBlankNames(question.text).length < 2) return;
+    question.type = QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS;
+    questionTypes.set(question.number, question.type);
+    console.log(`Question ${question.number}: ${getBlankNames(question.text).length} blanks, so it is fill in multiple blanks`);
+}
+
+/**
+ * Checks whether a stem asks for more than one answer, e.g. "Select all that apply"
+ * or "Choose two". This only means "multiple answer" once the question has options:
+ * "Mark 3 on the number line. What is 3 + 4?" is no choice question at all.
+ *
+ * @param {string} text - The question stem.
+ * @return {boolean} True if the stem asks for several selections.
+ */
+function expectsSeveralAnswers(text) {
+    const upperText = text.toUpperCase();
+    return /\bALL\s+THAT\s+APPLY\b/.test(upperText) ||
+        /\b(?:SELECT|CHOOSE|CHECK|MARK|CIRCLE)\s+(?:ALL|TWO|THREE|FOUR|FIVE|[2-9])\b/.test(upperText);
 }
 
 /**
@@ -124,7 +504,7 @@ function inferQuestionType(text, initialOptions = [], isListItem = false, listId
      if (/\bORDERING\b/.test(upperText) || /\bORDER\b/.test(upperText) || /\bSEQUENCE\b/.test(upperText)) {
          return QUESTION_TYPES.ORDERING;
      }
-    if (text.includes('___')) { // Simple check for fill-in-the-blanks
+    if (text.includes('___') || /\[\s*blank\w*\s*\]/i.test(text)) { // Simple check for fill-in-the-blanks ("___" or "[blank1]")
         // Could add logic here to check if blanks suggest numbers vs text
         return QUESTION_TYPES.FILL_IN_BLANK_TEXT;
     }
@@ -136,8 +516,8 @@ function inferQuestionType(text, initialOptions = [], isListItem = false, listId
         if (optionLetters.includes('T') && optionLetters.includes('F')) {
              return QUESTION_TYPES.TRUE_FALSE;
         }
-        // Default MC if options exist and aren't T/F
-        return QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+        // Default MC if options exist and aren't T/F, unless the stem asks for several
+        return expectsSeveralAnswers(text) ? QUESTION_TYPES.MULTIPLE_CHOICE_MULTI : QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
     }
 
     // Contextual checks (less reliable)
@@ -158,29 +538,60 @@ function inferQuestionType(text, initialOptions = [], isListItem = false, listId
 /**
  * Parses the Google Document body to extract questions, answers, and images.
  *
+ * @param {Object} [options] - Parsing options.
+ * @param {number} [options.defaultPoints] - Points for questions without a "[n pts]" marker.
+ *                                           Falls back to DEFAULT_QUESTION_POINTS.
+ * @param {boolean} [options.downscaleImages] - Downscale large images (see downscaleImage).
+ * @param {Diagnostics} [options.diagnostics] - Collector for problems found while parsing.
  * @return {{questions: Array<Object>, images: Array<Object>}}
  *         Object containing an array of parsed question objects and an array
- *         of all unique image metadata objects found.
+ *         of all unique image metadata objects found. Each question records the
+ *         `elementIndex` of the body element it starts on, and in `inlineAnswer` the
+ *         letters of options marked correct with an asterisk, bold or highlighting.
+ *         Stems and options also carry their formatting as `html` (see HtmlConversion.gs),
+ *         and `colorOnlyText` / `tablesWithoutHeader` record what checkAccessibility flags.
+ *         `section` is the section of the heading above the question ({ title, pick,
+ *         pointsPerItem, elementIndex }, shared by its questions), or null. `shuffle` is
+ *         true or false from a "[shuffle]"/"[noshuffle]" tag, or null (see applyShuffleSetting).
  */
-function parseQuestions() {
+function parseQuestions(options = {}) {
+  const defaultPoints = options.defaultPoints > 0 ? Number(options.defaultPoints) : DEFAULT_QUESTION_POINTS;
+  const diagnostics = options.diagnostics || new Diagnostics();
   const doc = DocumentApp.getActiveDocument();
   const body = doc.getBody();
   const questions = [];
-  const allImages = []; // Store all unique image metadata here
+  const allImages = []; // Store all image metadata here (repeated images are marked with duplicateOf)
+  const imagesByHash = new Map(); // Content hash -> first occurrence, see deduplicateImage
   let currentQuestion = null;
   let currentOptions = []; // Holds options for the current question being built
   let accumulatedImages = []; // Images collected for the current question (stem + options)
+  let formattedLetters = []; // Options of the current question written in bold or highlighted
   let reachedAnswerKey = false;
   let currentQuestionNumber = 0;
+  const sections = []; // From headings, in document order (see parseSectionHeading)
+  let currentSection = null; // Section of the questions that follow; null before the first heading
+
+  // Links the current question's images, applies formatted answer marks and adds it to the list
+  const finalizeCurrentQuestion = () => {
+    currentQuestion.images = accumulatedImages.filter(img => isImageReferencedByQuestion(currentQuestion, img.id));
+    currentQuestion.hasImages = currentQuestion.images.length > 0;
+    applyFormattedAnswerMarks(currentQuestion, formattedLetters, diagnostics);
+    applyMultipleBlanks(currentQuestion);
+    questionOptionLetters.set(currentQuestion.number, currentQuestion.options.map(o => o.letter));
+    questions.push(currentQuestion);
+    console.log(`Finalized question ${currentQuestion.number}: Type=${currentQuestion.type}, Options=${currentQuestion.options.length}, Images=${currentQuestion.images.length}`);
+  };
 
   console.log('Starting QTI 1.2 question parsing...');
   questionTypes.clear(); // Reset global question type map
+  taggedQuestionNumbers.clear();
+  questionOptionLetters.clear();
 
   const numChildren = body.getNumChildren();
   for (let i = 0; i < numChildren; i++) {
     const child = body.getChild(i);
     const elementData = processElement(child);
-    let { text: elementText, images: elementImages, isListItem, listId } = elementData;
+    let { text: elementText, images: elementImages, isListItem, listId, isHeading, styles, tableHtml, hasHeaderRow, colorOnlyText } = elementData;
 
     if (!elementText && elementImages.length === 0) {
       // Skip empty elements entirely
@@ -206,59 +617,112 @@ function parseQuestions() {
           imgMeta.id,
           fileExtension // Pass the determined extension
       );
+      // A repeated image shares the first occurrence's file (and large images may be downscaled)
+      deduplicateImage(imgMeta, imagesByHash, options, diagnostics, { elementIndex: i });
       accumulatedImages.push(imgMeta);
       allImages.push(imgMeta); // Add to global list as well
        console.log(`Processed image: ${imgMeta.filename} (ID: ${imgMeta.id}, Type: ${imgMeta.contentType})`);
     });
 
 
+    // A table never starts a question or an option; it belongs to the current question's stem
+    if (tableHtml) {
+      if (currentQuestion) {
+        currentQuestion.text += (currentQuestion.text ? '\n' : '') + elementText;
+        currentQuestion.html += tableHtml;
+        currentQuestion.hasImages = currentQuestion.hasImages || elementImages.length > 0;
+        currentQuestion.colorOnlyText = currentQuestion.colorOnlyText || colorOnlyText;
+        if (!hasHeaderRow) currentQuestion.tablesWithoutHeader++;
+        console.log(`Appended table to question ${currentQuestionNumber}`);
+      } else {
+        console.log(`Skipping table before first numbered question (Index ${i})`);
+      }
+      continue;
+    }
+
     // 2. Detect Start of a New Question (e.g., "1.", "1)", "1 -")
     // More robust regex: Optional space, digits, required space/dot/paren/dash, required space
     const questionStartMatch = elementText.match(/^\s*(\d+)\s*[.)-]\s+(.*)/);
 
+    // A heading (that is not itself a numbered question) ends the current question and starts a section
+    if (isHeading && !questionStartMatch) {
+      if (currentQuestion) {
+        finalizeCurrentQuestion();
+        currentQuestion = null;
+      }
+      const { title, pick, pointsPerItem } = parseSectionHeading(stripImagePlaceholders(elementText));
+      currentSection = { title: title || `Section ${sections.length + 1}`, pick: pick, pointsPerItem: pointsPerItem, elementIndex: i };
+      sections.push(currentSection);
+      console.log(`Started section "${currentSection.title}" (pick ${pick === null ? 'all' : pick}, points each ${pointsPerItem === null ? 'unchanged' : pointsPerItem})`);
+      continue;
+    }
+
     if (questionStartMatch) {
       const detectedNumber = parseInt(questionStartMatch[1], 10);
-      const questionTextStart = questionStartMatch[2].trim(); // Text after the number
+      // Text after the number, minus any leading "[MC]" type tag and "[noshuffle]" tag (in either order)
+      // and trailing "[3 pts]" marker
+      const { text: afterFirstShuffleTag, shuffle: firstShuffleTag } = extractShuffleTag(questionStartMatch[2].trim());
+      const { text: untypedText, type: taggedType, tag: typeTag } = extractTypeTag(afterFirstShuffleTag);
+      const { text: untaggedText, shuffle: secondShuffleTag } = extractShuffleTag(untypedText);
+      const shuffleTag = firstShuffleTag !== null ? firstShuffleTag : secondShuffleTag;
+      const { text: questionTextStart, points: markedPoints } = extractPointsMarker(untaggedText);
 
       console.log(`Detected potential question start: Number ${detectedNumber}`);
 
       // Finalize the previous question before starting a new one
       if (currentQuestion) {
-        // Ensure accumulated images are linked to the question before finalizing
-        currentQuestion.images = accumulatedImages.filter(img =>
-             (currentQuestion.text && currentQuestion.text.includes(`[IMG:${img.id}]`)) ||
-             (currentQuestion.options && currentQuestion.options.some(opt => opt.text && opt.text.includes(`[IMG:${img.id}]`)))
-        );
-        currentQuestion.hasImages = currentQuestion.images.length > 0;
-
-        // Add the completed question to the list
-        questions.push(currentQuestion);
-        console.log(`Finalized question ${currentQuestion.number}: Type=${currentQuestion.type}, Options=${currentQuestion.options.length}, Images=${currentQuestion.images.length}`);
+        finalizeCurrentQuestion();
       }
 
       // --- Start the new question ---
+      if (questions.some(q => q.number === detectedNumber)) {
+        // Answers are matched by number, so both questions would share one answer key entry
+        diagnostics.warning(`The question number ${detectedNumber} is used more than once. Renumber the questions so each answer key entry matches one question.`,
+          { number: detectedNumber, elementIndex: i });
+      }
       currentQuestionNumber = detectedNumber;
       currentOptions = []; // Reset options for the new question
+      formattedLetters = [];
       // Filter accumulated images to only keep those from the CURRENT element starting the question
       accumulatedImages = accumulatedImages.filter(img => elementText.includes(`[IMG:${img.id}]`));
 
 
-      // Infer the type for this new question
-      const inferredType = inferQuestionType(questionTextStart, [], isListItem, listId);
+      // A type tag decides the type; otherwise infer it for this new question
+      const inferredType = taggedType || inferQuestionType(questionTextStart, [], isListItem, listId);
+
+      // The stem text is a trimmed part of the text after the number; convert the same range to HTML
+      const stemSearchStart = questionStartMatch.index + questionStartMatch[0].length - questionStartMatch[2].length;
+      const stemStart = elementText.indexOf(questionTextStart, stemSearchStart);
 
       currentQuestion = {
         number: currentQuestionNumber,
+        elementIndex: i, // Body element the question starts on, for diagnostics
         type: inferredType,
         text: questionTextStart, // Start with text after number
+        html: convertTextRangeToHtml(elementText, styles, stemStart, stemStart + questionTextStart.length), // Formatted stem
         options: currentOptions, // Reference to the live options array
         images: [], // Will be populated during finalization
         hasImages: accumulatedImages.length > 0, // Based on images in *this* starting element
+        points: markedPoints !== null ? markedPoints : defaultPoints,
+        section: currentSection, // From the last heading (null before any), shared by its questions
+        shuffle: shuffleTag, // From a [shuffle]/[noshuffle] tag, or null for the quiz setting (see applyShuffleSetting)
+        feedback: {}, // { general?, correct?, incorrect? } from "Feedback:" lines
+        inlineAnswer: [], // Letters of options marked correct in the question itself (see applyFormattedAnswerMarks)
+        colorOnlyText: hasColorOnlyText(styles, elementText, stemStart, stemStart + questionTextStart.length), // For checkAccessibility
+        tablesWithoutHeader: 0, // Tables in the stem whose first row is not a bold header row
         // Potentially add listId or other metadata if needed for parsing logic later
       };
 
+      applySectionPoints(currentQuestion, markedPoints, diagnostics);
+
       // Store the inferred type in the global map for answer key parsing
       questionTypes.set(currentQuestionNumber, inferredType);
-      console.log(`Started new question ${currentQuestionNumber}: Inferred Type=${inferredType}`);
+      if (taggedType) {
+        taggedQuestionNumbers.add(currentQuestionNumber);
+      } else {
+        taggedQuestionNumbers.delete(currentQuestionNumber); // A repeated number may be untagged the second time
+      }
+      console.log(`Started new question ${currentQuestionNumber}: ${typeTag ? `Tagged [${typeTag}]` : 'Inferred'} Type=${inferredType}`);
 
     } else if (currentQuestion) {
       // 3. Process as Continuation or Option of the Current Question
@@ -268,16 +732,39 @@ function parseQuestions() {
 
       let isOption = false;
 
-      // More robust option detection (handles A., A), (A), a., a), (a) etc.) with text following
-      const optionMatch = elementText.match(/^\s*(?:(?:([A-Za-z])\s*[.)])|(?:\(\s*([A-Za-z])\s*\)))\s+(.*)/);
+      // Feedback lines ("Feedback: ...", "Correct feedback: ...") belong to the question, not its stem
+      const feedbackLine = parseFeedbackLine(elementText);
 
-      if (optionMatch) {
+      // More robust option detection (handles A., A), (A), a., a), (a) etc.) with text following.
+      // An asterisk before the letter or the text ("*A. Paris", "A. *Paris") marks the correct option.
+      const optionMatch = feedbackLine ? null : elementText.match(/^\s*(\*\s*)?(?:(?:([A-Za-z])\s*[.)])|(?:\(\s*([A-Za-z])\s*\)))\s+(\*\s*)?(.*)/);
+
+      if (feedbackLine) {
+        const existingFeedback = currentQuestion.feedback[feedbackLine.kind];
+        currentQuestion.feedback[feedbackLine.kind] = existingFeedback ? `${existingFeedback} ${feedbackLine.text}` : feedbackLine.text;
+        console.log(`Captured ${feedbackLine.kind} feedback for question ${currentQuestionNumber}`);
+        elementText = ''; // Consumed; don't append to the stem
+      } else if (optionMatch) {
         isOption = true;
-        const letter = (optionMatch[1] || optionMatch[2]).toUpperCase();
-        const optionText = optionMatch[3].trim(); // Text after the letter/marker
+        const letter = (optionMatch[2] || optionMatch[3]).toUpperCase();
+        // Text after the letter/marker, with any "// Feedback: ..." split off
+        const rawOptionText = optionMatch[5];
+        const { text: optionText, feedback: optionFeedback } = splitOptionFeedback(rawOptionText.trim());
 
         console.log(`Detected option ${letter} for question ${currentQuestionNumber}`);
 
+        // Inline answer marks: an asterisk, or option text that is entirely bold or highlighted
+        const textStart = optionMatch.index + optionMatch[0].length - rawOptionText.length + rawOptionText.indexOf(optionText);
+        const isFormattedAsAnswer = isTextRangeEmphasized(styles, elementText, textStart, textStart + optionText.length);
+        if (optionMatch[1] || optionMatch[4]) {
+          currentQuestion.inlineAnswer.push(letter);
+        } else if (isFormattedAsAnswer) {
+          formattedLetters.push(letter);
+        }
+        if (!isFormattedAsAnswer && hasColorOnlyText(styles, elementText, textStart, textStart + optionText.length)) {
+          currentQuestion.colorOnlyText = true; // Highlighting that marks the answer is removed, so it is no cue
+        }
+
         // Find images specifically belonging to this option line's text
         const optionImages = accumulatedImages.filter(img => optionText.includes(`[IMG:${img.id}]`));
 
@@ -285,13 +772,17 @@ function parseQuestions() {
         const newOption = {
           letter: letter,
           text: optionText, // Contains [IMG:id] placeholders if images were present
-          images: optionImages // Metadata for images referenced *in this specific option text*
+          // Formatted text; bold that marks the answer is left out so students don't see it
+          html: convertTextRangeToHtml(elementText, styles, textStart, textStart + optionText.length, { ignoreBold: isFormattedAsAnswer }),
+          images: optionImages, // Metadata for images referenced *in this specific option text*
           // hasImages is implicitly true if optionImages.length > 0
+          feedback: optionFeedback // Shown to students who select this option (or null)
         };
         currentOptions.push(newOption);
 
-        // Refine question type if options suggest MC or T/F
-        if (currentQuestion.type !== QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE &&
+        // Refine question type if options suggest MC or T/F (never for a tagged question)
+        if (!taggedQuestionNumbers.has(currentQuestionNumber) &&
+            currentQuestion.type !== QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE &&
             currentQuestion.type !== QUESTION_TYPES.MULTIPLE_CHOICE_MULTI &&
             currentQuestion.type !== QUESTION_TYPES.TRUE_FALSE &&
             currentQuestion.type !== QUESTION_TYPES.MATCHING && // Avoid overriding MATCHING
@@ -303,10 +794,13 @@ function parseQuestions() {
                 questionTypes.set(currentQuestionNumber, QUESTION_TYPES.TRUE_FALSE);
                 console.log(`Re-inferred question ${currentQuestionNumber} as TRUE_FALSE based on options`);
            } else {
-               // Default to MC Single if standard options appear
-                currentQuestion.type = QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
-                questionTypes.set(currentQuestionNumber, QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE);
-                console.log(`Re-inferred question ${currentQuestionNumber} as MULTIPLE_CHOICE_SINGLE based on options`);
+               // Default to MC Single if standard options appear, or MC Multi for "select all that apply"
+                const choiceType = expectsSeveralAnswers(currentQuestion.text)
+                    ? QUESTION_TYPES.MULTIPLE_CHOICE_MULTI
+                    : QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE;
+                currentQuestion.type = choiceType;
+                questionTypes.set(currentQuestionNumber, choiceType);
+                console.log(`Re-inferred question ${currentQuestionNumber} as ${choiceType} based on options`);
            }
         }
       }
@@ -327,11 +821,23 @@ function parseQuestions() {
 
       // If it wasn't an option start or other special item, append text to the current question stem
       if (!isOption && elementText) { // Check elementText is not empty
-          // Add a space only if the current text doesn't already end with one
-          // and the new text doesn't start with punctuation that shouldn't have a preceding space.
-          const needsSpace = currentQuestion.text && !/\s$/.test(currentQuestion.text) && !/^[.,;:!?]/.test(elementText);
-          currentQuestion.text += (needsSpace ? ' ' : '') + elementText;
-          console.log(`Appended text to question ${currentQuestionNumber}`);
+          // A points marker may also close a multi-line stem
+          const { text: stemLineText, points: linePoints } = extractPointsMarker(elementText);
+          if (linePoints !== null) {
+              currentQuestion.points = linePoints;
+              applySectionPoints(currentQuestion, linePoints, diagnostics);
+              elementText = stemLineText;
+              console.log(`Set points for question ${currentQuestionNumber} to ${linePoints}`);
+          }
+          if (elementText) { // The line may have held nothing but the marker
+              // Add a space only if the current text doesn't already end with one
+              // and the new text doesn't start with punctuation that shouldn't have a preceding space.
+              const needsSpace = currentQuestion.text && !/\s$/.test(currentQuestion.text) && !/^[.,;:!?]/.test(elementText);
+              currentQuestion.text += (needsSpace ? ' ' : '') + elementText;
+              currentQuestion.html += (needsSpace ? ' ' : '') + convertTextRangeToHtml(elementText, styles, 0, elementText.length);
+              currentQuestion.colorOnlyText = currentQuestion.colorOnlyText || hasColorOnlyText(styles, elementText, 0, elementText.length);
+              console.log(`Appended text to question ${currentQuestionNumber}`);
+          }
       }
 
       // Track that images found on this line are associated with the current question overall
@@ -341,10 +847,10 @@ function parseQuestions() {
 
 
     } else {
-      // Content before the first numbered question - handle as needed
+      // Content before the first numbered question (or between a section heading and its first question)
       // Could be instructions, a title, or an unnumbered first question.
       // For now, we'll mostly ignore it unless specifically handled.
-      console.log(`Skipping content before first numbered question (Index ${i}): "${elementText.substring(0, 50)}..."`);
+      console.log(`Skipping content outside a numbered question (Index ${i}): "${elementText.substring(0, 50)}..."`);
     }
 
     // Break loop if answer key was detected in this iteration
@@ -355,24 +861,16 @@ function parseQuestions() {
 
   // Finalize the very last question after the loop finishes (if one exists)
   if (currentQuestion) {
-     // Ensure accumulated images are linked before finalizing
-     // Need to check text/options for placeholders associated with *any* image in accumulatedImages
-     currentQuestion.images = accumulatedImages.filter(img =>
-           (currentQuestion.text && currentQuestion.text.includes(`[IMG:${img.id}]`)) ||
-           (currentQuestion.options && currentQuestion.options.some(opt => opt.text && opt.text.includes(`[IMG:${img.id}]`)))
-     );
-     currentQuestion.hasImages = currentQuestion.images.length > 0;
-
-
-      questions.push(currentQuestion);
-      console.log(`Finalized last question ${currentQuestion.number}: Type=${currentQuestion.type}, Options=${currentQuestion.options.length}, Images=${currentQuestion.images.length}`);
+    finalizeCurrentQuestion();
   }
 
+  checkSectionPicks(sections, questions, diagnostics);
+
   console.log(`Total questions parsed: ${questions.length}`);
-  console.log(`Total unique images found: ${allImages.length}`); // Note: allImages might contain duplicates if handled improperly, review logic if needed.
+  console.log(`Total images found: ${allImages.length} (${imagesByHash.size} unique)`);
 
   if (questions.length === 0) {
-      console.warn("No numbered questions were found in the document.");
+      diagnostics.error("No numbered questions were found. Start each question with a number, e.g. '1. Question text'.");
       // Consider throwing an error or returning an empty structure based on desired behavior
       // throw new AppError("No questions found", "Could not find any numbered questions in the document. Please ensure questions start with a number followed by a period or parenthesis (e.g., '1. Question Text').");
   }
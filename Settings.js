@@ -0,0 +1,108 @@
+/**
+ *  Settings.gs – Per-document conversion settings
+ *  ------------------------------------------------------------------
+ *  The sidebar's conversion settings are saved in the document's properties, so
+ *  each quiz document remembers its own export format, points, shuffling and
+ *  grading choices. Settings are normalized whenever they are read or written,
+ *  so a stored value from an older version or a bad form value falls back to
+ *  its default.
+ */
+
+// Dependencies:
+// - Constants.gs (EXPORT_FORMAT_LABELS, EXPORT_FORMATS, DEFAULT_QUESTION_POINTS)
+
+'use strict';
+
+/** DocumentProperties key holding the settings as JSON. */
+const CONVERSION_SETTINGS_PROPERTY = 'conversionSettings';
+
+/**
+ * Returns the settings used when a document has none saved (and for any missing value).
+ * (A function, like Canvas_getQuestionType, so it does not depend on script file load order.)
+ *
+ * @return {Object} The default settings.
+ */
+function getConversionSettingsDefaults() {
+  return {
+    exportFormat: EXPORT_FORMATS.QTI_12,
+    defaultPoints: DEFAULT_QUESTION_POINTS,
+    shuffleAnswers: false,
+    allowUngraded: false,   // Strict mode: questions without a usable answer stop the export
+    downscaleImages: false,
+    caseSensitive: false,   // Text answers (fill in the blank, short answer) must match in case
+    quizTitle: ''           // Empty: the document name is used
+  };
+}
+
+/**
+ * Returns complete, valid settings: every known setting with a usable value, taken
+ * from `settings` or else from getConversionSettingsDefaults. Unknown keys are dropped.
+ *
+ * @param {Object} [settings] - Settings to check, e.g. from the sidebar form or DocumentProperties.
+ * @return {Object} The normalized settings.
+ */
+function normalizeConversionSettings(settings = {}) {
+  const source = settings || {};
+  const defaultPoints = Number(source.defaultPoints);
+  const quizTitle = typeof source.quizTitle === 'string' ? source.quizTitle.trim() : '';
+  const defaults = getConversionSettingsDefaults();
+  const readFlag = key => typeof source[key] === 'boolean' ? source[key] : defaults[key];
+
+  return {
+    exportFormat: EXPORT_FORMAT_LABELS[source.exportFormat] ? source.exportFormat : defaults.exportFormat,
+    defaultPoints: defaultPoints > 0 ? defaultPoints : defaults.defaultPoints,
+    shuffleAnswers: readFlag('shuffleAnswers'),
+    allowUngraded: readFlag('allowUngraded'),
+    downscaleImages: readFlag('downscaleImages'),
+    caseSensitive: readFlag('caseSensitive'),
+    quizTitle: quizTitle.substring(0, 200)
+  };
+}
+
+/**
+ * Returns the settings saved for the active document, or the defaults.
+ * Called from the sidebar when it opens.
+ *
+ * @return {Object} The normalized settings (see getConversionSettingsDefaults).
+ */
+function getConversionSettings() {
+  const stored = PropertiesService.getDocumentProperties().getProperty(CONVERSION_SETTINGS_PROPERTY);
+  if (!stored) {
+    return normalizeConversionSettings({});
+  }
+  try {
+    return normalizeConversionSettings(JSON.parse(stored));
+  } catch (e) {
+    console.warn(`Ignoring unreadable saved settings: ${e}`);
+    return normalizeConversionSettings({});
+  }
+}
+
+/**
+ * Saves settings for the active document. Called from the sidebar whenever a
+ * setting changes.
+ *
+ * @param {Object} settings - The settings from the sidebar form.
+ * @return {Object} The normalized settings as saved, for the sidebar to display.
+ */
+function saveConversionSettings(settings) {
+  const normalized = normalizeConversionSettings(settings);
+  PropertiesService.getDocumentProperties().setProperty(CONVERSION_SETTINGS_PROPERTY, JSON.stringify(normalized));
+  console.log(`Saved conversion settings: ${JSON.stringify(normalized)}`);
+  return normalized;
+}
+
+/**
+ * Combines the options of a conversion or preview request with the document's
+ * saved settings: options that are given win, the saved settings fill the rest.
+ *
+ * @param {Object} [options] - Options passed by the caller (any subset of the settings).
+ * @return {Object} The normalized settings to convert with.
+ */
+function resolveConversionSettings(options = {}) {
+  const given = {};
+  Object.keys(options || {}).forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) given[key] = options[key];
+  });
+  return normalizeConversionSettings(Object.assign(getConversionSettings(), given));
+}
@@ -17,10 +17,11 @@ const QTI_RESOURCES_PATH = 'resources/'; // Standard relative path
 function sanitizeHtml(text) {
   if (text === null || typeof text === 'undefined') return '';
   return String(text) // Ensure input is a string
-    .replace(/&/g,  '&')
-    .replace(/</g,  '<')
-    .replace(/>/g,  '>')
-    .replace(/"/g,  '"')
+    .replace(/&/g,  '&amp;')
+    .replace(/</g,  '&lt;')
+    .replace(/>/g,  '&gt;')
+    .replace(/"/g,  '&quot;')
+    .replace(/'/g,  '&#39;');
 }
 
 /**
@@ -30,10 +31,12 @@ function sanitizeHtml(text) {
  * @param {string} text - The text containing image placeholders (e.g., "See figure [IMG:xyz]").
  * @param {Array<Object>} questionImages - An array of image metadata objects associated
  *                                         with the current question/option being processed.
- *                                         Each object should have at least {id, filename, width, height}.
+ *                                         Each object should have at least {id, filename, width, height};
+ *                                         its altText (if any) becomes the alt attribute.
+ * @param {string} [basePath] - Path prefix for the image src. Defaults to QTI_RESOURCES_PATH.
  * @return {string} The text with placeholders replaced by HTML <img> tags.
  */
-function replaceImagePlaceholdersWithHtml(text, questionImages) {
+function replaceImagePlaceholdersWithHtml(text, questionImages, basePath = QTI_RESOURCES_PATH) {
   if (!text || !questionImages || questionImages.length === 0) {
     return text; // Return original text if no replacements needed or possible
   }
@@ -58,11 +61,11 @@ function replaceImagePlaceholdersWithHtml(text, questionImages) {
     const imageMeta = imageMetaMap.get(imageId);
 
     if (imageMeta && imageMeta.filename) {
-      // Construct the relative path using the defined constant
-      const imagePath = QTI_RESOURCES_PATH + imageMeta.filename;
-      // Sanitize alt text (currently empty) and path for attributes
+      // Construct the relative path using the package's resource folder
+      const imagePath = basePath + imageMeta.filename;
+      // Sanitize alt text and path for attributes
       const sanitizedPath = sanitizeHtml(imagePath);
-      const altText = ""; // Alt text often not well-supported or needed in simple QTI conversion
+      const altText = sanitizeHtml(imageMeta.altText || ''); // From the image's "Alt text" in Docs; see checkAccessibility
 
       // Generate the HTML img tag. Include width/height if available.
       let imgTag = `<img src="${sanitizedPath}" alt="${altText}"`;
@@ -84,6 +87,291 @@ function replaceImagePlaceholdersWithHtml(text, questionImages) {
   return processedText;
 }
 
+/**
+ * Returns the HTML of a question stem or option: the formatted `html` captured while
+ * parsing (see convertTextRangeToHtml), or the escaped plain text for objects without
+ * it, such as generated True/False options. Image placeholders are kept.
+ *
+ * @param {Object} item - A question or option object ({ text, html? }).
+ * @param {string} [fallbackText] - Plain text to use when the item has no text.
+ * @return {string} The HTML.
+ */
+function getItemHtml(item, fallbackText = '') {
+  if (item.html) return item.html;
+  return sanitizeHtml(item.text || fallbackText);
+}
+
+/**
+ * Removes image placeholders like [IMG:uuid] from text, for formats that cannot
+ * display inline images.
+ *
+ * @param {string} text - The text containing image placeholders.
+ * @return {string} The text without placeholders, with whitespace collapsed.
+ */
+function stripImagePlaceholders(text) {
+  if (!text) return '';
+  return String(text).replace(/\[IMG:[^\]]+\]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the correct option letters of a choice question as an array, whether the
+ * answer key gave a single letter ('A') or a list (['A', 'C']).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {Array<string>} The correct letters (empty if there is no answer).
+ */
+function getCorrectLetters(q) {
+  if (Array.isArray(q.correctAnswer)) return q.correctAnswer;
+  return typeof q.correctAnswer === 'string' && q.correctAnswer ? [q.correctAnswer] : [];
+}
+
+/**
+ * Determines the answer of a true/false question, for formats with a native
+ * true/false type. The answer key may give T/F (or True/False) directly, or the
+ * letter of a listed "True" or "False" option.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {boolean|null} true or false, or null if the answer cannot be determined.
+ */
+function getTrueFalseAnswer(q) {
+  let correctLetter = typeof q.correctAnswer === 'string' ? q.correctAnswer.toUpperCase() : '';
+  const chosenOption = (q.options || []).find(opt => opt.letter && opt.letter.toUpperCase() === correctLetter);
+  if (chosenOption && /^\s*(true|false)\b/i.test(chosenOption.text || '')) {
+    correctLetter = chosenOption.text.trim().charAt(0).toUpperCase();
+  }
+  if (correctLetter === 'T') return true;
+  if (correctLetter === 'F') return false;
+  return null;
+}
+
+/**
+ * Finds the listed option holding a true/false question's answer: the option with
+ * the answer key letter, or else the "True"/"False" option that matches a T/F key
+ * (e.g. "A. True" for the key "T").
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @param {Array<Object>} [options] - The options to search (defaults to q.options).
+ * @return {Object|null} The correct option, or null if none matches.
+ */
+function getTrueFalseOption(q, options = q.options || []) {
+  const byLetter = options.find(opt => opt.letter && opt.letter === q.correctAnswer);
+  if (byLetter) return byLetter;
+  const isTrue = getTrueFalseAnswer(q);
+  if (isTrue === null) return null;
+  const namedPattern = isTrue ? /^\s*true\b/i : /^\s*false\b/i;
+  return options.find(opt => namedPattern.test(opt.text || '')) || null;
+}
+
+/**
+ * Returns the usable accepted answers of a numeric question (see parseNumericAnswer).
+ * Each is { value, min, max }: an exact answer has min === max === value, an answer
+ * with a tolerance ("9.8 ± 0.1") keeps its value, and a range ("10 to 12") has a null value.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {Array<{value: ?number, min: number, max: number}>} The accepted answers (empty if none).
+ */
+function getNumericAnswers(q) {
+  if (!Array.isArray(q.correctAnswer)) return [];
+  return q.correctAnswer.filter(ans => ans && typeof ans === 'object' &&
+    isFinite(ans.min) && isFinite(ans.max) && ans.min <= ans.max);
+}
+
+/**
+ * Rounds away floating-point noise, e.g. 9.8 - 0.1 = 9.700000000000001 becomes 9.7.
+ *
+ * @param {number} n - The number.
+ * @return {number} The number rounded to 12 significant digits.
+ */
+function roundNumber(n) {
+  return Number(n.toPrecision(12));
+}
+
+/**
+ * Returns the value an accepted numeric answer is centred on: its own value, or the
+ * middle of its range. Formats that take "value with tolerance" use this with
+ * getNumericTolerance.
+ *
+ * @param {{value: ?number, min: number, max: number}} answer - An accepted answer.
+ * @return {number} The value.
+ */
+function getNumericValue(answer) {
+  return answer.value !== null ? answer.value : roundNumber((answer.min + answer.max) / 2);
+}
+
+/**
+ * Returns how far a response may be from getNumericValue and still be accepted.
+ *
+ * @param {{value: ?number, min: number, max: number}} answer - An accepted answer.
+ * @return {number} The absolute tolerance (0 for an exact answer).
+ */
+function getNumericTolerance(answer) {
+  return roundNumber((answer.max - answer.min) / 2);
+}
+
+/**
+ * Writes an accepted numeric answer the way the answer key does: "4", "9.8 ± 0.1"
+ * or "10 to 12".
+ *
+ * @param {{value: ?number, min: number, max: number}} answer - An accepted answer.
+ * @return {string} The answer as text.
+ */
+function formatNumericAnswer(answer) {
+  if (answer.min === answer.max) return String(answer.min);
+  if (answer.value !== null) return `${answer.value} ± ${getNumericTolerance(answer)}`;
+  return `${answer.min} to ${answer.max}`;
+}
+
+/**
+ * A blank in a question stem: three or more underscores, "[blank]", or a named blank
+ * such as "[blank1]" or "[blank_verb]" (captured without its brackets).
+ */
+const BLANK_TOKEN_REGEX = /_{3,}|\[\s*(blank\w*)\s*\]/gi;
+
+/**
+ * Returns the names of the blanks in a stem, in the order they appear. A named blank
+ * ("[blank2]") keeps its name in lower case; an unnamed one ("___" or "[blank]"), or
+ * a repeat of an earlier name, is called after its position ("blank1" for the first
+ * blank), skipping names already taken. The names are therefore always distinct.
+ *
+ * @param {string} text - The question text (plain text or HTML).
+ * @return {string[]} The blank names (empty if the stem has no blank).
+ */
+function getBlankNames(text) {
+  const tokens = [];
+  String(text || '').replace(BLANK_TOKEN_REGEX, (match, name) => {
+    const named = name && name.toLowerCase() !== 'blank' ? name.toLowerCase() : null;
+    tokens.push(named && !tokens.includes(named) ? named : null);
+    return match;
+  });
+  const taken = new Set(tokens.filter(Boolean));
+  return tokens.map((name, index) => {
+    if (name) return name;
+    let position = index + 1;
+    while (taken.has(`blank${position}`)) position++;
+    taken.add(`blank${position}`);
+    return `blank${position}`;
+  });
+}
+
+/**
+ * Replaces each blank in a stem with the result of `replacer`, e.g. an input field
+ * for that blank. Blanks are named as in getBlankNames.
+ *
+ * @param {string} text - The question text (plain text or HTML).
+ * @param {function(string, number): string} replacer - Called with the blank's name and index.
+ * @return {string} The text with its blanks replaced.
+ */
+function replaceBlanks(text, replacer) {
+  const names = getBlankNames(text);
+  let index = 0;
+  return String(text || '').replace(BLANK_TOKEN_REGEX, () => {
+    const replacement = replacer(names[index], index);
+    index++;
+    return replacement;
+  });
+}
+
+/**
+ * Returns the accepted answers of each blank of a fill-in-multiple-blanks question,
+ * in the order the blanks appear. The answer key names a blank ("blank2: estar") or
+ * gives the answers in blank order (see parseMultipleBlanksAnswer).
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {Array<{name: string, answers: string[]}>} One entry per blank; `answers` is empty if the key has none.
+ */
+function getBlankAnswers(q) {
+  const entries = Array.isArray(q.correctAnswer)
+    ? q.correctAnswer.filter(entry => entry && typeof entry === 'object' && Array.isArray(entry.answers))
+    : [];
+  return getBlankNames(q.text).map((name, index) => {
+    const named = entries.find(entry => entry.blank === name);
+    const positional = entries[index] && !entries[index].blank ? entries[index] : null;
+    const entry = named || positional;
+    return { name, answers: entry ? entry.answers.filter(ans => ans && ans.trim()).map(ans => ans.trim()) : [] };
+  });
+}
+
+/**
+ * Writes the answers of a fill-in-multiple-blanks question the way the answer key
+ * does: "blank1: ser, es; blank2: estar".
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {string} The answers as text.
+ */
+function formatBlankAnswers(q) {
+  return getBlankAnswers(q).map(blank => `${blank.name}: ${blank.answers.join(', ')}`).join('; ');
+}
+
+/**
+ * Splits a question's score evenly between its blanks, to two decimals. The last
+ * blank takes what rounding leaves over, so the shares always add up to the total
+ * (1 point over 3 blanks is 0.33, 0.33 and 0.34).
+ *
+ * @param {number} total - The score for a fully correct response.
+ * @param {number} count - The number of blanks.
+ * @return {number[]} The score of each blank.
+ */
+function splitScore(total, count) {
+  const share = Math.floor((total / count) * 100) / 100;
+  return Array.from({ length: count }, (unused, index) =>
+    index < count - 1 ? share : roundNumber(total - share * (count - 1)));
+}
+
+/**
+ * Returns true if the question's stem or any of its options contains an image.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {boolean}
+ */
+function questionHasImages(q) {
+  return Boolean(q.hasImages || (q.images && q.images.length > 0) ||
+    (q.options || []).some(opt => opt.images && opt.images.length > 0));
+}
+
+/**
+ * Returns true if the question has any question-level or per-option feedback.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {boolean}
+ */
+function questionHasFeedback(q) {
+  return Boolean((q.feedback && (q.feedback.general || q.feedback.correct || q.feedback.incorrect)) ||
+    (q.options || []).some(opt => opt.feedback));
+}
+
+/**
+ * Groups exported items by the section of their question (see parseSectionHeading),
+ * keeping document order. Questions before the first heading form a group whose
+ * section is null.
+ *
+ * @param {Array<Object>} items - Items in document order, e.g. { question, xml }.
+ * @param {function(Object): Object} getQuestion - Returns an item's question object.
+ * @return {Array<{section: ?Object, items: Array<Object>}>} The groups, in order.
+ */
+function groupBySection(items, getQuestion) {
+  const groups = [];
+  items.forEach(item => {
+    const section = getQuestion(item).section || null;
+    const last = groups[groups.length - 1];
+    if (last && last.section === section) {
+      last.items.push(item);
+    } else {
+      groups.push({ section: section, items: [item] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Checks whether any of the questions is in a section from a document heading.
+ *
+ * @param {Array<Object>} questions - The question objects.
+ * @return {boolean} True if at least one question has a section.
+ */
+function hasSections(questions) {
+  return questions.some(q => q && q.section);
+}
+
 /**
  * Generates a unique filename for an image based on question number,
  * context (stem/option), and a unique ID. Ensures basic sanitization.
@@ -118,5 +406,18 @@ function formatTimestamp(date) {
   return month + " " + day + " " + year + " " + hours + ":" + minutes;
 }
 
+/**
+ * Records the exported file in Script Properties so getDirectDownloadUrl can
+ * offer it for download from the sidebar.
+ *
+ * @param {GoogleAppsScript.Drive.File} exportFile - The generated export file.
+ */
+function storeLastExportFile(exportFile) {
+  PropertiesService.getScriptProperties().setProperties({
+    lastExportFileId: exportFile.getId(),
+    lastExportFileName: exportFile.getName()
+  });
+}
+
 /** Correct XML mime-type since MimeType.XML does not exist */
 const XML_MIME = 'application/xml';
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ *  Validation.gs – Answer checks run before export
+ *  ------------------------------------------------------------------
+ *  Decides whether each question's answer key entry can actually be used for
+ *  grading (e.g. the letter matches one of its options). Exporters never guess an
+ *  answer, so in strict mode (the default) any question without a usable answer
+ *  stops the conversion; otherwise those questions are exported ungraded.
+ */
+
+// Dependencies:
+// - Utilities.gs (getCorrectLetters, getTrueFalseAnswer, getTrueFalseOption, getNumericAnswers,
+//   getBlankNames, getBlankAnswers)
+// - Diagnostics.gs (Diagnostics)
+// - AppError.gs
+// - Constants.gs (QUESTION_TYPES)
+
+'use strict';
+
+/**
+ * Explains why a question's answer cannot be used for grading.
+ * Essay questions are graded by hand, so they never need an answer.
+ *
+ * @param {Object} q - The combined question/answer object.
+ * @return {string|null} A teacher-friendly reason, or null if the answer is usable.
+ */
+function getUnresolvedAnswerReason(q) {
+  const options = q.options || [];
+  const answer = q.correctAnswer;
+  const hasAnswer = answer !== null && typeof answer !== 'undefined' && !(Array.isArray(answer) && answer.length === 0);
+  const matchesOption = key => options.some(opt => opt.letter === key || opt.text === key);
+
+  if (q.type === QUESTION_TYPES.ESSAY) {
+    return null;
+  }
+  if (!hasAnswer) {
+    return 'No answer was found in the answer key or marked in the question.';
+  }
+
+  switch (q.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE_SINGLE:
+    case QUESTION_TYPES.MULTIPLE_CHOICE_MULTI: {
+      if (options.length === 0) return 'No options were found.';
+      const unmatched = getCorrectLetters(q).filter(letter => !options.some(opt => opt.letter === letter));
+      return unmatched.length > 0 ? `The answer ${unmatched.join(', ')} does not match any option.` : null;
+    }
+    case QUESTION_TYPES.TRUE_FALSE:
+      if (getTrueFalseAnswer(q) === null) return 'The True/False answer could not be read.';
+      // Listed options must include the answer, by letter or as a "True"/"False" option
+      return options.length === 0 || getTrueFalseOption(q) ? null : `The answer ${answer} does not match any option.`;
+    case QUESTION_TYPES.FILL_IN_BLANK_TEXT:
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return Array.isArray(answer) && answer.some(ans => typeof ans === 'string' && ans.trim())
+        ? null : 'The answer key entry has no accepted answers.';
+    case QUESTION_TYPES.FILL_IN_BLANK_NUMERIC:
+      return getNumericAnswers(q).length > 0 ? null : 'The answer is not a number.';
+    case QUESTION_TYPES.FILL_IN_MULTIPLE_BLANKS: {
+      const names = getBlankNames(q.text);
+      const written = (q.text.match(/\[\s*blank\w+\s*\]/gi) || []).map(token => token.replace(/[\[\]\s]/g, '').toLowerCase());
+      const repeated = written.filter((name, index) => written.indexOf(name) !== index);
+      if (repeated.length > 0) return `The blank [${repeated[0]}] appears more than once; give each blank its own name.`;
+      const unknown = answer.filter(entry => entry.blank && !names.includes(entry.blank)).map(entry => entry.blank);
+      if (unknown.length > 0) return `The answer key names ${unknown.join(', ')}, which is not a blank in the question.`;
+      const missing = getBlankAnswers(q).filter(blank => blank.answers.length === 0).map(blank => blank.name);
+      return missing.length > 0
+        ? `No answer was given for ${missing.join(', ')}. Separate the blanks' answers with ";" (e.g. "blank1: ser; blank2: estar").`
+        : null;
+    }
+    case QUESTION_TYPES.MATCHING: {
+      if (options.length === 0) return 'No items were found to match.';
+      const unmatched = answer.filter(pair => !matchesOption(pair.premise)).map(pair => pair.premise);
+      return unmatched.length > 0 ? `The matching pair for ${unmatched.join(', ')} does not match any item.` : null;
+    }
+    case QUESTION_TYPES.ORDERING: {
+      if (options.length === 0) return 'No items were found to order.';
+      const unmatched = answer.filter(key => !matchesOption(key));
+      return unmatched.length > 0 ? `The sequence entry ${unmatched.join(', ')} does not match any item.` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks every question for a usable answer before anything is exported.
+ *
+ * In strict mode each question without one is recorded as an error and the
+ * conversion is stopped, so no quiz is published with a wrong or missing key.
+ * With `allowUngraded` they are passed on unchanged; each exporter then writes them
+ * without a correct answer (or skips them, where the format requires one) and
+ * records what it did, so nothing is recorded here.
+ *
+ * @param {Array<Object>} questions - The combined question/answer objects.
+ * @param {Object} options - Conversion options from the sidebar.
+ * @param {boolean} [options.allowUngraded] - Export questions without a usable answer ungraded.
+ * @param {Diagnostics} diagnostics - Collector for the questions that block the export.
+ * @return {Array<Object>} The questions without a usable answer.
+ * @throws {AppError} In strict mode, if any question has no usable answer.
+ */
+function validateAnswers(questions, options, diagnostics) {
+  const unresolved = questions.filter(q => getUnresolvedAnswerReason(q) !== null);
+  if (unresolved.length === 0) {
+    return unresolved;
+  }
+
+  if (options.allowUngraded) {
+    console.log(`Exporting ${unresolved.length} question(s) without a usable answer as ungraded.`);
+    return unresolved;
+  }
+
+  unresolved.forEach(q => diagnostics.error(getUnresolvedAnswerReason(q), q));
+  const count = unresolved.length;
+  throw new AppError(
+    `Answer validation failed for ${count} question(s).`,
+    `${count} question${count === 1 ? ' has' : 's have'} no usable answer, so nothing was exported. ` +
+    'Fix the answer key (see the list below), or turn on "Export questions without an answer as ungraded".'
+  );
+}